@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * gradely-admin: find and repair integrity problems in the Gradely database
+ *
+ *   gradely-admin check [--only <checks>] [--json]
+ *   gradely-admin repair [--only <checks>] [--apply --as <admin email>] [--log <file>]
+ *
+ * `repair` is a dry run unless --apply is given. Applied changes are attributed to the
+ * --as admin and appended to the log file as JSON lines.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { User } from '../server/models.js';
+import { CHECKS, applyFix, runChecks } from '../server/integrity.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const USAGE = `Usage:
+  gradely-admin check [--only <checks>] [--json]
+  gradely-admin repair [--only <checks>] [--apply --as <admin email>] [--log <file>]
+
+Checks: ${Object.keys(CHECKS).join(', ')}
+Exit status of check is 1 when problems are found.`;
+
+const DEFAULT_LOG_FILE = path.resolve(__dirname, '../logs/gradely-admin.log');
+
+const fail = (message) => {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(2);
+};
+
+const printProblems = (problems) => {
+    for (const name of Object.keys(CHECKS)) {
+        const found = problems.filter(p => p.check === name);
+        if (found.length === 0) continue;
+        console.log(`\n${name}: ${found.length} problem${found.length === 1 ? '' : 's'}`);
+        for (const p of found) {
+            const fix = p.fix ? ` [${p.fix.action}]` : ' [needs review]';
+            console.log(`  ${p.collection} ${p.id}: ${p.message}${fix}`);
+        }
+    }
+};
+
+const check = async (names, { json }) => {
+    const problems = await runChecks(names);
+    if (json) {
+        console.log(JSON.stringify(problems, null, 2));
+    } else if (problems.length === 0) {
+        console.log('No problems found.');
+    } else {
+        printProblems(problems);
+        const fixable = problems.filter(p => p.fix).length;
+        console.log(`\n${problems.length} problems, ${fixable} with an automatic fix (run "gradely-admin repair" to preview).`);
+    }
+    return problems.length === 0 ? 0 : 1;
+};
+
+const repair = async (names, { apply, as, log }) => {
+    const problems = (await runChecks(names)).filter(p => p.fix);
+    if (problems.length === 0) {
+        console.log('Nothing to repair.');
+        return 0;
+    }
+    if (!apply) {
+        printProblems(problems);
+        console.log(`\nDry run: ${problems.length} fixes would be applied. Re-run with --apply --as <admin email> to apply them.`);
+        return 0;
+    }
+
+    const operator = as ? await User.findOne({ email: as.toLowerCase(), role: 'admin' }) : null;
+    if (!operator) {
+        fail('--apply needs --as with the email of an admin account; changes are attributed to it');
+    }
+
+    const logFile = log ? path.resolve(log) : DEFAULT_LOG_FILE;
+    await fs.mkdir(path.dirname(logFile), { recursive: true });
+
+    let applied = 0;
+    let skipped = 0;
+    for (const problem of problems) {
+        const change = await applyFix(problem, operator);
+        if (!change) {
+            skipped++;
+            console.log(`  skipped ${problem.collection} ${problem.id}: it changed since it was checked`);
+            continue;
+        }
+        applied++;
+        console.log(`  ${change.action} ${change.collection} ${change.id}: ${change.message}`);
+        await fs.appendFile(logFile, `${JSON.stringify({
+            at: new Date().toISOString(),
+            operator: { id: String(operator._id), email: operator.email },
+            ...change
+        })}\n`);
+    }
+
+    console.log(`\nApplied ${applied} fixes${skipped ? `, skipped ${skipped}` : ''}. Logged to ${logFile}.`);
+    return 0;
+};
+
+const main = async () => {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                only: { type: 'string' },
+                json: { type: 'boolean', default: false },
+                apply: { type: 'boolean', default: false },
+                as: { type: 'string' },
+                log: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { positionals: [command], values } = parsed;
+    if (values.help || !command) {
+        console.log(USAGE);
+        process.exit(command || values.help ? 0 : 2);
+    }
+    if (!['check', 'repair'].includes(command)) {
+        fail(`Unknown command: ${command}`);
+    }
+
+    const names = values.only ? values.only.split(',').map(name => name.trim()) : Object.keys(CHECKS);
+    const unknown = names.filter(name => !CHECKS[name]);
+    if (unknown.length > 0) {
+        fail(`Unknown check: ${unknown.join(', ')}`);
+    }
+
+    if (!process.env.MONGO_URL) {
+        console.error('Error: MONGO_URL is not set (in the environment or .env)');
+        process.exit(2);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+        const status = command === 'check' ? await check(names, values) : await repair(names, values);
+        await mongoose.disconnect();
+        process.exit(status);
+    } catch (error) {
+        console.error('Error:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+};
+
+main();
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_GRADE_BANDS } from '../src/utils/grading.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -39,23 +40,24 @@ async function run() {
 
         // Clear existing collections
         await db.collection('users').deleteMany({});
+        await db.collection('invitations').deleteMany({});
         await db.collection('courses').deleteMany({});
         await db.collection('courseofferings').deleteMany({});
         await db.collection('gradescales').deleteMany({});
+        await db.collection('gradeschemes').deleteMany({});
         await db.collection('enrollments').deleteMany({});
         await db.collection('marks').deleteMany({});
         log('Cleared existing data');
 
-        // 1. Grade Scales
-        const gradeScales = [
-            { letter: 'A', minPercent: 80, maxPercent: 100, points: 4.0 },
-            { letter: 'B', minPercent: 70, maxPercent: 79, points: 3.0 },
-            { letter: 'C', minPercent: 60, maxPercent: 69, points: 2.0 },
-            { letter: 'D', minPercent: 50, maxPercent: 59, points: 1.0 },
-            { letter: 'E', minPercent: 0, maxPercent: 49, points: 0.0 }
-        ];
-        await db.collection('gradescales').insertMany(gradeScales);
-        log('Grade scales created');
+        // 1. Default Grade Scheme
+        await db.collection('gradeschemes').insertOne({
+            name: 'Standard A-E',
+            isDefault: true,
+            bands: DEFAULT_GRADE_BANDS.map(band => ({ _id: new ObjectId(), ...band })),
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+        log('Default grade scheme created');
 
         // 2. Users
         const passwordHash = await bcrypt.hash('password123', 10);
@@ -71,6 +73,18 @@ async function run() {
             updatedAt: new Date()
         };
 
+        // Registration is invite-only, so the first admin has to be seeded
+        const admin = {
+            _id: new ObjectId(),
+            email: 'admin@example.com',
+            passwordHash: passwordHash,
+            fullName: 'Prof. Mary Admin',
+            role: 'admin',
+            staffNo: 'ADM001',
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
         const student = {
             _id: new ObjectId(),
             email: 'student@example.com',
@@ -82,7 +96,7 @@ async function run() {
             updatedAt: new Date()
         };
 
-        await db.collection('users').insertMany([lecturer, student]);
+        await db.collection('users').insertMany([admin, lecturer, student]);
         log('Users created');
 
         // 3. Courses
@@ -125,6 +139,8 @@ async function run() {
             studentId: student._id,
             offeringId: offering._id,
             chosenLecturerId: lecturer._id,
+            status: 'enrolled',
+            enrolledAt: new Date(),
             createdAt: new Date(),
             updatedAt: new Date()
         }));
@@ -0,0 +1,523 @@
+#!/usr/bin/env node
+/**
+ * Generate a realistic, reproducible dataset for demos and load testing
+ *
+ *   npm run seed:synthetic -- [--seed 42] [--lecturers 12] [--courses 15] [--terms 2]
+ *       [--offerings-per-term 10] [--students-per-offering 40] [--students <pool size>]
+ *       [--fill-rate 0.9] [--issues 25] [--year 2025] [--db gradely_synthetic] [--wipe [--force]]
+ *
+ * It goes into a separate database (gradely_synthetic) unless --db says otherwise. By
+ * default the data is added to what is there; --wipe clears the generated collections
+ * first, and wiping the app's own database (the one in MONGO_URL) also needs --force.
+ *
+ * With --wipe, the same options always produce the same data (--year defaults to 2025
+ * rather than the current year for this reason). Without it, registration numbers continue
+ * after the students already in the database and existing users and courses are reused,
+ * so the result depends on what was there before.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    Course,
+    CourseOffering,
+    Enrollment,
+    Invitation,
+    Issue,
+    LoginAttempt,
+    Mark,
+    MarkHistory,
+    RefreshToken,
+    Student,
+    User,
+    UserToken
+} from '../server/models.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, '../.env') });
+
+const DEFAULT_DB = 'gradely_synthetic';
+// Fixed, so the same command gives the same data in any year
+const DEFAULT_YEAR = 2025;
+const INSERT_BATCH_SIZE = 1000;
+
+const FIRST_NAMES = [
+    'Amina', 'Brian', 'Chen', 'Daniela', 'Emeka', 'Fatima', 'George', 'Hana', 'Ibrahim', 'Julia',
+    'Kwame', 'Leila', 'Mateo', 'Nadia', 'Omar', 'Priya', 'Quentin', 'Rosa', 'Samuel', 'Tariq',
+    'Uma', 'Victor', 'Wanjiru', 'Xavier', 'Yuki', 'Zainab', 'Aisha', 'Ben', 'Carmen', 'David',
+    'Esther', 'Felix', 'Grace', 'Hassan', 'Irene', 'James', 'Kofi', 'Lucia', 'Mohammed', 'Njeri',
+    'Oliver', 'Patience', 'Ravi', 'Sofia', 'Thomas', 'Wei', 'Yusuf', 'Zara', 'Achieng', 'Luis'
+];
+
+const LAST_NAMES = [
+    'Abdullah', 'Banda', 'Chen', 'Diallo', 'Evans', 'Fernandez', 'Gupta', 'Haddad', 'Ivanova', 'Johnson',
+    'Kamau', 'Lee', 'Mensah', 'Nakamura', 'Okafor', 'Patel', 'Quispe', 'Rossi', 'Silva', 'Tanaka',
+    'Usman', 'Varga', 'Wanjala', 'Xu', 'Yilmaz', 'Zhang', 'Adeyemi', 'Brown', 'Castro', 'Dubois',
+    'Mwangi', 'Otieno', 'Kim', 'Nguyen', 'Smith', 'Mutua', 'Hussein', 'Kowalski', 'Moreno', 'Singh'
+];
+
+const DEPARTMENTS = [
+    { prefix: 'CSC', major: 'Computer Science', topics: ['Programming Fundamentals', 'Data Structures', 'Algorithms', 'Database Systems', 'Operating Systems', 'Computer Networks', 'Machine Learning'] },
+    { prefix: 'SWE', major: 'Software Engineering', topics: ['Software Engineering I', 'Software Engineering II', 'Software Testing', 'Project Management', 'Human-Computer Interaction'] },
+    { prefix: 'MTH', major: 'Mathematics', topics: ['Calculus I', 'Calculus II', 'Linear Algebra', 'Discrete Mathematics', 'Numerical Methods'] },
+    { prefix: 'STA', major: 'Statistics', topics: ['Probability', 'Statistical Inference', 'Regression Analysis', 'Data Analysis'] },
+    { prefix: 'PHY', major: 'Physics', topics: ['Mechanics', 'Electricity and Magnetism', 'Thermodynamics', 'Quantum Physics'] },
+    { prefix: 'ECO', major: 'Economics', topics: ['Microeconomics', 'Macroeconomics', 'Econometrics', 'Development Economics'] }
+];
+
+// Assessment structures in common use; weights add up to 100
+const ASSESSMENT_TEMPLATES = [
+    [['Assignment', 20, 20], ['CAT', 30, 30], ['Exam', 50, 50]],
+    [['Assignment', 10, 10], ['Quiz', 15, 15], ['Project', 25, 25], ['Midsem', 20, 20], ['Final', 30, 30]],
+    [['CAT 1', 15, 30], ['CAT 2', 15, 30], ['Exam', 70, 70]],
+    [['Lab Work', 20, 40], ['Midterm', 30, 60], ['Final Exam', 50, 100]]
+];
+
+// 'remark' is the remark request type, linked to the assessment and resolved with a revised score
+const ISSUE_TYPES = ['Missing Mark', 'Mark Query', 'remark', 'Other'];
+const ISSUE_PRIORITIES = ['low', 'medium', 'medium', 'high'];
+
+// --- Deterministic randomness ---
+
+// mulberry32: small, fast PRNG that is fully determined by its 32-bit seed
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const random = {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability,
+        // Box-Muller transform
+        normal: (mean, sd) => mean + sd * Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next()),
+        // Partial Fisher-Yates: `count` distinct items
+        sample: (items, count) => {
+            const pool = [...items];
+            const n = Math.min(count, pool.length);
+            for (let i = 0; i < n; i++) {
+                const j = i + Math.floor(next() * (pool.length - i));
+                [pool[i], pool[j]] = [pool[j], pool[i]];
+            }
+            return pool.slice(0, n);
+        },
+        // ObjectIds drawn from the generator, so reruns produce the same IDs
+        objectId: () => new mongoose.Types.ObjectId(
+            Array.from({ length: 12 }, () => Math.floor(next() * 256).toString(16).padStart(2, '0')).join('')
+        )
+    };
+    return random;
+};
+
+// Turn any seed text into a 32-bit integer (FNV-1a)
+const hashSeed = (seed) => {
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// --- Generation ---
+
+/**
+ * Generate the dataset as plain documents ready to insert
+ * @param {Object} options - Sizes, seed, year and regNoStart (see the usage above)
+ * @returns {Object} Documents per collection, plus the shared login password
+ */
+export const generateDataset = (options) => {
+    const random = createRandom(hashSeed(options.seed));
+    const stamp = (date) => ({ createdAt: date, updatedAt: date });
+    const fullName = () => [random.pick(FIRST_NAMES), random.pick(LAST_NAMES)];
+
+    // Terms run back from the last semester of `year`: 2025S2, 2025S1, 2024S2...
+    const terms = Array.from({ length: options.terms }, (_, i) => {
+        const year = options.year - Math.floor(i / 2);
+        const semester = i % 2 === 0 ? 2 : 1;
+        return { term: `${year}S${semester}`, year, startsAt: new Date(Date.UTC(year, semester === 1 ? 0 : 6, 15)), current: i === 0 };
+    }).reverse();
+    const firstDay = terms[0].startsAt;
+
+    const usedEmails = new Set();
+    const uniqueEmail = (local, domain) => {
+        let email = `${local}@${domain}`;
+        for (let n = 2; usedEmails.has(email); n++) email = `${local}${n}@${domain}`;
+        usedEmails.add(email);
+        return email;
+    };
+    const emailLocal = (first, last) => `${first}.${last}`.toLowerCase().replace(/[^a-z.]/g, '');
+
+    const admin = {
+        _id: random.objectId(),
+        email: 'admin@gradely.test',
+        fullName: 'Registry Administrator',
+        role: 'admin',
+        staffNo: 'ADM001',
+        emailVerified: true,
+        ...stamp(firstDay)
+    };
+    usedEmails.add(admin.email);
+
+    const lecturers = Array.from({ length: options.lecturers }, (_, i) => {
+        const [first, last] = fullName();
+        return {
+            _id: random.objectId(),
+            email: uniqueEmail(emailLocal(first, last), 'staff.gradely.test'),
+            fullName: `Dr. ${first} ${last}`,
+            role: 'lecturer',
+            staffNo: `LEC${String(i + 1).padStart(3, '0')}`,
+            emailVerified: true,
+            ...stamp(firstDay)
+        };
+    });
+
+    // Courses cycle through the departments so every department is represented
+    const courses = Array.from({ length: options.courses }, (_, i) => {
+        const department = DEPARTMENTS[i % DEPARTMENTS.length];
+        const index = Math.floor(i / DEPARTMENTS.length);
+        const topic = department.topics[index % department.topics.length];
+        const round = Math.floor(index / department.topics.length);
+        return {
+            _id: random.objectId(),
+            code: `${department.prefix}${(index + 1) * 100 + round * 10 + 1}`,
+            name: round > 0 ? `${topic} ${round + 1}` : topic,
+            credits: random.pick([2, 3, 3, 3, 4]),
+            department,
+            ...stamp(firstDay)
+        };
+    });
+
+    const students = Array.from({ length: options.students }, (_, i) => {
+        const [first, last] = fullName();
+        const schoolID = options.regNoStart + i;
+        return {
+            _id: random.objectId(),
+            firstName: first,
+            lastName: last,
+            schoolID,
+            email: `${emailLocal(first, last)}.${schoolID}@students.gradely.test`,
+            major: random.pick(DEPARTMENTS).major,
+            currentYear: String(random.int(1, 4)),
+            // Used only to draw scores; not stored
+            ability: clamp(random.normal(64, 12), 20, 98)
+        };
+    });
+
+    const offerings = [];
+    const enrollments = [];
+    const marks = [];
+
+    for (const { term, year, startsAt, current } of terms) {
+        for (const course of random.sample(courses, options.offeringsPerTerm)) {
+            const assigned = random.sample(lecturers, random.chance(0.25) ? 2 : 1);
+            const template = random.pick(ASSESSMENT_TEMPLATES);
+            const offering = {
+                _id: random.objectId(),
+                courseId: course._id,
+                term,
+                year,
+                capacity: Math.ceil(options.studentsPerOffering * 1.2),
+                assignedLecturerIds: assigned.map(l => l._id),
+                resultsStatus: current ? 'draft' : 'published',
+                resultsStatusHistory: current ? [] : [
+                    { from: 'draft', to: 'submitted', changedBy: assigned[0]._id, changedAt: new Date(startsAt.getTime() + 120 * 86400000) },
+                    { from: 'submitted', to: 'approved', changedBy: admin._id, changedAt: new Date(startsAt.getTime() + 125 * 86400000) },
+                    { from: 'approved', to: 'published', changedBy: admin._id, changedAt: new Date(startsAt.getTime() + 130 * 86400000) }
+                ],
+                assessments: template.map(([name, weight, maxScore]) => ({ _id: random.objectId(), name, weight, maxScore })),
+                ...stamp(startsAt)
+            };
+            offerings.push(offering);
+
+            // Some courses are simply harder than others
+            const difficulty = random.normal(0, 6);
+            for (const student of random.sample(students, options.studentsPerOffering)) {
+                const chosen = random.pick(assigned);
+                const enrolledAt = new Date(startsAt.getTime() + random.int(0, 14) * 86400000);
+                enrollments.push({
+                    _id: random.objectId(),
+                    studentId: student._id,
+                    offeringId: offering._id,
+                    chosenLecturerId: chosen._id,
+                    status: 'enrolled',
+                    enrolledAt,
+                    ...stamp(enrolledAt)
+                });
+
+                offering.assessments.forEach((assessment, index) => {
+                    if (!random.chance(options.fillRate)) return;
+                    const percent = clamp(random.normal(student.ability - difficulty, 10), 0, 100);
+                    const markedAt = new Date(startsAt.getTime() + (30 + index * 25 + random.int(0, 6)) * 86400000);
+                    marks.push({
+                        _id: random.objectId(),
+                        assessmentId: assessment._id,
+                        offeringId: offering._id,
+                        studentId: student._id,
+                        lecturerId: chosen._id,
+                        // Half marks, as most markers award them
+                        score: Math.round((percent / 100) * assessment.maxScore * 2) / 2,
+                        ...stamp(markedAt)
+                    });
+                });
+            }
+        }
+    }
+
+    const courseById = new Map(courses.map(course => [String(course._id), course]));
+    const offeringById = new Map(offerings.map(offering => [String(offering._id), offering]));
+    const studentById = new Map(students.map(student => [String(student._id), student]));
+    const markByKey = new Map(marks.map(mark => [`${mark.studentId}:${mark.assessmentId}`, mark]));
+
+    const issues = enrollments.length === 0 ? [] : Array.from({ length: options.issues }, () => {
+        const enrollment = random.pick(enrollments);
+        const offering = offeringById.get(String(enrollment.offeringId));
+        const course = courseById.get(String(offering.courseId));
+        const assessment = random.pick(offering.assessments);
+        const student = studentById.get(String(enrollment.studentId));
+        const mark = markByKey.get(`${student._id}:${assessment._id}`);
+        // Only marks that exist can be remarked; without one the student reports it missing
+        const pickedType = random.pick(ISSUE_TYPES);
+        const issueType = pickedType === 'remark' && !mark ? 'Missing Mark' : pickedType;
+        const raisedAt = new Date(offering.createdAt.getTime() + random.int(30, 120) * 86400000);
+        const descriptions = {
+            'Missing Mark': `My ${assessment.name} mark for ${course.code} is not showing, although I submitted it on time.`,
+            'Mark Query': `I believe my ${assessment.name} in ${course.code} was added up wrongly. Could you check it?`,
+            remark: `I would like my ${assessment.name} script for ${course.code} to be remarked.`,
+            Other: `I have a question about how the ${course.code} final grade is calculated.`
+        };
+        const lecturerId = enrollment.chosenLecturerId;
+
+        // Walk the issue along the workflow; issues from published terms are all closed
+        const status = offering.resultsStatus === 'published'
+            ? (random.chance(0.8) ? 'resolved' : 'rejected')
+            : random.pick(['pending', 'in_review', 'awaiting_student', 'resolved', 'rejected']);
+        const path = {
+            pending: [],
+            in_review: ['in_review'],
+            awaiting_student: ['in_review', 'awaiting_student'],
+            resolved: ['in_review', ...(random.chance(0.4) ? ['awaiting_student', 'in_review'] : []), 'resolved'],
+            rejected: ['in_review', 'rejected']
+        }[status];
+
+        let at = raisedAt.getTime();
+        const later = () => new Date(at += random.int(1, 72) * 3600000);
+        const statusHistory = [];
+        const comments = [];
+        let resolution;
+        path.forEach((to, index) => {
+            const from = index === 0 ? 'pending' : path[index - 1];
+            if (to === 'awaiting_student') {
+                comments.push({ _id: random.objectId(), author: 'staff', userId: lecturerId, body: `Could you send a photo of your marked ${assessment.name} script?`, createdAt: later() });
+            }
+            if (from === 'awaiting_student') {
+                comments.push({ _id: random.objectId(), author: 'student', studentId: student._id, body: 'I have attached it. Thank you.', createdAt: later() });
+            }
+            const note = {
+                resolved: `Checked against the marking records: your ${assessment.name} mark has been corrected.`,
+                rejected: `Your ${assessment.name} was remarked and the original mark stands.`
+            }[to];
+            const changedAt = later();
+            statusHistory.push({ _id: random.objectId(), from, to, changedBy: lecturerId, ...(note && { comment: note }), changedAt });
+            if (note) resolution = { note, changedBy: lecturerId, changedAt };
+        });
+
+        // A resolved remark request raised the mark to its current score
+        const remark = issueType === 'remark' && status === 'resolved'
+            ? { previousScore: Math.max(0, mark.score - random.int(1, 4)), revisedScore: mark.score }
+            : undefined;
+
+        return {
+            _id: random.objectId(),
+            student: student._id,
+            lecturer: lecturerId,
+            issueType,
+            offeringId: offering._id,
+            ...(issueType === 'remark' && { assessmentId: assessment._id }),
+            subject: `${course.code} ${assessment.name}: ${issueType === 'remark' ? 'remark request' : issueType.toLowerCase()}`,
+            description: descriptions[issueType],
+            status,
+            priority: random.pick(ISSUE_PRIORITIES),
+            attachments: [],
+            statusHistory,
+            comments,
+            ...(resolution && { resolution }),
+            ...(remark && { remark }),
+            createdAt: raisedAt,
+            updatedAt: statusHistory.at(-1)?.changedAt || raisedAt
+        };
+    });
+
+    return {
+        users: [admin, ...lecturers],
+        courses: courses.map(({ department, ...course }) => course),
+        offerings,
+        students: students.map(({ ability, ...student }) => student),
+        enrollments,
+        marks,
+        issues
+    };
+};
+
+// --- Writing ---
+
+const insertInBatches = async (Model, docs) => {
+    for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+        await Model.collection.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE));
+    }
+};
+
+// In additive mode, users and courses that already exist (same email or code) are
+// reused rather than duplicated; references to the generated copies are repointed.
+const reuseExisting = async (dataset) => {
+    const [existingUsers, existingCourses] = await Promise.all([
+        User.find({ email: { $in: dataset.users.map(u => u.email) } }).select('email'),
+        Course.find({ code: { $in: dataset.courses.map(c => c.code) } }).select('code')
+    ]);
+    const userByEmail = new Map(existingUsers.map(u => [u.email, u._id]));
+    const courseByCode = new Map(existingCourses.map(c => [c.code, c._id]));
+
+    const replacements = new Map();
+    dataset.users.forEach(u => userByEmail.has(u.email) && replacements.set(String(u._id), userByEmail.get(u.email)));
+    dataset.courses.forEach(c => courseByCode.has(c.code) && replacements.set(String(c._id), courseByCode.get(c.code)));
+    const swap = (id) => replacements.get(String(id)) || id;
+
+    for (const offering of dataset.offerings) {
+        offering.courseId = swap(offering.courseId);
+        offering.assignedLecturerIds = offering.assignedLecturerIds.map(swap);
+        offering.resultsStatusHistory.forEach(entry => { entry.changedBy = swap(entry.changedBy); });
+    }
+    dataset.enrollments.forEach(e => { e.chosenLecturerId = swap(e.chosenLecturerId); });
+    dataset.marks.forEach(m => { m.lecturerId = swap(m.lecturerId); });
+    for (const issue of dataset.issues) {
+        issue.lecturer = swap(issue.lecturer);
+        issue.statusHistory.forEach(entry => { entry.changedBy = swap(entry.changedBy); });
+        issue.comments.forEach(comment => { if (comment.userId) comment.userId = swap(comment.userId); });
+        if (issue.resolution) issue.resolution.changedBy = swap(issue.resolution.changedBy);
+    }
+
+    return {
+        ...dataset,
+        users: dataset.users.filter(u => !userByEmail.has(u.email)),
+        courses: dataset.courses.filter(c => !courseByCode.has(c.code)),
+        reused: { users: userByEmail.size, courses: courseByCode.size }
+    };
+};
+
+const WIPED_MODELS = [User, Student, Course, CourseOffering, Enrollment, Mark, MarkHistory, Issue, RefreshToken, UserToken, Invitation, LoginAttempt];
+
+const positiveInt = (name, value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`--${name} must be a whole number`);
+    return number;
+};
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            seed: { type: 'string', default: '42' },
+            lecturers: { type: 'string', default: '12' },
+            courses: { type: 'string', default: '15' },
+            terms: { type: 'string', default: '2' },
+            'offerings-per-term': { type: 'string', default: '10' },
+            'students-per-offering': { type: 'string', default: '40' },
+            students: { type: 'string' },
+            'fill-rate': { type: 'string', default: '0.9' },
+            issues: { type: 'string', default: '25' },
+            year: { type: 'string', default: String(DEFAULT_YEAR) },
+            password: { type: 'string', default: 'password123' },
+            db: { type: 'string', default: DEFAULT_DB },
+            wipe: { type: 'boolean', default: false },
+            force: { type: 'boolean', default: false }
+        }
+    });
+
+    const options = {
+        seed: values.seed,
+        lecturers: Math.max(1, positiveInt('lecturers', values.lecturers)),
+        courses: Math.max(1, positiveInt('courses', values.courses)),
+        terms: Math.max(1, positiveInt('terms', values.terms)),
+        offeringsPerTerm: positiveInt('offerings-per-term', values['offerings-per-term']),
+        studentsPerOffering: positiveInt('students-per-offering', values['students-per-offering']),
+        fillRate: Number(values['fill-rate']),
+        issues: positiveInt('issues', values.issues),
+        year: positiveInt('year', values.year)
+    };
+    if (!(options.fillRate >= 0 && options.fillRate <= 1)) throw new Error('--fill-rate must be between 0 and 1');
+    // Students take about four courses a term
+    options.students = values.students
+        ? positiveInt('students', values.students)
+        : Math.max(options.studentsPerOffering, Math.ceil((options.offeringsPerTerm * options.studentsPerOffering) / 4));
+
+    if (!process.env.MONGO_URL) throw new Error('MONGO_URL is not set (in the environment or .env)');
+    const appDb = new URL(process.env.MONGO_URL).pathname.slice(1) || 'test';
+    if (values.wipe && values.db === appDb && !values.force) {
+        throw new Error(`--db ${values.db} is the app's own database; add --force to wipe it`);
+    }
+
+    await mongoose.connect(process.env.MONGO_URL, { dbName: values.db, serverSelectionTimeoutMS: 5000 });
+    console.log(`Seeding database "${values.db}" (seed ${options.seed}, ${values.wipe ? 'wipe' : 'additive'} mode)`);
+
+    if (values.wipe) {
+        await Promise.all(WIPED_MODELS.map(Model => Model.deleteMany({})));
+        console.log('Cleared existing data');
+    }
+
+    // Registration numbers continue after any students already in the database
+    const [lastStudent] = await Student.find({ schoolID: { $type: 'number' } }).sort({ schoolID: -1 }).limit(1);
+    options.regNoStart = Math.max(options.year * 10000 + 1, (lastStudent?.schoolID ?? 0) + 1);
+
+    const generated = generateDataset(options);
+    if (await CourseOffering.exists({ _id: { $in: generated.offerings.map(o => o._id) } })) {
+        throw new Error(`Seed ${options.seed} has already been loaded into "${values.db}"; use another --seed or --wipe`);
+    }
+
+    const dataset = await reuseExisting(generated);
+    const passwordHash = await bcrypt.hash(values.password, 10);
+    dataset.users.forEach(user => { user.passwordHash = passwordHash; });
+
+    await insertInBatches(User, dataset.users);
+    await insertInBatches(Course, dataset.courses);
+    await insertInBatches(CourseOffering, dataset.offerings);
+    await insertInBatches(Student, dataset.students);
+    await insertInBatches(Enrollment, dataset.enrollments);
+    await insertInBatches(Mark, dataset.marks);
+    await insertInBatches(Issue, dataset.issues);
+
+    console.log([
+        `Users: ${dataset.users.length} created, ${dataset.reused.users} reused`,
+        `Courses: ${dataset.courses.length} created, ${dataset.reused.courses} reused`,
+        `Offerings: ${dataset.offerings.length}`,
+        `Students: ${dataset.students.length} (reg numbers ${options.regNoStart}-${options.regNoStart + dataset.students.length - 1})`,
+        `Enrollments: ${dataset.enrollments.length}`,
+        `Marks: ${dataset.marks.length}`,
+        `Issues: ${dataset.issues.length}`
+    ].join('\n'));
+    if (dataset.users.length > 0) {
+        console.log(`\nSign in as admin@gradely.test or any lecturer (e.g. ${generated.users[1]?.email}) with password "${values.password}".`);
+    }
+};
+
+// Only run when executed directly, so generateDataset can be imported
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main()
+        .then(() => mongoose.disconnect())
+        .catch(async (error) => {
+            console.error(`Error: ${error.message}`);
+            await mongoose.disconnect();
+            process.exit(1);
+        });
+}
@@ -4,8 +4,46 @@ import cors from 'cors';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import ExcelJS from 'exceljs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { createConsoleTransport, sendMail, setMailTransport } from './server/mailer.js';
+import {
+    Course,
+    CourseOffering,
+    Enrollment,
+    GradeScale,
+    GradeScheme,
+    Invitation,
+    Issue,
+    LoginAttempt,
+    Mark,
+    MarkHistory,
+    RefreshToken,
+    Student,
+    User,
+    UserToken
+} from './server/models.js';
+import {
+    ATTACHMENT_MAX_BYTES,
+    ATTACHMENT_MAX_FILES,
+    attachmentPath,
+    checkAttachment,
+    parseMultipart,
+    storeAttachment
+} from './server/attachments.js';
+import { routeIssue } from './server/issueRouting.js';
+import {
+    AWAITING_RESPONSE_FILTER,
+    escalateOverdueIssues,
+    isAwaitingResponse,
+    overdueIssueFilter,
+    responseDueAt
+} from './server/issueSla.js';
+import { buildOtpauthUri, generateRecoveryCodes, generateSecret, verifyTotp } from './server/totp.js';
+import { buildGradeScaleTable, buildResultsTable, buildStatisticsTable } from './src/utils/printing.js';
+import { DEFAULT_GRADE_BANDS, findGradeBand, validateGradeBands } from './src/utils/grading.js';
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -15,6 +53,34 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'default_secret';
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+// Links in outgoing mail point at the client app
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:5173';
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 14;
+// Login throttling: accounts lock after repeated failures, IPs are limited per window
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+// Two-factor login: the password step returns a challenge token valid for this long
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Gradely';
+const MIN_PASSWORD_LENGTH = 6;
+
+if (process.env.MAIL_TRANSPORT === 'console') {
+    setMailTransport(createConsoleTransport());
+}
+// Transactions need a replica set, so they are opt-in
+const USE_TRANSACTIONS = process.env.USE_TRANSACTIONS === 'true';
+
+// Needed behind a reverse proxy so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
@@ -26,337 +92,3444 @@ app.use((req, res, next) => {
     next();
 });
 
-// MongoDB Connection
-mongoose.connect(process.env.MONGO_URL)
-    .then(() => console.log('Connected to MongoDB'))
-    .catch(err => console.error('MongoDB connection error:', err));
+// MongoDB Connection
+mongoose.connect(process.env.MONGO_URL)
+    .then(() => console.log('Connected to MongoDB'))
+    .catch(err => console.error('MongoDB connection error:', err));
+
+// Middleware to verify token
+const authenticate = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
+
+    jwt.verify(token, JWT_SECRET, (err, decoded) => {
+        if (err?.name === 'TokenExpiredError') {
+            return res.status(401).json({ success: false, code: 'TOKEN_EXPIRED', message: 'Token expired' });
+        }
+        // Two-factor challenge tokens are signed with the same secret but are not access tokens
+        if (err || decoded.purpose) return res.status(401).json({ success: false, message: 'Invalid token' });
+        req.user = { _id: decoded.id, role: decoded.role };
+        next();
+    });
+};
+
+// Middleware to restrict a route to the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// --- Access Policy ---
+
+const isAssignedLecturer = (offering, userId) =>
+    offering.assignedLecturerIds.some(id => id.toString() === userId?.toString());
+
+// Assigned lecturers may change an offering's marks and structure
+const canTeachOffering = (user, offering) => isAssignedLecturer(offering, user._id);
+
+// Assigned lecturers and admins may read an offering's marks and results
+const canViewOffering = (user, offering) => user.role === 'admin' || canTeachOffering(user, offering);
+
+// Middleware that loads the offering in `req.params.id` into `req.offering`,
+// rejecting the request unless the caller may view (or teach) it
+const loadOffering = (access = 'view') => async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const offering = mongoose.isValidObjectId(id)
+            ? await CourseOffering.findById(id).populate('courseId')
+            : null;
+        if (!offering) {
+            return res.status(404).json({ success: false, message: 'Offering not found' });
+        }
+
+        const allowed = access === 'teach' ? canTeachOffering(req.user, offering) : canViewOffering(req.user, offering);
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'You are not assigned to this offering' });
+        }
+
+        req.offering = offering;
+        next();
+    } catch (error) {
+        console.error('Load offering error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Results move draft -> submitted -> approved -> published. Marks and the
+// assessment structure can only change while the results are a draft.
+// Each allowed transition lists who may make it ('lecturer' = assigned lecturer).
+const RESULTS_TRANSITIONS = {
+    draft: { submitted: ['lecturer'] },
+    submitted: { draft: ['lecturer', 'admin'], approved: ['admin'] },
+    approved: { draft: ['admin'], published: ['admin'] },
+    published: { draft: ['admin'] }
+};
+
+// Own keys only, so names like "constructor" from a request body are not taken for statuses
+const isResultsStatus = (status) => typeof status === 'string' && Object.hasOwn(RESULTS_TRANSITIONS, status);
+
+const isResultsEditable = (offering) => (offering.resultsStatus || 'draft') === 'draft';
+
+const canChangeResultsStatus = (user, offering, to) => {
+    const from = RESULTS_TRANSITIONS[offering.resultsStatus || 'draft'];
+    const allowed = from && isResultsStatus(to) && Object.hasOwn(from, to) ? from[to] : [];
+    return (allowed.includes('admin') && user.role === 'admin')
+        || (allowed.includes('lecturer') && canTeachOffering(user, offering));
+};
+
+// Reason codes returned for mark rows the policy refuses
+const MARK_REJECTIONS = {
+    INVALID_ROW: 'Row must include offeringId, studentId, assessmentId and a numeric score',
+    OFFERING_NOT_FOUND: 'Offering not found',
+    NOT_ASSIGNED: 'You are not assigned to this offering',
+    NOT_ENROLLED: 'Student is not enrolled in this offering',
+    UNKNOWN_ASSESSMENT: 'Assessment does not belong to this offering',
+    SCORE_OUT_OF_RANGE: 'Score must be between 0 and the assessment maximum',
+    DUPLICATE_ROW: 'The same student and assessment appear more than once in this batch',
+    RESULTS_LOCKED: 'Results for this offering have been submitted and can no longer be edited',
+    WRITE_FAILED: 'The mark could not be saved'
+};
+
+const markRejection = (row, index, code) => ({
+    index,
+    offeringId: row?.offeringId,
+    studentId: row?.studentId,
+    assessmentId: row?.assessmentId,
+    code,
+    message: MARK_REJECTIONS[code]
+});
+
+// Check submitted mark rows against the access policy.
+// Returns the rows that may be written (with their offering and assessment) and per-row rejections.
+// canWrite decides who may change an offering's marks (by default its assigned lecturers).
+const checkMarkRows = async (user, rows, { canWrite = canTeachOffering } = {}) => {
+    const offeringIds = [...new Set(rows
+        .map(row => row?.offeringId)
+        .filter(id => mongoose.isValidObjectId(id))
+        .map(String))];
+
+    const offerings = await CourseOffering.find({ _id: { $in: offeringIds } });
+    const offeringById = new Map(offerings.map(o => [o._id.toString(), o]));
+
+    const enrolledByOffering = new Map();
+    for (const offering of offerings) {
+        const enrollments = await findOfferingEnrollments(offering);
+        enrolledByOffering.set(offering._id.toString(), new Set(enrollments.map(e => e.studentId._id.toString())));
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const seenKeys = new Set();
+
+    rows.forEach((row, index) => {
+        const reject = (code) => rejected.push(markRejection(row, index, code));
+
+        const { offeringId, studentId, assessmentId, score } = row || {};
+        if (![offeringId, studentId, assessmentId].every(id => mongoose.isValidObjectId(id))
+            || typeof score !== 'number' || !Number.isFinite(score)) {
+            return reject('INVALID_ROW');
+        }
+
+        const offering = offeringById.get(String(offeringId));
+        if (!offering) return reject('OFFERING_NOT_FOUND');
+        if (!canWrite(user, offering)) return reject('NOT_ASSIGNED');
+        if (!isResultsEditable(offering)) return reject('RESULTS_LOCKED');
+        if (!enrolledByOffering.get(String(offeringId)).has(String(studentId))) return reject('NOT_ENROLLED');
+
+        const assessment = offering.assessments.id(assessmentId);
+        if (!assessment) return reject('UNKNOWN_ASSESSMENT');
+        if (score < 0 || score > assessment.maxScore) return reject('SCORE_OUT_OF_RANGE');
+
+        const key = `${studentId}:${assessmentId}`;
+        if (seenKeys.has(key)) return reject('DUPLICATE_ROW');
+        seenKeys.add(key);
+
+        const reason = typeof row.reason === 'string' && row.reason.trim() ? row.reason.trim() : undefined;
+        accepted.push({ index, offering, assessment, offeringId, studentId, assessmentId, score, reason });
+    });
+
+    return { accepted, rejected };
+};
+
+// --- Helpers ---
+
+// Validate an offering's full assessment breakdown. Returns a list of error messages.
+const validateAssessments = (assessments) => {
+    const errors = [];
+    if (!Array.isArray(assessments)) {
+        return ['Assessments must be an array'];
+    }
+
+    const seenNames = new Set();
+    let totalWeight = 0;
+
+    assessments.forEach((assessment, index) => {
+        const label = assessment?.name ? `"${assessment.name}"` : `#${index + 1}`;
+        const name = typeof assessment?.name === 'string' ? assessment.name.trim() : '';
+        if (!name) {
+            errors.push(`Assessment ${label} must have a name`);
+        } else if (seenNames.has(name.toLowerCase())) {
+            errors.push(`Assessment name "${name}" is used more than once`);
+        } else {
+            seenNames.add(name.toLowerCase());
+        }
+
+        if (typeof assessment?.maxScore !== 'number' || !Number.isFinite(assessment.maxScore) || assessment.maxScore <= 0) {
+            errors.push(`Assessment ${label} must have a positive maxScore`);
+        }
+
+        if (typeof assessment?.weight !== 'number' || !Number.isFinite(assessment.weight) || assessment.weight < 0) {
+            errors.push(`Assessment ${label} must have a non-negative weight`);
+        } else {
+            totalWeight += assessment.weight;
+        }
+    });
+
+    if (assessments.length > 0 && Math.abs(totalWeight - 100) > 0.001) {
+        errors.push(`Assessment weights must sum to 100 (currently ${Number(totalWeight.toFixed(2))})`);
+    }
+
+    return errors;
+};
+
+// Enrollments linked to an offering, in any status.
+// Some enrollments were linked to the Course instead of the Offering, so match either ID
+// (`npm run gradely-admin -- repair --only enrollment-links` relinks them).
+const offeringEnrollmentFilter = (offering) => {
+    const courseId = offering.courseId?._id || offering.courseId;
+    return {
+        $or: [
+            { offeringId: offering._id },
+            { offeringId: courseId }
+        ]
+    };
+};
+
+// Matches enrolled students, including older enrollments saved before statuses existed
+const ACTIVE_ENROLLMENT = { status: { $in: ['enrolled', null] } };
+
+// Active enrollments (with populated students) for an offering.
+// Waitlisted and dropped students are left out, so their marks stay stored but do not count.
+const findOfferingEnrollments = async (offering) => {
+    const enrollments = await Enrollment.find({ ...offeringEnrollmentFilter(offering), ...ACTIVE_ENROLLMENT })
+        .populate('studentId')
+        .populate('chosenLecturerId', 'fullName staffNo');
+
+    // Filter out orphaned enrollments (where studentId is null)
+    return enrollments.filter(e => e.studentId);
+};
+
+const roundTo = (value, decimals = 2) => Number(value.toFixed(decimals));
+
+// Grade scheme for an offering: its own, else its course's, else the default scheme.
+// Falls back to the legacy GradeScale collection, then the built-in bands.
+const resolveGradeScheme = async (offering) => {
+    const course = offering.populated('courseId') ? offering.courseId : await Course.findById(offering.courseId);
+    const schemeId = offering.gradeSchemeId || course?.gradeSchemeId;
+
+    const scheme = schemeId
+        ? await GradeScheme.findById(schemeId)
+        : await GradeScheme.findOne({ isDefault: true });
+    if (scheme) {
+        return { id: scheme._id, name: scheme.name, bands: scheme.bands };
+    }
+
+    const legacyBands = await GradeScale.find();
+    if (legacyBands.length > 0) {
+        return { id: null, name: 'Legacy grade scale', bands: legacyBands };
+    }
+    return { id: null, name: 'Default', bands: DEFAULT_GRADE_BANDS };
+};
+
+const formatGradeScheme = (scheme) => ({
+    id: scheme._id,
+    name: scheme.name,
+    description: scheme.description,
+    isDefault: scheme.isDefault,
+    bands: [...scheme.bands]
+        .sort((a, b) => b.minPercent - a.minPercent)
+        .map(({ letter, minPercent, maxPercent, points }) => ({ letter, minPercent, maxPercent, points }))
+});
+
+// Normalize a grade scheme request body. Returns { value } or { errors }.
+const parseGradeSchemeBody = (body) => {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const bands = Array.isArray(body.bands)
+        ? body.bands.map(band => ({
+            letter: typeof band.letter === 'string' ? band.letter.trim() : band.letter,
+            minPercent: band.minPercent,
+            maxPercent: band.maxPercent,
+            points: band.points
+        }))
+        : body.bands;
+
+    const { errors } = validateGradeBands(bands);
+    if (!name) errors.unshift('Grade scheme name is required');
+    if (errors.length > 0) return { errors };
+
+    return { value: { name, description: body.description, isDefault: Boolean(body.isDefault), bands } };
+};
+
+// Weighted results for every enrolled student in an offering.
+// This is the single place totals and grades are computed; the results table,
+// printed reports and exports all consume its output.
+const computeOfferingResults = async (offering) => {
+    const [enrollments, marks, gradeScheme] = await Promise.all([
+        findOfferingEnrollments(offering),
+        Mark.find({ offeringId: offering._id }),
+        resolveGradeScheme(offering)
+    ]);
+
+    const scoreByKey = new Map(marks.map(m => [`${m.studentId}:${m.assessmentId}`, m.score]));
+    const assessments = offering.assessments.map(a => ({
+        id: a._id,
+        name: a.name,
+        weight: a.weight,
+        maxScore: a.maxScore
+    }));
+
+    const results = enrollments.map(enrollment => {
+        const student = enrollment.studentId;
+        let finalPercent = 0;
+        let missingCount = 0;
+        let exceedsMax = false;
+
+        const breakdown = assessments.map(assessment => {
+            const score = scoreByKey.get(`${student._id}:${assessment.id}`) ?? null;
+            if (score === null) {
+                missingCount++;
+                return { assessmentId: assessment.id, score: null, percentage: null, contribution: 0 };
+            }
+
+            if (score > assessment.maxScore) exceedsMax = true;
+            const percentage = assessment.maxScore > 0 ? (score / assessment.maxScore) * 100 : 0;
+            const contribution = (percentage * assessment.weight) / 100;
+            finalPercent += contribution;
+
+            return {
+                assessmentId: assessment.id,
+                score,
+                percentage: roundTo(percentage),
+                contribution: roundTo(contribution)
+            };
+        });
+
+        finalPercent = roundTo(finalPercent);
+        // A score above its maximum is a data error, not a bonus: leave it ungraded
+        const scale = exceedsMax ? null : findGradeBand(finalPercent, gradeScheme.bands);
+
+        return {
+            studentId: student._id,
+            regNo: student.schoolID,
+            name: `${student.firstName} ${student.lastName}`,
+            email: student.email,
+            assessments: breakdown,
+            finalPercent,
+            grade: scale ? scale.letter : null,
+            gradePoints: scale ? scale.points : null,
+            passed: scale ? scale.points > 0 : false,
+            missingCount,
+            exceedsMax
+        };
+    });
+
+    return {
+        offering: {
+            id: offering._id,
+            courseCode: offering.courseId?.code,
+            title: offering.courseId?.name,
+            term: offering.term,
+            year: offering.year,
+            resultsStatus: offering.resultsStatus || 'draft'
+        },
+        gradeScheme: { id: gradeScheme.id, name: gradeScheme.name, bands: gradeScheme.bands },
+        assessments,
+        results,
+        statistics: summarizeResults(results)
+    };
+};
+
+const summarizeResults = (results) => {
+    const totals = results.map(r => r.finalPercent);
+    const passedStudents = results.filter(r => r.passed).length;
+    const distribution = {};
+    results.forEach(r => {
+        const key = r.grade || 'Ungraded';
+        distribution[key] = (distribution[key] || 0) + 1;
+    });
+
+    return {
+        totalStudents: results.length,
+        average: totals.length ? roundTo(totals.reduce((sum, t) => sum + t, 0) / totals.length) : 0,
+        highest: totals.length ? Math.max(...totals) : 0,
+        lowest: totals.length ? Math.min(...totals) : 0,
+        passRate: results.length ? roundTo((passedStudents / results.length) * 100) : 0,
+        passedStudents,
+        failedStudents: results.length - passedStudents,
+        missingMarks: results.reduce((sum, r) => sum + r.missingCount, 0),
+        studentsWithMissingMarks: results.filter(r => r.missingCount > 0).length,
+        distribution
+    };
+};
+
+// Quote a CSV field per RFC 4180
+const escapeCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheets run text starting with these as a formula, so exported text like that gets a leading '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const toCsv = (rows) => rows.map(row => row.map(value => escapeCsvField(neutralizeFormula(value))).join(',')).join('\r\n') + '\r\n';
+
+// Content-Disposition with an ASCII fallback name and the exact name in filename*
+const contentDisposition = (type, name) =>
+    `${type}; filename="${name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)}`;
+
+// Parse CSV text (RFC 4180 quoting, CRLF or LF) into an array of rows.
+// Spreadsheets saved in some locales use semicolons, so those are detected from the header.
+const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Gradebook workbook: the marks table, class statistics and the grade scale used,
+// with the same cells as the printed report and the CSV export
+const buildGradebookWorkbook = (payload, marksTable) => {
+    const workbook = new ExcelJS.Workbook();
+    const addSheet = (name, { headers, rows }, widths) => {
+        const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.addRows([headers, ...rows].map(row => row.map(neutralizeFormula)));
+        sheet.getRow(1).font = { bold: true };
+        sheet.columns.forEach((column, i) => { column.width = widths[i] ?? 12; });
+        return sheet;
+    };
+
+    const [headers, ...rows] = marksTable;
+    addSheet('Marks', { headers, rows }, [14, 28, 30]);
+    addSheet('Statistics', buildStatisticsTable(payload.statistics), [30, 12]);
+    const scaleSheet = addSheet('Grade Scale', buildGradeScaleTable(payload.gradeScheme), [10, 10, 10, 14]);
+    scaleSheet.addRow([]);
+    scaleSheet.addRow(['Scheme', neutralizeFormula(payload.gradeScheme.name)]);
+    return workbook;
+};
+
+// Text or number shown in a worksheet cell (formula results, rich text and links included)
+const worksheetCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return value;
+    if ('result' in value) return worksheetCellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return worksheetCellValue(value.text);
+    return '';
+};
+
+// Read the marks sheet of an uploaded workbook (the "Marks" sheet, else the first) as rows of cells
+const readWorkbookTable = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet('Marks') || workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const table = [];
+    sheet.eachRow({ includeEmpty: true }, (row) => {
+        table.push(Array.from({ length: sheet.columnCount }, (_, i) => worksheetCellValue(row.getCell(i + 1).value)));
+    });
+    return table;
+};
+
+// Read an uploaded table: CSV text in a JSON body's csv field, or an xlsx workbook posted
+// as the raw body (see the express.raw middleware on the upload routes).
+// Returns { table } or { error }.
+const readUploadedTable = async (req) => {
+    if (Buffer.isBuffer(req.body)) {
+        if (req.body.length === 0) return { error: 'The uploaded file is empty' };
+        try {
+            return { table: await readWorkbookTable(req.body) };
+        } catch {
+            return { error: 'The file could not be read as an xlsx workbook' };
+        }
+    }
+
+    const { csv } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return { error: 'Expected CSV text in the csv field or an xlsx file' };
+    }
+    return { table: parseCsv(csv) };
+};
+
+// Headers accepted for the registration number column of a marks import or roster
+const REG_NO_HEADERS = ['schoolid', 'regno', 'registrationnumber', 'registrationno', 'admissionnumber'];
+
+// Index of the first header cell that matches one of `names` (compared as lowercase letters only)
+const findHeaderColumn = (header, names) =>
+    header.findIndex(cell => names.includes(String(cell ?? '').toLowerCase().replace(/[^a-z]/g, '')));
+
+const IMPORT_ERRORS = {
+    MISSING_REG_NO: 'Row has no registration number',
+    DUPLICATE_ROW: 'This registration number appears more than once',
+    INVALID_SCORE: 'Score is not a number',
+    SCORE_OUT_OF_RANGE: MARK_REJECTIONS.SCORE_OUT_OF_RANGE
+};
+
+// Compare an imported marks table (header row first) with the offering's students and marks.
+// Assessment columns match by name, ignoring case and the " (/max)" suffix used by exports;
+// blank cells leave a mark untouched. Returns { error } when the header cannot be used.
+const buildMarksImport = async (offering, table) => {
+    // Exports put a ' before names that would run as formulas; drop it so they match again
+    const normalizeHeader = (value) => String(value ?? '').trim().replace(/^'(?=[=+\-@])/, '').toLowerCase();
+    const [header = [], ...body] = table;
+
+    const regNoIndex = findHeaderColumn(header, REG_NO_HEADERS);
+    if (regNoIndex === -1) {
+        return { error: 'The first row must include a schoolID (registration number) column' };
+    }
+
+    const assessmentByName = new Map(offering.assessments.map(a => [a.name.trim().toLowerCase(), a]));
+    const columns = [];
+    const ignoredColumns = [];
+    for (const [index, cell] of header.entries()) {
+        if (index === regNoIndex) continue;
+        const assessment = assessmentByName.get(normalizeHeader(cell).replace(/\s*\(\/\s*[\d.]+\)$/, ''));
+        if (!assessment) {
+            if (String(cell ?? '').trim()) ignoredColumns.push(String(cell).trim());
+            continue;
+        }
+        if (columns.some(column => column.assessment._id.equals(assessment._id))) {
+            return { error: `More than one column is for the assessment "${assessment.name}"` };
+        }
+        columns.push({ index, header: String(cell).trim(), assessment });
+    }
+    if (columns.length === 0) {
+        return { error: 'No column matches an assessment of this offering' };
+    }
+
+    const [enrollments, marks] = await Promise.all([
+        findOfferingEnrollments(offering),
+        Mark.find({ offeringId: offering._id })
+    ]);
+    const studentByRegNo = new Map(enrollments.map(e => [String(e.studentId.schoolID).trim().toLowerCase(), e.studentId]));
+    const scoreByKey = new Map(marks.map(m => [`${m.studentId}:${m.assessmentId}`, m.score]));
+
+    const changes = [];
+    const errors = [];
+    const unknownRegNos = [];
+    const seenStudents = new Set();
+    let rowCount = 0;
+
+    body.forEach((cells, i) => {
+        const row = i + 2; // Spreadsheet row number, counting the header as row 1
+        if (cells.every(cell => String(cell ?? '').trim() === '')) return;
+        rowCount++;
+
+        const regNo = String(cells[regNoIndex] ?? '').trim();
+        const error = (code, extra = {}) => errors.push({ row, regNo, code, message: IMPORT_ERRORS[code], ...extra });
+        if (!regNo) return error('MISSING_REG_NO');
+
+        const student = studentByRegNo.get(regNo.toLowerCase());
+        if (!student) return unknownRegNos.push({ row, regNo });
+        if (seenStudents.has(student._id.toString())) return error('DUPLICATE_ROW');
+        seenStudents.add(student._id.toString());
+
+        for (const { index, header: column, assessment } of columns) {
+            const value = String(cells[index] ?? '').trim();
+            if (value === '') continue;
+
+            const score = Number(value);
+            if (!Number.isFinite(score)) {
+                error('INVALID_SCORE', { column, value });
+                continue;
+            }
+            if (score < 0 || score > assessment.maxScore) {
+                error('SCORE_OUT_OF_RANGE', { column, value });
+                continue;
+            }
+
+            const oldScore = scoreByKey.get(`${student._id}:${assessment._id}`) ?? null;
+            changes.push({
+                row,
+                regNo: student.schoolID,
+                studentId: student._id,
+                name: `${student.firstName} ${student.lastName}`,
+                assessmentId: assessment._id,
+                assessmentName: assessment.name,
+                oldScore,
+                newScore: score,
+                change: oldScore === null ? 'create' : oldScore === score ? 'unchanged' : 'update'
+            });
+        }
+    });
+
+    return {
+        columns: {
+            assessments: columns.map(({ header: column, assessment }) => ({ header: column, assessmentId: assessment._id, name: assessment.name })),
+            ignored: ignoredColumns,
+            missing: offering.assessments
+                .filter(a => !columns.some(column => column.assessment._id.equals(a._id)))
+                .map(a => a.name)
+        },
+        summary: {
+            rows: rowCount,
+            matchedStudents: seenStudents.size,
+            unknownRegNos: unknownRegNos.length,
+            create: changes.filter(c => c.change === 'create').length,
+            update: changes.filter(c => c.change === 'update').length,
+            unchanged: changes.filter(c => c.change === 'unchanged').length,
+            errors: errors.length
+        },
+        changes,
+        unknownRegNos,
+        errors
+    };
+};
+
+// --- Sessions ---
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) =>
+    jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Create a refresh token in the given family (a new family starts a new session)
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const hash = hashToken(token);
+    await RefreshToken.create({
+        userId,
+        tokenHash: hash,
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return { token, hash };
+};
+
+const revokeSessions = (filter) =>
+    RefreshToken.updateMany({ ...filter, revokedAt: null }, { revokedAt: new Date() });
+
+// Issue a single-use emailed token, invalidating any earlier unused one for the same purpose
+const issueUserToken = async (userId, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.updateMany({ userId, purpose, usedAt: null }, { usedAt: new Date() });
+    await UserToken.create({ userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) });
+    return token;
+};
+
+// Mark a token used and return it, or null if it is unknown, used or expired
+const consumeUserToken = (token, purpose) => {
+    if (typeof token !== 'string' || !token) return null;
+    return UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your Gradely email address',
+        text: [
+            `Hello ${user.fullName},`,
+            '',
+            'Please confirm your email address by opening this link:',
+            `${APP_BASE_URL}/verify-email?token=${token}`,
+            '',
+            `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+        ].join('\n')
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your Gradely password',
+        text: [
+            `Hello ${user.fullName},`,
+            '',
+            'Someone asked to reset the password for your account. To choose a new password, open this link:',
+            `${APP_BASE_URL}/reset-password?token=${token}`,
+            '',
+            `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+            'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+// Invitation codes are typed by hand, so use unambiguous uppercase groups (XXXX-XXXX-XXXX)
+const generateInviteCode = () =>
+    crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+
+const normalizeInviteCode = (code) => String(code || '').trim().toUpperCase();
+
+const invitationStatus = (invitation) => {
+    if (invitation.revokedAt) return 'revoked';
+    if (invitation.usedAt) return 'used';
+    if (invitation.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+};
+
+const formatInvitation = (invitation) => ({
+    id: invitation._id,
+    email: invitation.email,
+    staffNo: invitation.staffNo,
+    role: invitation.role,
+    status: invitationStatus(invitation),
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt,
+    createdBy: invitation.createdBy?.fullName ? { id: invitation.createdBy._id, fullName: invitation.createdBy.fullName } : null,
+    usedAt: invitation.usedAt || null,
+    usedBy: invitation.usedBy?.fullName ? { id: invitation.usedBy._id, fullName: invitation.usedBy.fullName } : null,
+    revokedAt: invitation.revokedAt || null
+});
+
+// Wait required after `failures` consecutive failures: 1s, 2s, 4s, ... capped at 30s
+const loginDelayMs = (failures) => (failures > 0 ? Math.min(1000 * 2 ** (failures - 1), 30000) : 0);
+
+const recordLoginAttempt = (req, { email, user, success, reason }) =>
+    LoginAttempt.create({
+        email,
+        userId: user?._id,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        success,
+        reason
+    }).catch(error => console.error('Record login attempt error:', error));
+
+// Count a failed password, locking the account once it reaches the limit
+const registerLoginFailure = async (user) => {
+    const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { failedLoginCount: 1 }, lastFailedLoginAt: new Date() },
+        { new: true }
+    );
+    if (updated.failedLoginCount >= LOGIN_MAX_FAILURES) {
+        updated.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+        updated.failedLoginCount = 0;
+        await updated.save();
+    }
+    return updated;
+};
+
+const formatAuthUser = (user) => ({
+    id: user._id,
+    email: user.email,
+    fullName: user.fullName,
+    staffNo: user.staffNo,
+    role: user.role,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
+// Access token, new refresh token family and profile for a completed login
+const createSession = async (user) => {
+    const refreshToken = await issueRefreshToken(user._id);
+    return { token: signAccessToken(user), refreshToken: refreshToken.token, user: formatAuthUser(user) };
+};
+
+// Short-lived token proving the password step passed; `purpose` is '2fa' or '2fa_setup'
+const signTwoFactorChallenge = (user, purpose) =>
+    jwt.sign({ id: user._id, purpose }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+
+const verifyTwoFactorChallenge = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+        return decoded.purpose === purpose ? decoded.id : null;
+    } catch {
+        return null;
+    }
+};
+
+// Accept a TOTP code once, or a recovery code (which is then spent). Saves the user on success.
+const consumeTwoFactorCode = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const hash = hashToken(String(recoveryCode).trim().toUpperCase());
+        const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+        if (index === -1) return false;
+        user.twoFactor.recoveryCodeHashes.splice(index, 1);
+        await user.save();
+        return true;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+};
+
+const issueRecoveryCodes = (user) => {
+    const codes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = codes.map(hashToken);
+    return codes;
+};
+
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    lockedUntil,
+    message: `Account locked until ${lockedUntil.toISOString()} after too many failed attempts`
+});
+
+// --- Routes ---
+
+// Emails are stored lowercased. Anything but a string (e.g. a query operator) gives null.
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+// Register with an Invitation (the invitation decides the role)
+app.post('/auth/register', async (req, res) => {
+    try {
+        const { email, password, fullName, staffNo, inviteCode } = req.body;
+
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        const name = typeof fullName === 'string' ? fullName.trim() : '';
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Full name is required' });
+        }
+
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        const existingUser = await User.findOne({ email: normalizedEmail });
+        if (existingUser) {
+            return res.status(400).json({ success: false, message: 'User already exists' });
+        }
+
+        // Claim the invitation atomically so a code cannot be used twice
+        const invitation = await Invitation.findOneAndUpdate(
+            {
+                codeHash: hashToken(normalizeInviteCode(inviteCode)),
+                email: normalizedEmail,
+                staffNo: String(staffNo || '').trim(),
+                usedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+        if (!invitation) {
+            return res.status(403).json({
+                success: false,
+                code: 'INVALID_INVITATION',
+                message: 'This invitation code is invalid, expired, or does not match your email and staff number'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const user = new User({
+            email: invitation.email,
+            passwordHash: hashedPassword,
+            fullName: name,
+            staffNo: invitation.staffNo,
+            role: invitation.role,
+            emailVerified: false
+        });
+
+        try {
+            await user.save();
+        } catch (error) {
+            // Give the invitation back if the account could not be created
+            await Invitation.updateOne({ _id: invitation._id }, { $unset: { usedAt: 1 } });
+            throw error;
+        }
+        invitation.usedBy = user._id;
+        await invitation.save();
+
+        await sendVerificationEmail(user);
+        res.status(201).json({ success: true, message: 'User registered successfully. Check your email to verify your address.' });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Failed attempts that count toward the per-IP limit
+const LOGIN_GUESS_FAILURES = ['invalid_credentials', 'invalid_two_factor'];
+
+// Login
+app.post('/auth/login', async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        const { password } = req.body;
+        if (!email || typeof password !== 'string') {
+            return res.status(400).json({ success: false, message: 'Email and password are required' });
+        }
+        const attempt = { email };
+
+        // Per-IP limit: too many recent wrong passwords or codes from one address, whichever
+        // accounts they target. Throttled requests are not recorded, so retrying does not
+        // extend the wait, and unverified or locked accounts do not count as guesses.
+        const ipFailures = await LoginAttempt.countDocuments({
+            ip: req.ip,
+            success: false,
+            reason: { $in: LOGIN_GUESS_FAILURES },
+            createdAt: { $gt: new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * 60 * 1000) }
+        });
+        if (ipFailures >= LOGIN_IP_MAX_FAILURES) {
+            res.set('Retry-After', String(LOGIN_IP_WINDOW_MINUTES * 60));
+            return res.status(429).json({
+                success: false,
+                code: 'TOO_MANY_ATTEMPTS',
+                retryAfter: LOGIN_IP_WINDOW_MINUTES * 60,
+                message: 'Too many failed login attempts from this address. Please try again later.'
+            });
+        }
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'invalid_credentials' });
+            return res.status(400).json({ success: false, message: 'Invalid credentials' });
+        }
+        attempt.user = user;
+
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'locked' });
+            return lockedResponse(res, user.lockedUntil);
+        }
+
+        // Progressive delay between attempts on the same account
+        const retryAt = user.lastFailedLoginAt
+            ? user.lastFailedLoginAt.getTime() + loginDelayMs(user.failedLoginCount)
+            : 0;
+        if (retryAt > Date.now()) {
+            const retryAfter = Math.ceil((retryAt - Date.now()) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                code: 'TOO_MANY_ATTEMPTS',
+                retryAfter,
+                message: `Please wait ${retryAfter} seconds before trying again`
+            });
+        }
+
+        const isMatch = await bcrypt.compare(password, user.passwordHash);
+        if (!isMatch) {
+            const updated = await registerLoginFailure(user);
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'invalid_credentials' });
+            if (updated.lockedUntil && updated.lockedUntil > new Date()) {
+                return lockedResponse(res, updated.lockedUntil);
+            }
+            return res.status(400).json({ success: false, message: 'Invalid credentials' });
+        }
+
+        if (user.failedLoginCount || user.lockedUntil) {
+            await User.updateOne({ _id: user._id }, { failedLoginCount: 0, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } });
+        }
+
+        if (user.emailVerified === false) {
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'email_not_verified' });
+            return res.status(403).json({
+                success: false,
+                code: 'EMAIL_NOT_VERIFIED',
+                message: 'Please verify your email address before logging in'
+            });
+        }
+
+        // With 2FA the password only earns a challenge; enforced users must enrol first
+        if (user.twoFactor?.enabled || user.twoFactorRequired) {
+            const setupRequired = !user.twoFactor?.enabled;
+            recordLoginAttempt(req, { ...attempt, success: true, reason: 'two_factor_pending' });
+            return res.json({
+                success: true,
+                data: {
+                    twoFactorRequired: !setupRequired,
+                    twoFactorSetupRequired: setupRequired,
+                    challengeToken: signTwoFactorChallenge(user, setupRequired ? '2fa_setup' : '2fa')
+                }
+            });
+        }
+
+        recordLoginAttempt(req, { ...attempt, success: true, reason: 'ok' });
+        res.json({ success: true, data: await createSession(user) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Second Login Step: a TOTP code or recovery code for the challenge from /auth/login
+app.post('/auth/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const userId = verifyTwoFactorChallenge(challengeToken, '2fa');
+        const user = userId ? await User.findById(userId) : null;
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(401).json({ success: false, code: 'CHALLENGE_EXPIRED', message: 'Your login has expired. Please sign in again.' });
+        }
+        const attempt = { email: user.email, user };
+
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'locked' });
+            return lockedResponse(res, user.lockedUntil);
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        if (!(await consumeTwoFactorCode(user, { code, recoveryCode }))) {
+            const updated = await registerLoginFailure(user);
+            recordLoginAttempt(req, { ...attempt, success: false, reason: 'invalid_two_factor' });
+            if (updated.lockedUntil && updated.lockedUntil > new Date()) {
+                return lockedResponse(res, updated.lockedUntil);
+            }
+            return res.status(400).json({ success: false, code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid verification code' });
+        }
+
+        recordLoginAttempt(req, { ...attempt, success: true, reason: 'ok' });
+        res.json({
+            success: true,
+            data: {
+                ...(await createSession(user)),
+                recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Verify an Email Address
+app.post('/auth/verify-email', async (req, res) => {
+    try {
+        const used = await consumeUserToken(req.body.token, 'email_verification');
+        if (!used) {
+            return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+        }
+
+        await User.updateOne({ _id: used.userId }, { emailVerified: true });
+        res.json({ success: true, message: 'Email address verified. You can now log in.' });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Resend the Verification Email (the response never reveals whether the account exists)
+app.post('/auth/resend-verification', async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Email is required' });
+        }
+        const user = await User.findOne({ email });
+        if (user && user.emailVerified === false) {
+            await sendVerificationEmail(user);
+        }
+        res.json({ success: true, message: 'If that account needs verifying, a new link has been sent.' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Request a Password Reset Email (the response never reveals whether the account exists)
+app.post('/auth/forgot-password', async (req, res) => {
+    try {
+        const email = normalizeEmail(req.body.email);
+        if (!email) {
+            return res.status(400).json({ success: false, message: 'Email is required' });
+        }
+        const user = await User.findOne({ email });
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+        res.json({ success: true, message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Reset a Password with an emailed Token
+app.post('/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const used = await consumeUserToken(token, 'password_reset');
+        if (!used) {
+            return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+        }
+
+        // Receiving the link proves the address, and a new password ends every existing session
+        await User.updateOne({ _id: used.userId }, { passwordHash: await bcrypt.hash(password, 10), emailVerified: true });
+        await revokeSessions({ userId: used.userId });
+
+        res.json({ success: true, message: 'Password updated. You can now log in.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Exchange a Refresh Token for a new Access Token (the refresh token is rotated)
+app.post('/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ success: false, message: 'Refresh token is required' });
+        }
+
+        // Claim the token before issuing its successor, so two concurrent refreshes cannot both rotate it
+        const tokenHash = hashToken(refreshToken);
+        const now = new Date();
+        const stored = await RefreshToken.findOneAndUpdate(
+            { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+            { revokedAt: now },
+            { new: true }
+        );
+        if (!stored) {
+            const existing = await RefreshToken.findOne({ tokenHash });
+            if (existing?.revokedAt && existing.expiresAt > now) {
+                // A rotated token was presented again: assume it leaked and end the session
+                await revokeSessions({ family: existing.family });
+                return res.status(401).json({ success: false, message: 'Session revoked' });
+            }
+            return res.status(401).json({ success: false, message: 'Session expired' });
+        }
+
+        const user = await User.findById(stored.userId);
+        if (!user) {
+            await revokeSessions({ family: stored.family });
+            return res.status(401).json({ success: false, message: 'Session expired' });
+        }
+
+        const next = await issueRefreshToken(user._id, stored.family);
+        await RefreshToken.updateOne({ _id: stored._id }, { replacedByHash: next.hash });
+
+        res.json({
+            success: true,
+            data: {
+                token: signAccessToken(user),
+                refreshToken: next.token,
+                user: formatAuthUser(user)
+            }
+        });
+    } catch (error) {
+        console.error('Refresh error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Logout: revoke this session, or every session of the user with `all: true`
+app.post('/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken, all } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({ success: false, message: 'Refresh token is required' });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (stored) {
+            await revokeSessions(all ? { userId: stored.userId } : { family: stored.family });
+        }
+
+        res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Invite a Lecturer or Admin (admin)
+app.post('/admin/invitations', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const staffNo = String(req.body.staffNo || '').trim();
+        const role = req.body.role || 'lecturer';
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || !staffNo) {
+            return res.status(400).json({ success: false, message: 'A valid email and staff number are required' });
+        }
+        if (!['lecturer', 'admin'].includes(role)) {
+            return res.status(400).json({ success: false, message: 'Invitations can only be for lecturers or admins' });
+        }
+        if (await User.exists({ email })) {
+            return res.status(409).json({ success: false, message: 'An account with this email already exists' });
+        }
+        if (await Invitation.exists({ email, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } })) {
+            return res.status(409).json({ success: false, message: 'This email already has a pending invitation; revoke it first' });
+        }
+
+        const code = generateInviteCode();
+        const invitation = await Invitation.create({
+            email,
+            staffNo,
+            role,
+            codeHash: hashToken(code),
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+            createdBy: req.user._id
+        });
+
+        await sendMail({
+            to: email,
+            subject: 'You have been invited to Gradely',
+            text: [
+                'Hello,',
+                '',
+                `You have been invited to join Gradely as ${role === 'admin' ? 'an admin' : 'a lecturer'}.`,
+                `Register with your staff number (${staffNo}) and this invitation code: ${code}`,
+                '',
+                `${APP_BASE_URL}/register?code=${code}&email=${encodeURIComponent(email)}`,
+                '',
+                `The invitation expires in ${INVITATION_TTL_DAYS} days.`
+            ].join('\n')
+        });
+
+        // The code is only ever shown here and in the email
+        res.status(201).json({ success: true, data: { ...formatInvitation(invitation), code } });
+    } catch (error) {
+        console.error('Create invitation error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// List Invitations (admin), optionally only those with the given status
+app.get('/admin/invitations', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const invitations = await Invitation.find()
+            .populate('createdBy', 'fullName')
+            .populate('usedBy', 'fullName')
+            .sort({ createdAt: -1 });
+
+        const formatted = invitations.map(formatInvitation);
+        res.json(status ? formatted.filter(invitation => invitation.status === status) : formatted);
+    } catch (error) {
+        console.error('Fetch invitations error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Revoke a pending Invitation (admin)
+app.delete('/admin/invitations/:id', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const invitation = mongoose.isValidObjectId(req.params.id) ? await Invitation.findById(req.params.id) : null;
+        if (!invitation) {
+            return res.status(404).json({ success: false, message: 'Invitation not found' });
+        }
+        if (invitation.usedAt) {
+            return res.status(409).json({ success: false, message: 'This invitation has already been used' });
+        }
+
+        if (!invitation.revokedAt) {
+            invitation.revokedAt = new Date();
+            await invitation.save();
+        }
+        res.json({ success: true, data: formatInvitation(invitation) });
+    } catch (error) {
+        console.error('Revoke invitation error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// List Users (admin); `?locked=true` lists only accounts that are currently locked
+app.get('/admin/users', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const filter = req.query.locked === 'true' ? { lockedUntil: { $gt: new Date() } } : {};
+        const users = await User.find(filter)
+            .select('email fullName role staffNo failedLoginCount lockedUntil twoFactorRequired twoFactor.enabled')
+            .sort({ fullName: 1 });
+
+        res.json(users.map(user => ({
+            id: user._id,
+            email: user.email,
+            fullName: user.fullName,
+            role: user.role,
+            staffNo: user.staffNo,
+            failedLoginCount: user.failedLoginCount || 0,
+            lockedUntil: user.lockedUntil > new Date() ? user.lockedUntil : null,
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            twoFactorRequired: Boolean(user.twoFactorRequired)
+        })));
+    } catch (error) {
+        console.error('Fetch users error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Unlock an Account locked by failed logins (admin)
+app.post('/admin/users/:id/unlock', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id)
+            ? await User.findByIdAndUpdate(
+                req.params.id,
+                { failedLoginCount: 0, $unset: { lockedUntil: 1, lastFailedLoginAt: 1 } },
+                { new: true }
+            )
+            : null;
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({ success: true, data: { id: user._id, lockedUntil: null } });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Login Attempt Log (admin), newest first, filterable by email, IP and outcome
+app.get('/admin/login-attempts', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { email, ip, success } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const filter = {
+            ...(email && { email: String(email).trim().toLowerCase() }),
+            ...(ip && { ip: String(ip) }),
+            ...(success === 'true' && { success: true }),
+            ...(success === 'false' && { success: false })
+        };
+
+        const attempts = await LoginAttempt.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.json(attempts.map(attempt => ({
+            id: attempt._id,
+            email: attempt.email,
+            userId: attempt.userId || null,
+            ip: attempt.ip,
+            userAgent: attempt.userAgent,
+            success: attempt.success,
+            reason: attempt.reason,
+            createdAt: attempt.createdAt
+        })));
+    } catch (error) {
+        console.error('Fetch login attempts error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Middleware for 2FA enrolment: a signed-in user, or one whose login is waiting on enforced enrolment
+const authenticateTwoFactorSetup = async (req, res, next) => {
+    const setupUserId = verifyTwoFactorChallenge(req.body?.challengeToken, '2fa_setup');
+    if (setupUserId) {
+        req.user = { _id: setupUserId };
+        req.twoFactorSetupLogin = true;
+        return next();
+    }
+    authenticate(req, res, next);
+};
+
+// Get the caller's 2FA Status
+app.get('/auth/2fa', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        res.json({
+            enabled: Boolean(user.twoFactor?.enabled),
+            required: Boolean(user.twoFactorRequired),
+            recoveryCodesRemaining: user.twoFactor?.recoveryCodeHashes?.length || 0
+        });
+    } catch (error) {
+        console.error('Fetch two-factor status error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Start 2FA Enrolment: create a secret to confirm with /auth/2fa/enable
+app.post('/auth/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (user.twoFactor?.enabled) {
+            return res.status(409).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            data: { secret, otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }) }
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Finish 2FA Enrolment with a code from the app; returns recovery codes once
+// (and a session, when enrolment was part of logging in)
+app.post('/auth/2fa/enable', authenticateTwoFactorSetup, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user?.twoFactor?.pendingSecret) {
+            return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ success: false, code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid verification code' });
+        }
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabledAt = new Date();
+        const recoveryCodes = issueRecoveryCodes(user);
+        await user.save();
+
+        if (req.twoFactorSetupLogin) {
+            recordLoginAttempt(req, { email: user.email, user, success: true, reason: 'ok' });
+        }
+        res.json({
+            success: true,
+            data: {
+                recoveryCodes,
+                ...(req.twoFactorSetupLogin && await createSession(user))
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Turn off 2FA (needs the password and a current code; not allowed when an admin requires it)
+app.post('/auth/2fa/disable', authenticate, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await User.findById(req.user._id);
+        if (!user?.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+        if (user.twoFactorRequired) {
+            return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your account' });
+        }
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            return lockedResponse(res, user.lockedUntil);
+        }
+        // A stolen access token must not allow unlimited guesses, so failures count towards the login lockout
+        if (!(await bcrypt.compare(String(password || ''), user.passwordHash))
+            || !(await consumeTwoFactorCode(user, { code, recoveryCode }))) {
+            const updated = await registerLoginFailure(user);
+            recordLoginAttempt(req, { email: user.email, user, success: false, reason: 'invalid_two_factor' });
+            if (updated.lockedUntil && updated.lockedUntil > new Date()) {
+                return lockedResponse(res, updated.lockedUntil);
+            }
+            return res.status(400).json({ success: false, message: 'Password or verification code is incorrect' });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Replace the Recovery Codes (needs a current code)
+app.post('/auth/2fa/recovery-codes', authenticate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user?.twoFactor?.enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            return lockedResponse(res, user.lockedUntil);
+        }
+        if (!(await consumeTwoFactorCode(user, { code: req.body.code }))) {
+            const updated = await registerLoginFailure(user);
+            recordLoginAttempt(req, { email: user.email, user, success: false, reason: 'invalid_two_factor' });
+            if (updated.lockedUntil && updated.lockedUntil > new Date()) {
+                return lockedResponse(res, updated.lockedUntil);
+            }
+            return res.status(400).json({ success: false, code: 'INVALID_TWO_FACTOR_CODE', message: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = issueRecoveryCodes(user);
+        await user.save();
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Reset a User's 2FA, e.g. after a lost phone (admin); their sessions are ended
+app.post('/admin/users/:id/two-factor/reset', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+        await revokeSessions({ userId: user._id });
+        res.json({ success: true, data: { id: user._id, twoFactorEnabled: false } });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Require (or stop requiring) 2FA for a User (admin)
+app.put('/admin/users/:id/two-factor', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        if (typeof req.body.required !== 'boolean') {
+            return res.status(400).json({ success: false, message: 'required must be true or false' });
+        }
+
+        const user = mongoose.isValidObjectId(req.params.id)
+            ? await User.findByIdAndUpdate(req.params.id, { twoFactorRequired: req.body.required }, { new: true })
+            : null;
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({ success: true, data: { id: user._id, twoFactorRequired: user.twoFactorRequired } });
+    } catch (error) {
+        console.error('Require two-factor error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Revoke every Session of a User (admin)
+app.post('/admin/users/:id/revoke-sessions', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id) || !(await User.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const { modifiedCount } = await revokeSessions({ userId: req.params.id });
+        res.json({ success: true, data: { revoked: modifiedCount } });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get Offerings
+app.get('/lecturer/offerings', authenticate, async (req, res) => {
+    try {
+        const offerings = await CourseOffering.find({
+            assignedLecturerIds: req.user._id
+        })
+            .populate('courseId')
+            .populate('assignedLecturerIds', 'fullName staffNo');
+
+        const formattedOfferings = offerings.map(offering => ({
+            id: offering._id,
+            courseCode: offering.courseId?.code,
+            title: offering.courseId?.name,
+            term: offering.term,
+            year: offering.year,
+            credits: offering.courseId?.credits,
+            assessments: offering.assessments,
+            resultsStatus: offering.resultsStatus || 'draft'
+        }));
+
+        res.json(formattedOfferings);
+    } catch (error) {
+        console.error('Fetch offerings error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+
+// Get Students for Offering
+app.get('/lecturer/offerings/:id/students', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        const validEnrollments = await findOfferingEnrollments(req.offering);
+
+        const formattedStudents = validEnrollments.map(enrollment => ({
+            id: enrollment.studentId._id,
+            name: `${enrollment.studentId.firstName} ${enrollment.studentId.lastName}`,
+            regNo: enrollment.studentId.schoolID,
+            email: enrollment.studentId.email
+        }));
+
+        res.json(formattedStudents);
+    } catch (error) {
+        console.error('Fetch students error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Record changes to marks in the audit trail
+const recordMarkHistory = (changes, user, { session } = {}) => {
+    if (changes.length === 0) return Promise.resolve([]);
+    return MarkHistory.insertMany(changes.map(change => ({
+        markId: change.markId,
+        offeringId: change.offeringId,
+        studentId: change.studentId,
+        assessmentId: change.assessmentId,
+        action: change.action,
+        oldScore: change.oldScore ?? null,
+        newScore: change.newScore ?? null,
+        changedBy: user._id,
+        reason: change.reason,
+        issueId: change.issueId
+    })), { session });
+};
+
+// Index of the first failed operation of an ordered bulkWrite; without write errors
+// (e.g. a lost connection) any of the operations may have been applied
+const firstWriteErrorIndex = (error) => {
+    const writeErrors = [error.writeErrors ?? []].flat();
+    return writeErrors.length > 0 ? Math.min(...writeErrors.map(writeError => writeError.index)) : Infinity;
+};
+
+// Undo written mark rows ({ row, kind, markId, previous }), e.g. those saved before an atomic
+// batch failed. Created marks are deleted and updated marks get their previous values back;
+// each reversal goes into the mark history, with the reason, after the write it undoes.
+const rollBackMarkRows = async (written, user, reason) => {
+    if (written.length === 0) return;
+    const operations = written.map(({ row, kind, previous }) => {
+        const filter = { assessmentId: row.assessmentId, studentId: row.studentId };
+        return kind === 'created'
+            ? { deleteOne: { filter } }
+            : {
+                updateOne: {
+                    filter,
+                    update: { $set: { offeringId: previous.offeringId, lecturerId: previous.lecturerId, score: previous.score } }
+                }
+            };
+    });
+    try {
+        await Mark.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        console.error('Roll back marks error; these rows may still hold the new score:',
+            written.map(({ row }) => `${row.studentId}:${row.assessmentId}`), error);
+        throw error;
+    }
+    await recordMarkHistory(written.map(({ row, kind, markId, previous }) => ({
+        markId,
+        offeringId: row.offeringId,
+        studentId: row.studentId,
+        assessmentId: row.assessmentId,
+        action: kind === 'created' ? 'delete' : 'update',
+        oldScore: row.score,
+        newScore: kind === 'created' ? null : previous.score,
+        reason,
+        issueId: row.issueId
+    })), user);
+};
+
+// Write accepted mark rows with a single bulkWrite and classify each one.
+// Unordered (non-atomic) writes report individual failures instead of throwing. Without
+// transactions, a failed atomic write undoes the rows before the failure and rethrows.
+const writeMarkRows = async (user, rows, { atomic }) => {
+    const existing = rows.length > 0
+        ? await Mark.find({ $or: rows.map(({ assessmentId, studentId }) => ({ assessmentId, studentId })) })
+        : [];
+    const existingByKey = new Map(existing.map(m => [`${m.studentId}:${m.assessmentId}`, m]));
+
+    const report = { created: [], updated: [], unchanged: [], rejected: [] };
+    const pending = [];
+
+    rows.forEach(row => {
+        const entry = { index: row.index, studentId: row.studentId, assessmentId: row.assessmentId, score: row.score };
+        const previous = existingByKey.get(`${row.studentId}:${row.assessmentId}`);
+
+        if (previous && previous.score === row.score) {
+            report.unchanged.push(entry);
+        } else if (previous) {
+            pending.push({ row, entry: { ...entry, previousScore: previous.score }, kind: 'updated', markId: previous._id, previous });
+        } else {
+            pending.push({ row, entry, kind: 'created' });
+        }
+    });
+
+    const operations = pending.map(({ row }) => ({
+        updateOne: {
+            filter: { assessmentId: row.assessmentId, studentId: row.studentId },
+            update: {
+                $set: {
+                    offeringId: row.offeringId,
+                    lecturerId: user._id,
+                    score: row.score
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    const historyFor = (items) => items.map(({ row, entry, kind, markId }) => ({
+        markId,
+        offeringId: row.offeringId,
+        studentId: row.studentId,
+        assessmentId: row.assessmentId,
+        action: kind === 'created' ? 'create' : 'update',
+        oldScore: entry.previousScore,
+        newScore: row.score,
+        reason: row.reason,
+        issueId: row.issueId
+    }));
+
+    const failedIndexes = new Set();
+    if (operations.length > 0) {
+        if (atomic && USE_TRANSACTIONS) {
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    await Mark.bulkWrite(operations, { ordered: true, session });
+                    await recordMarkHistory(historyFor(pending), user, { session });
+                });
+            } finally {
+                await session.endSession();
+            }
+        } else {
+            try {
+                await Mark.bulkWrite(operations, { ordered: atomic });
+            } catch (error) {
+                if (atomic) {
+                    // The rows before the failure were saved: record them, then undo them
+                    const written = pending.slice(0, firstWriteErrorIndex(error));
+                    await recordMarkHistory(historyFor(written), user);
+                    await rollBackMarkRows(written, user, 'Rolled back: the rest of the batch could not be saved');
+                    throw error;
+                }
+                if (!error.writeErrors) throw error;
+                const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+                writeErrors.forEach(writeError => failedIndexes.add(writeError.index));
+            }
+            await recordMarkHistory(historyFor(pending.filter((_, i) => !failedIndexes.has(i))), user);
+        }
+    }
+
+    pending.forEach(({ row, entry, kind }, i) => {
+        if (failedIndexes.has(i)) {
+            report.rejected.push(markRejection(row, row.index, 'WRITE_FAILED'));
+        } else {
+            report[kind].push(entry);
+        }
+    });
+
+    return report;
+};
+
+// Submit Marks
+// Every row is checked against the access policy before anything is written.
+// With atomic=true (the default) a single refused row rejects the whole batch;
+// with atomic=false the valid rows are saved and the rest are reported back.
+app.post('/lecturer/marks/batch', authenticate, requireRole('lecturer', 'admin'), async (req, res) => {
+    try {
+        const marksData = req.body;
+        const atomic = req.query.atomic !== 'false';
+        if (!Array.isArray(marksData) || marksData.length === 0) {
+            return res.status(400).json({ success: false, message: 'Expected a non-empty array of marks' });
+        }
+
+        const { accepted, rejected } = await checkMarkRows(req.user, marksData);
+        if (atomic && rejected.length > 0) {
+            return res.status(422).json({
+                success: false,
+                atomic,
+                message: `${rejected.length} of ${marksData.length} marks were rejected; nothing was saved`,
+                summary: { created: 0, updated: 0, unchanged: 0, rejected: rejected.length },
+                rejected
+            });
+        }
+
+        const report = await writeMarkRows(req.user, accepted, { atomic });
+        report.rejected = [...rejected, ...report.rejected].sort((a, b) => a.index - b.index);
+
+        res.json({
+            success: report.rejected.length === 0,
+            atomic,
+            summary: {
+                created: report.created.length,
+                updated: report.updated.length,
+                unchanged: report.unchanged.length,
+                rejected: report.rejected.length
+            },
+            ...report
+        });
+    } catch (error) {
+        console.error('Submit marks error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Import Marks from CSV or xlsx (one row per student keyed by schoolID, one column per assessment).
+// CSV comes as JSON { csv, reason }; a workbook is posted as the raw file with ?reason=.
+// ?dryRun=true only previews; otherwise every valid change is written in one batch
+// and rows with problems are skipped. The response is the preview either way.
+app.post('/lecturer/offerings/:id/marks/import', authenticate, express.raw({ type: XLSX_CONTENT_TYPE, limit: '10mb' }), loadOffering('teach'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const dryRun = req.query.dryRun === 'true';
+        const reason = Buffer.isBuffer(req.body) ? req.query.reason : req.body?.reason;
+
+        if (!isResultsEditable(offering)) {
+            return res.status(409).json({ success: false, code: 'RESULTS_LOCKED', message: MARK_REJECTIONS.RESULTS_LOCKED });
+        }
+
+        const { table, error: uploadError } = await readUploadedTable(req);
+        if (uploadError) {
+            return res.status(400).json({ success: false, message: uploadError });
+        }
+
+        const preview = await buildMarksImport(offering, table);
+        if (preview.error) {
+            return res.status(400).json({ success: false, message: preview.error });
+        }
+        if (dryRun) {
+            return res.json({ success: true, dryRun, ...preview });
+        }
+
+        const rows = preview.changes
+            .filter(change => change.change !== 'unchanged')
+            .map(change => ({
+                offeringId: offering._id,
+                studentId: change.studentId,
+                assessmentId: change.assessmentId,
+                score: change.newScore,
+                reason: typeof reason === 'string' && reason.trim() ? reason.trim() : 'CSV import'
+            }));
+
+        const { accepted, rejected } = await checkMarkRows(req.user, rows);
+        if (rejected.length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: `${rejected.length} marks could not be imported; nothing was saved`,
+                rejected
+            });
+        }
+
+        const report = await writeMarkRows(req.user, accepted, { atomic: true });
+        res.json({
+            success: true,
+            dryRun,
+            ...preview,
+            written: { created: report.created.length, updated: report.updated.length }
+        });
+    } catch (error) {
+        console.error('Import marks error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get Marks for Offering
+app.get('/lecturer/offerings/:id/marks', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const marks = await Mark.find({ offeringId: id });
+
+        res.json(marks.map(m => ({
+            studentId: m.studentId,
+            assessmentId: m.assessmentId,
+            score: m.score
+        })));
+    } catch (error) {
+        console.error('Fetch marks error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get Mark change history for a student in an offering (optionally one assessment)
+app.get('/lecturer/offerings/:id/marks/:studentId/history', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { studentId } = req.params;
+        const { assessmentId } = req.query;
+        if (!mongoose.isValidObjectId(studentId) || (assessmentId && !mongoose.isValidObjectId(assessmentId))) {
+            return res.status(400).json({ success: false, message: 'Invalid student or assessment ID' });
+        }
+
+        const history = await MarkHistory.find({
+            offeringId: offering._id,
+            studentId,
+            ...(assessmentId && { assessmentId })
+        })
+            .populate('changedBy', 'fullName staffNo')
+            .sort({ createdAt: -1 });
+
+        res.json(history.map(entry => ({
+            id: entry._id,
+            assessmentId: entry.assessmentId,
+            assessmentName: offering.assessments.id(entry.assessmentId)?.name || 'Removed assessment',
+            action: entry.action,
+            oldScore: entry.oldScore,
+            newScore: entry.newScore,
+            changedBy: entry.changedBy ? { id: entry.changedBy._id, fullName: entry.changedBy.fullName } : null,
+            reason: entry.reason,
+            changedAt: entry.createdAt
+        })));
+    } catch (error) {
+        console.error('Fetch mark history error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get Assessments for Offering
+app.get('/lecturer/offerings/:id/assessments', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        res.json(req.offering.assessments);
+    } catch (error) {
+        console.error('Fetch assessments error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Replace the assessment breakdown for an offering.
+// The body carries the complete ordered list, so this one route covers creating,
+// editing, reordering and deleting assessments. Entries with an `_id` keep it.
+app.put('/lecturer/offerings/:id/assessments', authenticate, loadOffering('teach'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { assessments, force } = req.body;
+
+        if (!isResultsEditable(offering)) {
+            return res.status(409).json({ success: false, code: 'RESULTS_LOCKED', message: MARK_REJECTIONS.RESULTS_LOCKED });
+        }
+
+        const errors = validateAssessments(assessments);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: errors[0], errors });
+        }
+
+        const existingIds = new Set(offering.assessments.map(a => a._id.toString()));
+        const unknown = assessments.filter(a => a._id && !existingIds.has(a._id.toString()));
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, message: `Unknown assessment: ${unknown[0]._id}` });
+        }
+
+        const keptIds = new Set(assessments.filter(a => a._id).map(a => a._id.toString()));
+        const removed = offering.assessments.filter(a => !keptIds.has(a._id.toString()));
+
+        if (removed.length > 0) {
+            const removedIds = removed.map(a => a._id);
+            const markedIds = await Mark.distinct('assessmentId', { assessmentId: { $in: removedIds } });
+
+            if (markedIds.length > 0 && !force) {
+                const blocked = removed.filter(a => markedIds.some(m => m.equals(a._id)));
+                return res.status(409).json({
+                    success: false,
+                    code: 'ASSESSMENT_HAS_MARKS',
+                    message: `Marks have already been entered for ${blocked.map(a => a.name).join(', ')}`,
+                    assessmentIds: blocked.map(a => a._id)
+                });
+            }
+
+            if (markedIds.length > 0) {
+                const deleted = await Mark.find({ assessmentId: { $in: markedIds } });
+                await Mark.deleteMany({ _id: { $in: deleted.map(m => m._id) } });
+                await recordMarkHistory(deleted.map(m => ({
+                    markId: m._id,
+                    offeringId: m.offeringId,
+                    studentId: m.studentId,
+                    assessmentId: m.assessmentId,
+                    action: 'delete',
+                    oldScore: m.score,
+                    reason: 'Assessment removed from offering'
+                })), req.user);
+            }
+        }
+
+        offering.assessments = assessments.map(a => ({
+            ...(a._id && { _id: a._id }),
+            name: a.name.trim(),
+            weight: a.weight,
+            maxScore: a.maxScore
+        }));
+        await offering.save();
+
+        res.json({ success: true, data: offering.assessments });
+    } catch (error) {
+        console.error('Save assessments error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Export Marks for Offering (csv, json or xlsx)
+app.get('/lecturer/offerings/:id/marks/export', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'json', 'xlsx'].includes(format)) {
+            return res.status(400).json({ success: false, message: `Unsupported export format: ${format}` });
+        }
+
+        const { offering } = req;
+        const payload = await computeOfferingResults(offering);
+        const filename = `${offering.courseId?.code || 'offering'}_${offering.term}_marks.${format}`;
+        res.setHeader('Content-Disposition', contentDisposition('attachment', filename));
+
+        if (format === 'json') {
+            return res.json(payload);
+        }
+
+        const { headers, rows } = buildResultsTable(payload);
+        const table = [headers, ...rows];
+
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8');
+            return res.send(toCsv(table));
+        }
+
+        const workbook = buildGradebookWorkbook(payload, table);
+        const buffer = await workbook.xlsx.writeBuffer();
+        res.type(XLSX_CONTENT_TYPE);
+        res.send(Buffer.from(buffer));
+    } catch (error) {
+        console.error('Export marks error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get weighted Results for Offering
+app.get('/lecturer/offerings/:id/results', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        res.json(await computeOfferingResults(req.offering));
+    } catch (error) {
+        console.error('Fetch results error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Change the Results Status of an Offering (submit, withdraw, approve, publish, return)
+app.post('/lecturer/offerings/:id/results/status', authenticate, loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { status, comment } = req.body;
+        const from = offering.resultsStatus || 'draft';
+
+        if (!isResultsStatus(status)) {
+            return res.status(400).json({ success: false, message: `Unknown results status: ${status}` });
+        }
+        if (!Object.hasOwn(RESULTS_TRANSITIONS[from], status)) {
+            return res.status(409).json({ success: false, message: `Results cannot move from ${from} to ${status}` });
+        }
+        if (!canChangeResultsStatus(req.user, offering, status)) {
+            return res.status(403).json({ success: false, message: `You cannot move these results from ${from} to ${status}` });
+        }
+        // Moderators must say why results are being sent back
+        const note = typeof comment === 'string' ? comment.trim() : '';
+        if (status === 'draft' && req.user.role === 'admin' && !canTeachOffering(req.user, offering) && !note) {
+            return res.status(400).json({ success: false, message: 'A comment is required when returning results' });
+        }
+
+        offering.resultsStatus = status;
+        offering.resultsStatusHistory.push({
+            from,
+            to: status,
+            changedBy: req.user._id,
+            comment: note || undefined
+        });
+        await offering.save();
+
+        res.json({
+            success: true,
+            data: { id: offering._id, resultsStatus: offering.resultsStatus, history: offering.resultsStatusHistory }
+        });
+    } catch (error) {
+        console.error('Change results status error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+app.get('/lecturer/gradescales', authenticate, async (req, res) => {
+    try {
+        const scales = await GradeScale.find().sort({ minPercent: -1 });
+        res.json(scales);
+    } catch (error) {
+        console.error('Fetch gradescales error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get Grade Schemes
+app.get('/lecturer/gradeschemes', authenticate, async (req, res) => {
+    try {
+        const schemes = await GradeScheme.find().sort({ isDefault: -1, name: 1 });
+        res.json(schemes.map(formatGradeScheme));
+    } catch (error) {
+        console.error('Fetch grade schemes error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Create Grade Scheme
+app.post('/admin/gradeschemes', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { value, errors } = parseGradeSchemeBody(req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: errors[0], errors });
+        }
+
+        if (await GradeScheme.exists({ name: value.name })) {
+            return res.status(400).json({ success: false, message: 'A grade scheme with this name already exists' });
+        }
+
+        if (value.isDefault) {
+            await GradeScheme.updateMany({}, { isDefault: false });
+        }
+        const scheme = await GradeScheme.create(value);
+
+        res.status(201).json({ success: true, data: formatGradeScheme(scheme) });
+    } catch (error) {
+        console.error('Create grade scheme error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Update Grade Scheme
+app.put('/admin/gradeschemes/:id', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { value, errors } = parseGradeSchemeBody(req.body);
+        if (errors) {
+            return res.status(400).json({ success: false, message: errors[0], errors });
+        }
+
+        const scheme = mongoose.isValidObjectId(req.params.id) ? await GradeScheme.findById(req.params.id) : null;
+        if (!scheme) {
+            return res.status(404).json({ success: false, message: 'Grade scheme not found' });
+        }
+        if (await GradeScheme.exists({ name: value.name, _id: { $ne: scheme._id } })) {
+            return res.status(400).json({ success: false, message: 'A grade scheme with this name already exists' });
+        }
+
+        if (value.isDefault) {
+            await GradeScheme.updateMany({ _id: { $ne: scheme._id } }, { isDefault: false });
+        }
+        scheme.set(value);
+        await scheme.save();
+
+        res.json({ success: true, data: formatGradeScheme(scheme) });
+    } catch (error) {
+        console.error('Update grade scheme error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Delete Grade Scheme
+app.delete('/admin/gradeschemes/:id', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ success: false, message: 'Grade scheme not found' });
+        }
+        const [courses, offerings] = await Promise.all([
+            Course.countDocuments({ gradeSchemeId: id }),
+            CourseOffering.countDocuments({ gradeSchemeId: id })
+        ]);
+        if (courses + offerings > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Grade scheme is attached to ${courses} course(s) and ${offerings} offering(s)`
+            });
+        }
+
+        const scheme = await GradeScheme.findByIdAndDelete(id);
+        if (!scheme) {
+            return res.status(404).json({ success: false, message: 'Grade scheme not found' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete grade scheme error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// List all Offerings (admin), optionally only those with the given results status
+app.get('/admin/offerings', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !isResultsStatus(status)) {
+            return res.status(400).json({ success: false, message: `Unknown results status: ${status}` });
+        }
+
+        const offerings = await CourseOffering.find(status ? { resultsStatus: status } : {})
+            .populate('courseId')
+            .populate('assignedLecturerIds', 'fullName staffNo')
+            .sort({ year: -1, term: -1 });
+
+        res.json(offerings.map(offering => ({
+            id: offering._id,
+            courseId: offering.courseId?._id,
+            courseCode: offering.courseId?.code,
+            title: offering.courseId?.name,
+            term: offering.term,
+            year: offering.year,
+            lecturers: offering.assignedLecturerIds,
+            capacity: offering.capacity ?? null,
+            gradeSchemeId: offering.gradeSchemeId || null,
+            courseGradeSchemeId: offering.courseId?.gradeSchemeId || null,
+            resultsStatus: offering.resultsStatus || 'draft',
+            statusChangedAt: offering.resultsStatusHistory.at(-1)?.changedAt || null
+        })));
+    } catch (error) {
+        console.error('Fetch all offerings error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Get an Offering's Results with its Status History for moderation (admin)
+app.get('/admin/offerings/:id/moderation', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        await offering.populate([
+            { path: 'assignedLecturerIds', select: 'fullName staffNo email' },
+            { path: 'resultsStatusHistory.changedBy', select: 'fullName' }
+        ]);
+
+        res.json({
+            ...(await computeOfferingResults(offering)),
+            lecturers: offering.assignedLecturerIds.map(lecturer => ({
+                id: lecturer._id,
+                fullName: lecturer.fullName,
+                staffNo: lecturer.staffNo,
+                email: lecturer.email
+            })),
+            history: offering.resultsStatusHistory.map(entry => ({
+                from: entry.from,
+                to: entry.to,
+                comment: entry.comment,
+                changedBy: entry.changedBy ? { id: entry.changedBy._id, fullName: entry.changedBy.fullName } : null,
+                changedAt: entry.changedAt
+            })).reverse()
+        });
+    } catch (error) {
+        console.error('Fetch moderation error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// List all Lecturers (admin)
+app.get('/admin/lecturers', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const lecturers = await User.find({ role: 'lecturer' }).select('fullName staffNo email').sort({ fullName: 1 });
+        res.json(lecturers.map(lecturer => ({
+            id: lecturer._id,
+            fullName: lecturer.fullName,
+            staffNo: lecturer.staffNo,
+            email: lecturer.email
+        })));
+    } catch (error) {
+        console.error('Fetch lecturers error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Reassign the Lecturers of an Offering (admin)
+app.put('/admin/offerings/:id/lecturers', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const { lecturerIds } = req.body;
+        if (!Array.isArray(lecturerIds) || lecturerIds.some(id => !mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ success: false, message: 'lecturerIds must be an array of user IDs' });
+        }
+
+        const uniqueIds = [...new Set(lecturerIds.map(String))];
+        const lecturerCount = await User.countDocuments({ _id: { $in: uniqueIds }, role: 'lecturer' });
+        if (lecturerCount !== uniqueIds.length) {
+            return res.status(400).json({ success: false, message: 'Every assigned user must be a lecturer' });
+        }
+
+        const offering = mongoose.isValidObjectId(req.params.id)
+            ? await CourseOffering.findByIdAndUpdate(req.params.id, { assignedLecturerIds: uniqueIds }, { new: true })
+                .populate('assignedLecturerIds', 'fullName staffNo')
+            : null;
+        if (!offering) {
+            return res.status(404).json({ success: false, message: 'Offering not found' });
+        }
+
+        res.json({ success: true, data: { id: offering._id, lecturers: offering.assignedLecturerIds } });
+    } catch (error) {
+        console.error('Reassign lecturers error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// --- Enrollments ---
+
+const ENROLLMENT_ERRORS = {
+    STUDENT_NOT_FOUND: 'No student with this ID or registration number',
+    ALREADY_ENROLLED: 'The student is already enrolled in this offering',
+    ALREADY_WAITLISTED: 'The student is already on the waitlist for this offering',
+    OFFERING_FULL: 'The offering is full',
+    NOT_ENROLLED: 'The student is not enrolled or waitlisted in this offering',
+    INVALID_LECTURER: 'The chosen lecturer must be assigned to this offering',
+    SAME_OFFERING: 'The student cannot be transferred to the same offering'
+};
+
+const enrollmentError = (res, status, code) =>
+    res.status(status).json({ success: false, code, message: ENROLLMENT_ERRORS[code] });
+
+// Seats are counted on the offering's own enrollments only: a legacy course-linked
+// enrollment matches every offering of the course, so it would fill all of them
+const countActiveEnrollments = (offering) =>
+    Enrollment.countDocuments({ offeringId: offering._id, ...ACTIVE_ENROLLMENT });
+
+// Offerings without a capacity never fill up
+const isOfferingFull = async (offering) =>
+    typeof offering.capacity === 'number' && (await countActiveEnrollments(offering)) >= offering.capacity;
+
+// Find a student by database ID or registration number (schoolID)
+const findStudent = ({ studentId, regNo }) => {
+    if (studentId) return mongoose.isValidObjectId(studentId) ? Student.findById(studentId) : null;
+    const schoolID = Number(String(regNo ?? '').trim());
+    return String(regNo ?? '').trim() && Number.isFinite(schoolID) ? Student.findOne({ schoolID }) : null;
+};
+
+const isOfferingLecturer = (offering, lecturerId) =>
+    lecturerId === null || (mongoose.isValidObjectId(lecturerId) && isAssignedLecturer(offering, lecturerId));
+
+// Move the longest-waiting students into free seats, one atomic update per seat
+const promoteWaitlist = async (offering) => {
+    const promoted = [];
+    while (!(await isOfferingFull(offering))) {
+        const next = await Enrollment.findOneAndUpdate(
+            { offeringId: offering._id, status: 'waitlisted' },
+            { status: 'enrolled', enrolledAt: new Date() },
+            { sort: { waitlistedAt: 1 }, new: true }
+        );
+        if (!next) break;
+        promoted.push(next);
+    }
+    return promoted;
+};
+
+// Enroll a student, or waitlist them when the offering is full (unless `waitlist` is false).
+// A dropped enrollment is reused, so each student keeps one record (and their marks) per offering.
+// Returns { enrollment } or { error } with an ENROLLMENT_ERRORS code.
+const enrollStudent = async (offering, studentId, { chosenLecturerId, waitlist = true } = {}) => {
+    const existing = await Enrollment.findOne({ ...offeringEnrollmentFilter(offering), studentId });
+    if (existing && existing.status !== 'dropped') {
+        return { error: existing.status === 'waitlisted' ? 'ALREADY_WAITLISTED' : 'ALREADY_ENROLLED' };
+    }
+
+    const full = await isOfferingFull(offering);
+    if (full && !waitlist) return { error: 'OFFERING_FULL' };
+
+    const now = new Date();
+    const enrollment = existing || new Enrollment({ studentId, offeringId: offering._id });
+    enrollment.set({
+        status: full ? 'waitlisted' : 'enrolled',
+        enrolledAt: full ? undefined : now,
+        waitlistedAt: full ? now : undefined,
+        droppedAt: undefined,
+        droppedBy: undefined,
+        dropReason: undefined,
+        transferredTo: undefined
+    });
+    if (chosenLecturerId !== undefined) enrollment.chosenLecturerId = chosenLecturerId;
+    await enrollment.save();
+
+    // Two requests can take the last seat at once: the later one backs out (or waits),
+    // and promoteWaitlist refills the seat if both backed out
+    if (!full && (await countActiveEnrollments(offering)) > offering.capacity) {
+        if (!waitlist) {
+            await (existing ? enrollment.updateOne({ status: 'dropped', droppedAt: now }) : enrollment.deleteOne());
+            await promoteWaitlist(offering);
+            return { error: 'OFFERING_FULL' };
+        }
+        await enrollment.updateOne({ status: 'waitlisted', waitlistedAt: now, $unset: { enrolledAt: 1 } });
+        await promoteWaitlist(offering);
+        return { enrollment: await Enrollment.findById(enrollment._id) };
+    }
+    return { enrollment };
+};
+
+// Drop an enrolled or waitlisted student, keeping the record and their marks, then refill the seat.
+// Returns the dropped enrollment, or null when the student had no active enrollment.
+const dropEnrollment = async (offering, studentId, user, { reason, transferredTo } = {}) => {
+    const enrollment = await Enrollment.findOneAndUpdate(
+        { ...offeringEnrollmentFilter(offering), studentId, status: { $in: ['enrolled', 'waitlisted', null] } },
+        {
+            status: 'dropped',
+            droppedAt: new Date(),
+            droppedBy: user._id,
+            dropReason: reason || undefined,
+            transferredTo
+        }
+    );
+    if (!enrollment) return null;
+    if (enrollment.status !== 'waitlisted') await promoteWaitlist(offering);
+    return enrollment;
+};
+
+const formatEnrollment = (enrollment) => ({
+    id: enrollment._id,
+    studentId: enrollment.studentId?._id ?? enrollment.studentId,
+    regNo: enrollment.studentId?.schoolID,
+    name: enrollment.studentId?.firstName ? `${enrollment.studentId.firstName} ${enrollment.studentId.lastName}` : undefined,
+    email: enrollment.studentId?.email,
+    status: enrollment.status || 'enrolled',
+    chosenLecturer: enrollment.chosenLecturerId?.fullName
+        ? { id: enrollment.chosenLecturerId._id, fullName: enrollment.chosenLecturerId.fullName, staffNo: enrollment.chosenLecturerId.staffNo }
+        : null,
+    enrolledAt: enrollment.enrolledAt || enrollment.createdAt,
+    waitlistedAt: enrollment.waitlistedAt || null,
+    droppedAt: enrollment.droppedAt || null,
+    dropReason: enrollment.dropReason || null,
+    transferredTo: enrollment.transferredTo || null
+});
+
+// List an Offering's Enrollments with capacity and waitlist (admin)
+app.get('/admin/offerings/:id/enrollments', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { status } = req.query;
+        if (status && !['enrolled', 'waitlisted', 'dropped'].includes(status)) {
+            return res.status(400).json({ success: false, message: `Unknown enrollment status: ${status}` });
+        }
+
+        const [allEnrollments, lecturers] = await Promise.all([
+            Enrollment.find(offeringEnrollmentFilter(offering))
+                .populate('studentId')
+                .populate('chosenLecturerId', 'fullName staffNo'),
+            User.find({ _id: { $in: offering.assignedLecturerIds } }).select('fullName staffNo')
+        ]);
+        const enrollments = allEnrollments.filter(e => e.studentId);
+
+        const statusOf = (e) => e.status || 'enrolled';
+        const waitlist = enrollments
+            .filter(e => statusOf(e) === 'waitlisted')
+            .sort((a, b) => a.waitlistedAt - b.waitlistedAt);
+
+        res.json({
+            offering: {
+                id: offering._id,
+                courseCode: offering.courseId?.code,
+                title: offering.courseId?.name,
+                term: offering.term,
+                year: offering.year,
+                capacity: offering.capacity ?? null,
+                lecturers: lecturers.map(l => ({ id: l._id, fullName: l.fullName, staffNo: l.staffNo }))
+            },
+            counts: {
+                enrolled: enrollments.filter(e => statusOf(e) === 'enrolled').length,
+                waitlisted: waitlist.length,
+                dropped: enrollments.filter(e => statusOf(e) === 'dropped').length
+            },
+            enrollments: enrollments
+                .filter(e => !status || statusOf(e) === status)
+                .map(e => ({
+                    ...formatEnrollment(e),
+                    waitlistPosition: statusOf(e) === 'waitlisted' ? waitlist.indexOf(e) + 1 : null
+                }))
+        });
+    } catch (error) {
+        console.error('Fetch enrollments error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Enroll a Student by ID or registration number (admin).
+// A full offering waitlists the student unless { waitlist: false } is sent.
+app.post('/admin/offerings/:id/enrollments', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { studentId, regNo, chosenLecturerId, waitlist = true } = req.body;
+
+        if (chosenLecturerId !== undefined && !isOfferingLecturer(offering, chosenLecturerId)) {
+            return enrollmentError(res, 400, 'INVALID_LECTURER');
+        }
+        const student = await findStudent({ studentId, regNo });
+        if (!student) {
+            return enrollmentError(res, 404, 'STUDENT_NOT_FOUND');
+        }
+
+        const { enrollment, error } = await enrollStudent(offering, student._id, { chosenLecturerId, waitlist: waitlist !== false });
+        if (error) {
+            return enrollmentError(res, 409, error);
+        }
+
+        await enrollment.populate([{ path: 'studentId' }, { path: 'chosenLecturerId', select: 'fullName staffNo' }]);
+        res.status(201).json({ success: true, data: formatEnrollment(enrollment) });
+    } catch (error) {
+        console.error('Enroll student error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Enroll Students from a Roster (admin): CSV or xlsx with a schoolID column and an optional
+// staffNo column for the chosen lecturer. Rows are taken in file order, so later rows are
+// the ones waitlisted when the offering fills up.
+app.post('/admin/offerings/:id/enrollments/import', authenticate, requireRole('admin'), express.raw({ type: XLSX_CONTENT_TYPE, limit: '10mb' }), loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { table, error: uploadError } = await readUploadedTable(req);
+        if (uploadError) {
+            return res.status(400).json({ success: false, message: uploadError });
+        }
+
+        const [header = [], ...body] = table;
+        const regNoIndex = findHeaderColumn(header, REG_NO_HEADERS);
+        if (regNoIndex === -1) {
+            return res.status(400).json({ success: false, message: 'The first row must include a schoolID (registration number) column' });
+        }
+        const staffNoIndex = findHeaderColumn(header, ['staffno', 'lecturer', 'lecturerstaffno', 'chosenlecturer']);
+
+        const lecturers = await User.find({ _id: { $in: offering.assignedLecturerIds } }).select('staffNo');
+        const lecturerByStaffNo = new Map(lecturers.map(l => [String(l.staffNo).toLowerCase(), l._id]));
+
+        const report = { enrolled: [], waitlisted: [], skipped: [] };
+        for (const [i, cells] of body.entries()) {
+            const row = i + 2;
+            const regNo = String(cells[regNoIndex] ?? '').trim();
+            if (cells.every(cell => String(cell ?? '').trim() === '')) continue;
+
+            const skip = (code) => report.skipped.push({ row, regNo, code, message: ENROLLMENT_ERRORS[code] });
+            const student = regNo ? await findStudent({ regNo }) : null;
+            if (!student) {
+                skip('STUDENT_NOT_FOUND');
+                continue;
+            }
+
+            const staffNo = staffNoIndex === -1 ? '' : String(cells[staffNoIndex] ?? '').trim().toLowerCase();
+            if (staffNo && !lecturerByStaffNo.has(staffNo)) {
+                skip('INVALID_LECTURER');
+                continue;
+            }
+
+            const { enrollment, error } = await enrollStudent(offering, student._id, {
+                chosenLecturerId: staffNo ? lecturerByStaffNo.get(staffNo) : undefined
+            });
+            if (error) {
+                skip(error);
+                continue;
+            }
+            report[enrollment.status === 'waitlisted' ? 'waitlisted' : 'enrolled'].push({ row, regNo, studentId: student._id });
+        }
+
+        res.json({
+            success: true,
+            summary: {
+                enrolled: report.enrolled.length,
+                waitlisted: report.waitlisted.length,
+                skipped: report.skipped.length
+            },
+            ...report
+        });
+    } catch (error) {
+        console.error('Import roster error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Drop a Student from an Offering or its waitlist (admin). Marks are kept but no longer count.
+app.delete('/admin/offerings/:id/enrollments/:studentId', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+        const enrollment = mongoose.isValidObjectId(req.params.studentId)
+            ? await dropEnrollment(req.offering, req.params.studentId, req.user, { reason })
+            : null;
+        if (!enrollment) {
+            return enrollmentError(res, 404, 'NOT_ENROLLED');
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Drop enrollment error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Transfer a Student to another Offering (admin). The target must have a free seat
+// unless { waitlist: true } is sent; marks stay with the old offering.
+app.post('/admin/offerings/:id/enrollments/:studentId/transfer', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const { offering } = req;
+        const { studentId } = req.params;
+        const { toOfferingId, waitlist = false, chosenLecturerId } = req.body;
+
+        const target = mongoose.isValidObjectId(toOfferingId) ? await CourseOffering.findById(toOfferingId) : null;
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Target offering not found' });
+        }
+        if (target._id.equals(offering._id)) {
+            return enrollmentError(res, 400, 'SAME_OFFERING');
+        }
+        if (chosenLecturerId !== undefined && !isOfferingLecturer(target, chosenLecturerId)) {
+            return enrollmentError(res, 400, 'INVALID_LECTURER');
+        }
+
+        const current = mongoose.isValidObjectId(studentId)
+            && await Enrollment.exists({ ...offeringEnrollmentFilter(offering), studentId, status: { $ne: 'dropped' } });
+        if (!current) {
+            return enrollmentError(res, 404, 'NOT_ENROLLED');
+        }
+
+        const { enrollment, error } = await enrollStudent(target, studentId, { chosenLecturerId, waitlist: Boolean(waitlist) });
+        if (error) {
+            return enrollmentError(res, 409, error);
+        }
+        await dropEnrollment(offering, studentId, req.user, {
+            reason: `Transferred to ${target.term} ${target.year} offering`,
+            transferredTo: target._id
+        });
+
+        await enrollment.populate([{ path: 'studentId' }, { path: 'chosenLecturerId', select: 'fullName staffNo' }]);
+        res.json({ success: true, data: formatEnrollment(enrollment) });
+    } catch (error) {
+        console.error('Transfer enrollment error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Set a Student's chosen Lecturer in an Offering (admin); null clears it
+app.put('/admin/offerings/:id/enrollments/:studentId/lecturer', authenticate, requireRole('admin'), loadOffering('view'), async (req, res) => {
+    try {
+        const { chosenLecturerId = null } = req.body;
+        if (!isOfferingLecturer(req.offering, chosenLecturerId)) {
+            return enrollmentError(res, 400, 'INVALID_LECTURER');
+        }
+
+        const enrollment = mongoose.isValidObjectId(req.params.studentId)
+            ? await Enrollment.findOneAndUpdate(
+                { ...offeringEnrollmentFilter(req.offering), studentId: req.params.studentId, status: { $ne: 'dropped' } },
+                { chosenLecturerId },
+                { new: true }
+            ).populate([{ path: 'studentId' }, { path: 'chosenLecturerId', select: 'fullName staffNo' }])
+            : null;
+        if (!enrollment) {
+            return enrollmentError(res, 404, 'NOT_ENROLLED');
+        }
+
+        res.json({ success: true, data: formatEnrollment(enrollment) });
+    } catch (error) {
+        console.error('Set chosen lecturer error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Attach a Grade Scheme to a Course or Offering (null detaches it)
+const assignGradeScheme = (Model, label) => async (req, res) => {
+    try {
+        const { gradeSchemeId } = req.body;
+        if (gradeSchemeId && !(mongoose.isValidObjectId(gradeSchemeId) && await GradeScheme.exists({ _id: gradeSchemeId }))) {
+            return res.status(400).json({ success: false, message: 'Grade scheme not found' });
+        }
 
-// --- Schemas ---
-
-const userSchema = new mongoose.Schema({
-    email: { type: String, required: true, unique: true },
-    passwordHash: { type: String, required: true },
-    fullName: { type: String, required: true },
-    role: { type: String, enum: ['student', 'lecturer', 'admin'], default: 'student' },
-    staffNo: String,
-    regNo: String
-}, { timestamps: true });
-
-const courseSchema = new mongoose.Schema({
-    code: { type: String, required: true, unique: true },
-    name: { type: String, required: true },
-    credits: { type: Number, required: true }
-}, { timestamps: true });
-
-const courseOfferingSchema = new mongoose.Schema({
-    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
-    term: { type: String, required: true },
-    year: { type: Number, required: true },
-    capacity: { type: Number, default: 50 },
-    assignedLecturerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    assessments: [{
-        name: String,
-        weight: Number,
-        maxScore: Number
-    }]
-}, { timestamps: true });
-
-const enrollmentSchema = new mongoose.Schema({
-    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true }, // Changed to ref 'Student'
-    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: true },
-    chosenLecturerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Made optional
-    marks: { type: Number, default: null }, // Added to match data
-    enrolledAt: { type: Date } // Added to match data
-}, { timestamps: true });
-
-const markSchema = new mongoose.Schema({
-    assessmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
-    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: true },
-    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true }, // Changed to ref 'Student'
-    lecturerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    score: { type: Number, required: true, min: 0 }
-}, { timestamps: true });
-
-markSchema.index({ assessmentId: 1, studentId: 1 }, { unique: true });
-
-const studentSchema = new mongoose.Schema({
-    firstName: String,
-    lastName: String,
-    schoolID: Number,
-    email: String,
-    major: String,
-    currentYear: String
-});
-
-const User = mongoose.model('User', userSchema);
-// Define Student model to map to 'students' collection
-const Student = mongoose.model('Student', studentSchema);
-const Course = mongoose.model('Course', courseSchema);
-const CourseOffering = mongoose.model('CourseOffering', courseOfferingSchema);
-const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
-const Mark = mongoose.model('Mark', markSchema);
-
-const gradeScaleSchema = new mongoose.Schema({
-    letter: { type: String, required: true },
-    minPercent: { type: Number, required: true },
-    maxPercent: { type: Number, required: true },
-    points: { type: Number, required: true }
-});
-const GradeScale = mongoose.model('GradeScale', gradeScaleSchema);
-
-const issueSchema = new mongoose.Schema({
-    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
-    lecturer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    issueType: { type: String, required: true },
-    subject: { type: String, required: true },
-    description: { type: String, required: true },
-    status: { type: String, default: 'pending' },
-    priority: { type: String, default: 'medium' },
-    attachments: [String]
-}, { timestamps: true });
-const Issue = mongoose.model('Issue', issueSchema);
+        const doc = mongoose.isValidObjectId(req.params.id)
+            ? await Model.findByIdAndUpdate(req.params.id, { gradeSchemeId: gradeSchemeId || null }, { new: true })
+            : null;
+        if (!doc) {
+            return res.status(404).json({ success: false, message: `${label} not found` });
+        }
 
-// Middleware to verify token
-const authenticate = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
+        res.json({ success: true, data: { id: doc._id, gradeSchemeId: doc.gradeSchemeId || null } });
+    } catch (error) {
+        console.error(`Assign ${label.toLowerCase()} grade scheme error:`, error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-        if (err) return res.status(401).json({ success: false, message: 'Invalid token' });
-        req.user = { _id: decoded.id, role: decoded.role };
-        next();
+app.put('/admin/courses/:id/gradescheme', authenticate, requireRole('admin'), assignGradeScheme(Course, 'Course'));
+app.put('/admin/offerings/:id/gradescheme', authenticate, requireRole('admin'), assignGradeScheme(CourseOffering, 'Offering'));
+
+// --- Issues ---
+
+// Issues move pending -> in_review -> awaiting_student -> resolved | rejected.
+// Closed issues can be reopened for review. Closing one needs a note for the student.
+const ISSUE_TRANSITIONS = {
+    pending: ['in_review', 'awaiting_student', 'resolved', 'rejected'],
+    in_review: ['awaiting_student', 'resolved', 'rejected'],
+    awaiting_student: ['in_review', 'resolved', 'rejected'],
+    resolved: ['in_review'],
+    rejected: ['in_review']
+};
+
+const CLOSED_ISSUE_STATUSES = ['resolved', 'rejected'];
+
+// Remark requests carry offeringId/assessmentId and are resolved with a revised score
+const REMARK_ISSUE_TYPE = 'remark';
+
+const ISSUE_PRIORITIES = ['low', 'medium', 'high'];
+
+const ISSUE_POPULATE = [
+    { path: 'student', select: 'firstName lastName schoolID email' },
+    { path: 'comments.userId', select: 'fullName' },
+    { path: 'comments.studentId', select: 'firstName lastName' },
+    { path: 'statusHistory.changedBy', select: 'fullName' },
+    { path: 'resolution.changedBy', select: 'fullName' },
+    { path: 'attachments.uploadedBy', select: 'fullName role' },
+    { path: 'assignmentHistory.from', select: 'fullName' },
+    { path: 'assignmentHistory.to', select: 'fullName' },
+    { path: 'assignmentHistory.changedBy', select: 'fullName' }
+];
+
+// The student record of a student account, whose regNo is their schoolID
+const findAccountStudent = async (userId) => {
+    const account = await User.findById(userId).select('regNo');
+    const schoolID = Number(account?.regNo);
+    return Number.isFinite(schoolID) && account.regNo ? Student.findOne({ schoolID }).select('_id') : null;
+};
+
+// The assigned lecturer and admins may work on an issue. Read lean, so a status
+// missing from older records stays missing rather than taking the default.
+const findWorkableIssue = async (req, res) => {
+    const issue = mongoose.isValidObjectId(req.params.id) ? await Issue.findById(req.params.id).lean() : null;
+    if (!issue) {
+        res.status(404).json({ success: false, message: 'Issue not found' });
+        return null;
+    }
+    if (String(issue.lecturer) !== String(req.user._id) && req.user.role !== 'admin') {
+        res.status(403).json({ success: false, message: 'This issue is not assigned to you' });
+        return null;
+    }
+    return issue;
+};
+
+// Plain issues, with their response deadline, the co-lecturers each can be handed to, and
+// the course, assessment and current score added to remark requests
+const withIssueDetails = async (issues) => {
+    const now = new Date();
+    const remarks = issues.filter(issue => issue.issueType === REMARK_ISSUE_TYPE && issue.offeringId);
+    const studentIdOf = (issue) => issue.student?._id ?? issue.student;
+    const [offerings, marks] = await Promise.all([
+        CourseOffering.find({ _id: { $in: issues.filter(issue => issue.offeringId).map(issue => issue.offeringId) } })
+            .populate('courseId', 'code name')
+            .populate('assignedLecturerIds', 'fullName staffNo'),
+        remarks.length > 0
+            ? Mark.find({ $or: remarks.map(issue => ({ studentId: studentIdOf(issue), assessmentId: issue.assessmentId })) })
+            : []
+    ]);
+    const offeringById = new Map(offerings.map(offering => [String(offering._id), offering]));
+    const scoreByKey = new Map(marks.map(mark => [`${mark.studentId}:${mark.assessmentId}`, mark.score]));
+
+    return issues.map(issue => {
+        const data = issue.toObject();
+        const offering = offeringById.get(String(issue.offeringId));
+        // Only issues still waiting for their first response have a deadline
+        data.responseDueAt = isAwaitingResponse(issue) ? responseDueAt(issue) : null;
+        data.overdue = Boolean(data.responseDueAt) && data.responseDueAt < now;
+        data.coLecturers = (offering?.assignedLecturerIds || [])
+            .filter(lecturer => String(lecturer._id) !== String(issue.lecturer?._id ?? issue.lecturer))
+            .map(lecturer => ({ _id: lecturer._id, fullName: lecturer.fullName, staffNo: lecturer.staffNo }));
+        if (issue.issueType !== REMARK_ISSUE_TYPE) return data;
+
+        const assessment = offering?.assessments.id(issue.assessmentId);
+        data.remarkTarget = offering && assessment
+            ? {
+                courseCode: offering.courseId?.code || null,
+                term: offering.term,
+                year: offering.year,
+                resultsStatus: offering.resultsStatus || 'draft',
+                assessmentName: assessment.name,
+                maxScore: assessment.maxScore,
+                currentScore: scoreByKey.get(`${studentIdOf(issue)}:${issue.assessmentId}`) ?? null
+            }
+            : null;
+        return data;
     });
 };
 
-// --- Routes ---
+// Resolving a remark request writes the revised score through the usual mark policy.
+// Returns the row to write, or sends the refusal and returns null.
+const checkRemarkResolution = async (req, res, issue, note) => {
+    const { revisedScore } = req.body || {};
+    if (!issue.offeringId || !issue.assessmentId) {
+        res.status(400).json({ success: false, message: 'This remark request does not name an assessment' });
+        return null;
+    }
+    if (typeof revisedScore !== 'number' || !Number.isFinite(revisedScore)) {
+        res.status(400).json({ success: false, message: 'A revised score is required to resolve a remark request' });
+        return null;
+    }
 
-// Register
-app.post('/auth/register', async (req, res) => {
+    // Admins may work any issue, so they may also set the mark it asks about
+    const { accepted, rejected } = await checkMarkRows(req.user, [{
+        offeringId: issue.offeringId,
+        studentId: issue.student,
+        assessmentId: issue.assessmentId,
+        score: revisedScore,
+        reason: `Remark request: ${note}`
+    }], { canWrite: (user, offering) => user.role === 'admin' || canTeachOffering(user, offering) });
+    if (rejected.length > 0) {
+        const [{ code, message }] = rejected;
+        res.status(code === 'RESULTS_LOCKED' ? 409 : 422).json({ success: false, code, message });
+        return null;
+    }
+    return { ...accepted[0], issueId: issue._id };
+};
+
+const changeIssueStatus = async (req, res, status) => {
+    const issue = await findWorkableIssue(req, res);
+    if (!issue) return;
+
+    // Statuses from before the workflow existed count as pending
+    const from = ISSUE_TRANSITIONS[issue.status] ? issue.status : 'pending';
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (!ISSUE_TRANSITIONS[status]) {
+        return res.status(400).json({ success: false, message: `Unknown issue status: ${status}` });
+    }
+    if (!ISSUE_TRANSITIONS[from].includes(status)) {
+        return res.status(409).json({ success: false, message: `An issue cannot move from ${from} to ${status}` });
+    }
+    if (CLOSED_ISSUE_STATUSES.includes(status) && !note) {
+        return res.status(400).json({ success: false, message: `A note for the student is required when an issue is ${status}` });
+    }
+
+    const now = new Date();
+    const update = {
+        $set: { status },
+        $push: { statusHistory: { from, to: status, changedBy: req.user._id, comment: note || undefined, changedAt: now } }
+    };
+    if (CLOSED_ISSUE_STATUSES.includes(status)) {
+        update.$set.resolution = { note, changedBy: req.user._id, changedAt: now };
+    } else {
+        update.$unset = { resolution: 1 };
+    }
+
+    // A resolved remark request writes the revised mark first; the issue only moves once it is saved
+    let markWrite = null;
+    if (issue.issueType === REMARK_ISSUE_TYPE && status === 'resolved') {
+        const markRow = await checkRemarkResolution(req, res, issue, note);
+        if (!markRow) return;
+        const previous = await Mark.findOne({ studentId: issue.student, assessmentId: issue.assessmentId });
+        const report = await writeMarkRows(req.user, [markRow], { atomic: true });
+        update.$set.remark = { previousScore: previous?.score ?? null, revisedScore: markRow.score };
+        if (report.created.length + report.updated.length > 0) {
+            markWrite = { row: markRow, kind: previous ? 'updated' : 'created', markId: previous?._id, previous };
+        }
+    }
+
+    // Conditional on the status we checked, so two people cannot both move it
+    const updated = await Issue.findOneAndUpdate({ _id: issue._id, status: issue.status ?? null }, update, { new: true })
+        .populate(ISSUE_POPULATE);
+    if (!updated) {
+        if (markWrite) {
+            await rollBackMarkRows([markWrite], req.user, 'Rolled back: the remark request was changed by someone else');
+        }
+        return res.status(409).json({ success: false, message: 'The issue was changed by someone else; reload and try again' });
+    }
+
+    const [data] = await withIssueDetails([updated]);
+    res.json({ success: true, data });
+};
+
+const ISSUE_PAGE_SIZE = 20;
+const ISSUE_PAGE_SIZE_MAX = 100;
+
+// Sort orders for issue lists; ties are broken by _id so cursors are stable
+const ISSUE_SORTS = {
+    newest: { field: 'createdAt', direction: -1 },
+    oldest: { field: 'createdAt', direction: 1 },
+    updated: { field: 'updatedAt', direction: -1 }
+};
+
+// Statuses from before the workflow existed (or none) count as pending
+const matchIssueStatuses = (statuses) => (statuses.includes('pending')
+    ? { $or: [{ status: { $in: statuses } }, { status: { $nin: Object.keys(ISSUE_TRANSITIONS) } }] }
+    : { status: { $in: statuses } });
+
+const listParam = (value) => String(value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A date, or for "to" given as a plain day, the start of the next day
+const parseDateParam = (value, { endOfDay = false } = {}) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+};
+
+// The cursor is the last issue's sort value and ID, so new issues do not shift the pages
+const encodeIssueCursor = (issue, sort) =>
+    Buffer.from(JSON.stringify([issue[sort.field], String(issue._id)])).toString('base64url');
+
+const decodeIssueCursor = (cursor) => {
     try {
-        const { email, password, fullName, staffNo, role } = req.body;
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const date = new Date(value);
+        return !Number.isNaN(date.getTime()) && mongoose.isValidObjectId(id)
+            ? { date, id: new mongoose.Types.ObjectId(id) }
+            : null;
+    } catch {
+        return null;
+    }
+};
 
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ success: false, message: 'User already exists' });
+// Build the query for GET /lecturer/issues. Returns { filter, sort, limit } or { error }.
+const buildIssueQuery = (userId, query) => {
+    const conditions = [{ lecturer: userId }];
+
+    const statuses = listParam(query.status).flatMap(status => (status === 'open'
+        ? Object.keys(ISSUE_TRANSITIONS).filter(s => !CLOSED_ISSUE_STATUSES.includes(s))
+        : [status]));
+    const unknownStatus = statuses.find(status => !ISSUE_TRANSITIONS[status]);
+    if (unknownStatus) return { error: `Unknown issue status: ${unknownStatus}` };
+    if (statuses.length > 0) conditions.push(matchIssueStatuses(statuses));
+
+    const issueTypes = listParam(query.issueType);
+    if (issueTypes.length > 0) conditions.push({ issueType: { $in: issueTypes } });
+    const priorities = listParam(query.priority);
+    if (priorities.length > 0) conditions.push({ priority: { $in: priorities } });
+
+    if (query.offeringId) {
+        if (!mongoose.isValidObjectId(query.offeringId)) return { error: 'Invalid offeringId' };
+        conditions.push({ offeringId: query.offeringId });
+    }
+
+    const from = query.from ? parseDateParam(query.from) : null;
+    const to = query.to ? parseDateParam(query.to, { endOfDay: true }) : null;
+    if ((query.from && !from) || (query.to && !to)) return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    if (from || to) conditions.push({ createdAt: { ...(from && { $gte: from }), ...(to && { $lt: to }) } });
+
+    const text = typeof query.q === 'string' ? query.q.trim().slice(0, 100) : '';
+    if (text) {
+        const pattern = new RegExp(escapeRegex(text), 'i');
+        conditions.push({ $or: [{ subject: pattern }, { description: pattern }] });
+    }
+
+    const sort = ISSUE_SORTS[query.sort || 'newest'];
+    if (!sort) return { error: `sort must be one of: ${Object.keys(ISSUE_SORTS).join(', ')}` };
+
+    if (query.cursor) {
+        const cursor = decodeIssueCursor(query.cursor);
+        if (!cursor) return { error: 'Invalid cursor' };
+        const beyond = sort.direction === -1 ? '$lt' : '$gt';
+        conditions.push({
+            $or: [
+                { [sort.field]: { [beyond]: cursor.date } },
+                { [sort.field]: cursor.date, _id: { [beyond]: cursor.id } }
+            ]
+        });
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || ISSUE_PAGE_SIZE, 1), ISSUE_PAGE_SIZE_MAX);
+    return { filter: { $and: conditions }, sort, limit };
+};
+
+// Raise an Issue about an offering ({ offeringId, issueType, subject, description, priority, assessmentId }).
+// Student accounts raise their own; admins raise one for a student with studentId. The issue goes
+// to the student's chosen lecturer for the offering, or else to the offering's first lecturer.
+app.post('/issues', authenticate, requireRole('student', 'admin'), async (req, res) => {
+    try {
+        const { offeringId, issueType, assessmentId, priority = 'medium' } = req.body || {};
+        const subject = typeof req.body?.subject === 'string' ? req.body.subject.trim() : '';
+        const description = typeof req.body?.description === 'string' ? req.body.description.trim() : '';
+        if (typeof issueType !== 'string' || !issueType.trim() || !subject || !description) {
+            return res.status(400).json({ success: false, message: 'Issue type, subject and description are required' });
+        }
+        if (!ISSUE_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ success: false, message: `Priority must be one of: ${ISSUE_PRIORITIES.join(', ')}` });
         }
 
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const student = req.user.role === 'admin'
+            ? (mongoose.isValidObjectId(req.body.studentId) ? await Student.findById(req.body.studentId).select('_id') : null)
+            : await findAccountStudent(req.user._id);
+        if (!student) {
+            return req.user.role === 'admin'
+                ? res.status(404).json({ success: false, message: 'Student not found' })
+                : res.status(403).json({ success: false, message: 'Your account is not linked to a student record' });
+        }
 
-        const user = new User({
-            email,
-            passwordHash: hashedPassword,
-            fullName,
-            staffNo,
-            role: role || 'lecturer'
+        const offering = mongoose.isValidObjectId(offeringId) ? await CourseOffering.findById(offeringId) : null;
+        if (!offering) {
+            return res.status(404).json({ success: false, message: 'Offering not found' });
+        }
+        if (!(await Enrollment.exists({ ...offeringEnrollmentFilter(offering), studentId: student._id, status: { $ne: 'dropped' } }))) {
+            return res.status(403).json({ success: false, message: 'The student is not enrolled in this offering' });
+        }
+        const isRemark = issueType.trim() === REMARK_ISSUE_TYPE;
+        if (isRemark && !(mongoose.isValidObjectId(assessmentId) && offering.assessments.id(assessmentId))) {
+            return res.status(400).json({ success: false, message: 'A remark request must name an assessment of the offering' });
+        }
+
+        const lecturerId = await routeIssue(offering, student._id);
+        if (!lecturerId) {
+            return res.status(422).json({ success: false, message: 'No lecturer is assigned to this offering yet' });
+        }
+
+        const issue = await Issue.create({
+            student: student._id,
+            lecturer: lecturerId,
+            issueType: issueType.trim(),
+            offeringId: offering._id,
+            ...(isRemark && { assessmentId }),
+            subject,
+            description,
+            priority
         });
+        await issue.populate(ISSUE_POPULATE);
 
-        await user.save();
-        res.status(201).json({ success: true, message: 'User registered successfully' });
+        const [data] = await withIssueDetails([issue]);
+        res.status(201).json({ success: true, data });
     } catch (error) {
-        console.error('Registration error:', error);
+        console.error('Create issue error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Login
-app.post('/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// What a student sees of their issues: the thread, status history and resolution,
+// without the escalation and hand-over records kept for staff
+const STUDENT_ISSUE_POPULATE = [
+    ...ISSUE_POPULATE.filter(({ path }) => !path.startsWith('assignmentHistory')),
+    { path: 'offeringId', select: 'term year courseId', populate: { path: 'courseId', select: 'code name' } }
+];
 
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(400).json({ success: false, message: 'Invalid credentials' });
-        }
+const findStudentIssues = (filter) =>
+    Issue.find(filter).select('-escalation -assignmentHistory').populate(STUDENT_ISSUE_POPULATE).sort({ createdAt: -1 });
 
-        const isMatch = await bcrypt.compare(password, user.passwordHash);
-        if (!isMatch) {
-            return res.status(400).json({ success: false, message: 'Invalid credentials' });
+// Get the Issues of the signed-in Student, newest first
+app.get('/issues', authenticate, requireRole('student'), async (req, res) => {
+    try {
+        const student = await findAccountStudent(req.user._id);
+        if (!student) {
+            return res.status(403).json({ success: false, message: 'Your account is not linked to a student record' });
         }
 
-        const token = jwt.sign({ id: user._id, role: user.role }, JWT_SECRET, { expiresIn: '1d' });
+        res.json({ success: true, data: await findStudentIssues({ student: student._id }) });
+    } catch (error) {
+        console.error('Fetch student issues error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+// Reply to an Issue as its Student. A reply to an issue awaiting the student hands it back for review.
+app.post('/issues/:id/comments', authenticate, requireRole('student'), async (req, res) => {
+    try {
+        const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ success: false, message: 'Comment cannot be empty' });
+        }
+        const issue = await findAccessibleIssue(req, res);
+        if (!issue) return;
 
-        res.json({
-            success: true,
-            data: {
-                token,
-                user: {
-                    id: user._id,
-                    email: user.email,
-                    fullName: user.fullName,
-                    staffNo: user.staffNo,
-                    role: user.role
+        const comment = { author: 'student', studentId: issue.student, body };
+        const handedBack = await Issue.findOneAndUpdate(
+            { _id: issue._id, status: 'awaiting_student' },
+            {
+                status: 'in_review',
+                $push: {
+                    comments: comment,
+                    statusHistory: { from: 'awaiting_student', to: 'in_review', changedBy: req.user._id, comment: 'Student replied' }
                 }
             }
-        });
+        );
+        const updated = handedBack || await Issue.findOneAndUpdate(
+            { _id: issue._id, status: { $nin: CLOSED_ISSUE_STATUSES } },
+            { $push: { comments: comment } }
+        );
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'This issue is closed. Raise a new issue if you need more help.' });
+        }
+
+        const [data] = await findStudentIssues({ _id: issue._id });
+        res.status(201).json({ success: true, data });
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Add student issue comment error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Get Offerings
-app.get('/lecturer/offerings', authenticate, async (req, res) => {
+// Get Issues for Lecturer, a page at a time
+// Filters: status (comma-separated; "open" = not resolved or rejected), issueType, priority,
+// offeringId, from/to (created date), q (subject and description). sort: newest | oldest | updated.
+app.get('/lecturer/issues', authenticate, async (req, res) => {
     try {
-        const offerings = await CourseOffering.find({
-            assignedLecturerIds: req.user._id
-        })
-            .populate('courseId')
-            .populate('assignedLecturerIds', 'fullName staffNo');
+        const { filter, sort, limit, error } = buildIssueQuery(req.user._id, req.query);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
 
-        const formattedOfferings = offerings.map(offering => ({
-            id: offering._id,
-            courseCode: offering.courseId?.code,
-            title: offering.courseId?.name,
-            term: offering.term,
-            year: offering.year,
-            credits: offering.courseId?.credits,
-            assessments: offering.assessments
-        }));
+        // One extra tells whether there is another page
+        const issues = await Issue.find(filter)
+            .populate(ISSUE_POPULATE)
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .limit(limit + 1);
+        const page = issues.slice(0, limit);
 
-        res.json(formattedOfferings);
+        res.json({
+            success: true,
+            data: await withIssueDetails(page),
+            nextCursor: issues.length > limit ? encodeIssueCursor(page.at(-1), sort) : null
+        });
     } catch (error) {
-        console.error('Fetch offerings error:', error);
+        console.error('Fetch issues error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-
-// Get Students for Offering
-app.get('/lecturer/offerings/:id/students', authenticate, async (req, res) => {
+// Issue Counts for Lecturer, by status, and how many are past their response deadline
+app.get('/lecturer/issues/summary', authenticate, async (req, res) => {
     try {
-        const { id } = req.params;
-        console.log(`[DEBUG] Fetching students for offering: ${id}`);
+        const [groups, overdue] = await Promise.all([
+            Issue.aggregate([
+                { $match: { lecturer: new mongoose.Types.ObjectId(String(req.user._id)) } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Issue.countDocuments({ lecturer: req.user._id, ...overdueIssueFilter() })
+        ]);
 
-        // 1. Get the Offering to find its Course ID
-        const offering = await CourseOffering.findById(id);
-        if (!offering) {
-            console.log(`[DEBUG] Offering not found: ${id}`);
-            return res.status(404).json({ success: false, message: 'Offering not found' });
+        const byStatus = Object.fromEntries(Object.keys(ISSUE_TRANSITIONS).map(status => [status, 0]));
+        for (const { _id: status, count } of groups) {
+            byStatus[ISSUE_TRANSITIONS[status] ? status : 'pending'] += count;
         }
+        const unresolved = Object.entries(byStatus)
+            .filter(([status]) => !CLOSED_ISSUE_STATUSES.includes(status))
+            .reduce((sum, [, count]) => sum + count, 0);
 
-        const courseId = offering.courseId?._id || offering.courseId;
-        console.log(`[DEBUG] Found offering. Course ID: ${courseId}`);
+        res.json({ success: true, data: { unresolved, overdue, byStatus } });
+    } catch (error) {
+        console.error('Fetch issue summary error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        // 2. Query Enrollments matching EITHER the Offering ID OR the Course ID
-        // (This fixes the issue where enrollments were linked to the Course instead of the Offering)
-        const enrollments = await Enrollment.find({
-            $or: [
-                { offeringId: id },
-                { offeringId: courseId }
-            ]
-        })
-            .populate('studentId')
-            .populate('chosenLecturerId', 'fullName staffNo');
+// Change an Issue's Status ({ status, note, revisedScore }; the note is required to resolve or reject,
+// and remark requests are resolved with the revised score for the mark)
+app.put('/lecturer/issues/:id/status', authenticate, async (req, res) => {
+    try {
+        await changeIssueStatus(req, res, req.body?.status);
+    } catch (error) {
+        console.error('Change issue status error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        console.log(`[DEBUG] Found ${enrollments.length} raw enrollments`);
+// Resolve Issue ({ note }); kept for older clients
+app.put('/lecturer/issues/:id/resolve', authenticate, async (req, res) => {
+    try {
+        await changeIssueStatus(req, res, 'resolved');
+    } catch (error) {
+        console.error('Resolve issue error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
 
-        // Filter out orphaned enrollments (where studentId is null)
-        const validEnrollments = enrollments.filter(e => e.studentId);
-        console.log(`[DEBUG] Found ${validEnrollments.length} valid enrollments`);
+// Reply to an Issue
+app.post('/lecturer/issues/:id/comments', authenticate, async (req, res) => {
+    try {
+        const body = typeof req.body?.body === 'string' ? req.body.body.trim() : '';
+        if (!body) {
+            return res.status(400).json({ success: false, message: 'Comment cannot be empty' });
+        }
+        const issue = await findWorkableIssue(req, res);
+        if (!issue) return;
 
-        const formattedStudents = validEnrollments.map(enrollment => ({
-            id: enrollment.studentId._id,
-            name: `${enrollment.studentId.firstName} ${enrollment.studentId.lastName}`,
-            regNo: enrollment.studentId.schoolID,
-            email: enrollment.studentId.email
-        }));
+        const updated = await Issue.findByIdAndUpdate(
+            issue._id,
+            { $push: { comments: { author: 'staff', userId: req.user._id, body } } },
+            { new: true }
+        ).populate(ISSUE_POPULATE);
 
-        res.json(formattedStudents);
+        const [data] = await withIssueDetails([updated]);
+        res.status(201).json({ success: true, data });
     } catch (error) {
-        console.error('Fetch students error:', error);
+        console.error('Add issue comment error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Submit Marks
-app.post('/lecturer/marks/batch', authenticate, async (req, res) => {
+// Hand an Issue to another lecturer of its offering ({ lecturerId, note }). Issues without
+// an offering predate routing; only admins may hand those on, to any lecturer.
+app.put('/lecturer/issues/:id/assign', authenticate, async (req, res) => {
     try {
-        const marksData = req.body;
-        const results = [];
+        const { lecturerId } = req.body || {};
+        const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+        if (!mongoose.isValidObjectId(lecturerId)) {
+            return res.status(400).json({ success: false, message: 'Choose the lecturer to hand the issue to' });
+        }
+        const issue = await findWorkableIssue(req, res);
+        if (!issue) return;
+        if (String(issue.lecturer) === String(lecturerId)) {
+            return res.status(400).json({ success: false, message: 'The issue is already assigned to this lecturer' });
+        }
 
-        for (const markData of marksData) {
-            const { assessmentId, studentId, score, offeringId } = markData;
+        const offering = issue.offeringId ? await CourseOffering.findById(issue.offeringId).select('assignedLecturerIds') : null;
+        if (offering) {
+            if (!isAssignedLecturer(offering, lecturerId)) {
+                return res.status(400).json({ success: false, message: 'Issues can only be handed to a lecturer of the same offering' });
+            }
+        } else if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Only an admin can reassign an issue that is not linked to an offering' });
+        } else if (!(await User.exists({ _id: lecturerId, role: { $in: ['lecturer', 'admin'] } }))) {
+            return res.status(400).json({ success: false, message: 'Issues can only be handed to a lecturer' });
+        }
 
-            const mark = await Mark.findOneAndUpdate(
-                { assessmentId, studentId },
-                {
-                    assessmentId,
-                    offeringId,
-                    studentId,
-                    lecturerId: req.user._id,
-                    score
-                },
-                { upsert: true, new: true }
-            );
-            results.push(mark);
+        const updated = await Issue.findOneAndUpdate(
+            { _id: issue._id, lecturer: issue.lecturer },
+            {
+                lecturer: lecturerId,
+                $push: { assignmentHistory: { from: issue.lecturer, to: lecturerId, changedBy: req.user._id, ...(note && { note }) } }
+            },
+            { new: true }
+        ).populate(ISSUE_POPULATE);
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'The issue was changed by someone else; reload and try again' });
         }
 
-        res.json({ success: true, data: results });
+        const [data] = await withIssueDetails([updated]);
+        res.json({ success: true, data });
     } catch (error) {
-        console.error('Submit marks error:', error);
+        console.error('Reassign issue error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Get Marks for Offering
-app.get('/lecturer/offerings/:id/marks', authenticate, async (req, res) => {
-    try {
-        const { id } = req.params;
-        console.log(`[DEBUG] Fetching marks for offering: ${id}`);
+// --- Issue Escalation ---
 
-        const marks = await Mark.find({ offeringId: id });
-        console.log(`[DEBUG] Found ${marks.length} marks for offering ${id}`);
+// Escalated Issues still waiting for a response, oldest deadline first (admins)
+app.get('/admin/issues/escalated', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+        const issues = await Issue.find({ 'escalation.escalatedAt': { $exists: true }, ...AWAITING_RESPONSE_FILTER })
+            .populate([...ISSUE_POPULATE, { path: 'lecturer', select: 'fullName staffNo email' }])
+            .sort({ 'escalation.dueAt': 1, _id: 1 })
+            .limit(ISSUE_PAGE_SIZE_MAX);
 
-        res.json(marks.map(m => ({
-            studentId: m.studentId,
-            assessmentId: m.assessmentId,
-            score: m.score
-        })));
+        res.json({ success: true, data: await withIssueDetails(issues) });
     } catch (error) {
-        console.error('Fetch marks error:', error);
+        console.error('Fetch escalated issues error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-app.get('/lecturer/gradescales', authenticate, async (req, res) => {
+// Average Time to Resolution, per lecturer and issue type, of issues closed between from and to (admins)
+app.get('/admin/issues/resolution-report', authenticate, requireRole('admin'), async (req, res) => {
     try {
-        const scales = await GradeScale.find().sort({ minScore: -1 });
-        res.json(scales);
+        const closedAt = {};
+        if (req.query.from) {
+            const from = parseDateParam(req.query.from);
+            if (!from) return res.status(400).json({ success: false, message: 'from must be a date' });
+            closedAt.$gte = from;
+        }
+        if (req.query.to) {
+            const to = parseDateParam(req.query.to, { endOfDay: true });
+            if (!to) return res.status(400).json({ success: false, message: 'to must be a date' });
+            closedAt.$lt = to;
+        }
+
+        const groups = await Issue.aggregate([
+            { $match: { status: { $in: CLOSED_ISSUE_STATUSES }, 'resolution.changedAt': { $exists: true, ...closedAt } } },
+            {
+                $group: {
+                    _id: { lecturer: '$lecturer', issueType: '$issueType' },
+                    closed: { $sum: 1 },
+                    resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+                    escalated: { $sum: { $cond: [{ $ifNull: ['$escalation.escalatedAt', false] }, 1, 0] } },
+                    totalMs: { $sum: { $subtract: ['$resolution.changedAt', '$createdAt'] } }
+                }
+            }
+        ]);
+
+        const lecturers = await User.find({ _id: { $in: groups.map(group => group._id.lecturer) } }).select('fullName staffNo');
+        const lecturerById = new Map(lecturers.map(lecturer => [String(lecturer._id), lecturer]));
+        const hours = (ms, count) => Math.round(ms / count / 360000) / 10;
+        const describe = (id) => {
+            const lecturer = lecturerById.get(String(id));
+            return { id, fullName: lecturer?.fullName || 'Unknown lecturer', staffNo: lecturer?.staffNo || null };
+        };
+
+        // Per lecturer and issue type, and per lecturer across all types
+        const rows = groups.map(({ _id, closed, resolved, escalated, totalMs }) => ({
+            lecturer: describe(_id.lecturer),
+            issueType: _id.issueType,
+            closed,
+            resolved,
+            escalated,
+            averageHours: hours(totalMs, closed)
+        }));
+        const totals = new Map();
+        for (const { _id, closed, resolved, escalated, totalMs } of groups) {
+            const key = String(_id.lecturer);
+            const total = totals.get(key) || { lecturer: describe(_id.lecturer), closed: 0, resolved: 0, escalated: 0, totalMs: 0 };
+            totals.set(key, {
+                ...total,
+                closed: total.closed + closed,
+                resolved: total.resolved + resolved,
+                escalated: total.escalated + escalated,
+                totalMs: total.totalMs + totalMs
+            });
+        }
+        const byLecturer = [...totals.values()].map(({ totalMs, ...total }) => ({ ...total, averageHours: hours(totalMs, total.closed) }));
+
+        const byName = (a, b) => a.lecturer.fullName.localeCompare(b.lecturer.fullName);
+        rows.sort((a, b) => byName(a, b) || String(a.issueType).localeCompare(String(b.issueType)));
+        byLecturer.sort(byName);
+
+        res.json({ success: true, data: { rows, byLecturer } });
     } catch (error) {
-        console.error('Fetch gradescales error:', error);
+        console.error('Issue resolution report error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Get Issues for Lecturer
-app.get('/lecturer/issues', authenticate, async (req, res) => {
+// --- Issue Attachments ---
+
+// The issue's student (a student account whose regNo is their schoolID), the assigned
+// lecturer and admins may add and fetch an issue's attachments
+const canAccessIssue = async (user, issue) => {
+    if (user.role === 'admin' || String(issue.lecturer) === String(user._id)) return true;
+    if (user.role !== 'student') return false;
+
+    const student = await findAccountStudent(user._id);
+    return Boolean(student) && String(student._id) === String(issue.student);
+};
+
+const findAccessibleIssue = async (req, res) => {
+    const issue = mongoose.isValidObjectId(req.params.id) ? await Issue.findById(req.params.id) : null;
+    // Issues the user may not see are reported as missing
+    if (!issue || !(await canAccessIssue(req.user, issue))) {
+        res.status(404).json({ success: false, message: 'Issue not found' });
+        return null;
+    }
+    return issue;
+};
+
+// Upload Issue Attachments (multipart/form-data; every file part is stored)
+app.post(
+    '/issues/:id/attachments',
+    authenticate,
+    express.raw({ type: 'multipart/form-data', limit: ATTACHMENT_MAX_BYTES * ATTACHMENT_MAX_FILES + 64 * 1024 }),
+    async (req, res) => {
+        try {
+            const issue = await findAccessibleIssue(req, res);
+            if (!issue) return;
+
+            let files;
+            try {
+                files = parseMultipart(req.body, req.headers['content-type']).filter(part => part.filename !== null);
+            } catch (error) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            if (files.length === 0) {
+                return res.status(400).json({ success: false, message: 'Choose at least one file to attach' });
+            }
+            if (files.length > ATTACHMENT_MAX_FILES) {
+                return res.status(400).json({ success: false, message: `Attach at most ${ATTACHMENT_MAX_FILES} files at a time` });
+            }
+            // Nothing is stored unless every file is acceptable
+            const errors = files.map(checkAttachment).filter(result => result.error).map(result => result.error);
+            if (errors.length > 0) {
+                return res.status(400).json({ success: false, message: errors.join('; '), errors });
+            }
+
+            const attachments = [];
+            for (const file of files) {
+                attachments.push({ ...await storeAttachment(file), uploadedBy: req.user._id });
+            }
+            const updated = await Issue.findByIdAndUpdate(issue._id, { $push: { attachments: { $each: attachments } } }, { new: true })
+                .populate(ISSUE_POPULATE);
+
+            const [data] = await withIssueDetails([updated]);
+            res.status(201).json({ success: true, data });
+        } catch (error) {
+            console.error('Upload issue attachments error:', error);
+            res.status(500).json({ success: false, message: 'Server error' });
+        }
+    }
+);
+
+// Download an Issue Attachment (?download=true saves it instead of showing it)
+app.get('/issues/:id/attachments/:attachmentId', authenticate, async (req, res) => {
     try {
-        // Find issues assigned to this lecturer
-        const issues = await Issue.find({ lecturer: req.user._id })
-            .populate('student', 'firstName lastName schoolID email')
-            .sort({ createdAt: -1 });
+        const issue = await findAccessibleIssue(req, res);
+        if (!issue) return;
+
+        const attachment = mongoose.isValidObjectId(req.params.attachmentId) ? issue.attachments.id(req.params.attachmentId) : null;
+        const file = attachment && attachmentPath(attachment.storedName);
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Attachment not found' });
+        }
 
-        res.json(issues);
+        const name = attachment.originalName || attachment.storedName;
+        res.set({
+            'Content-Type': attachment.contentType,
+            'Content-Disposition': contentDisposition(req.query.download === 'true' ? 'attachment' : 'inline', name),
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store'
+        });
+        res.sendFile(file, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ success: false, message: 'Attachment file is missing' });
+            }
+        });
     } catch (error) {
-        console.error('Fetch issues error:', error);
+        console.error('Download issue attachment error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
-// Resolve Issue
-app.put('/lecturer/issues/:id/resolve', authenticate, async (req, res) => {
+// --- Scheduled Jobs ---
+
+const ISSUE_ESCALATION_INTERVAL_MINUTES = Number(process.env.ISSUE_ESCALATION_INTERVAL_MINUTES) || 15;
+
+// Put overdue issues in the admin queue and tell the admins what was added
+const runIssueEscalation = async () => {
     try {
-        const { id } = req.params;
-        const issue = await Issue.findByIdAndUpdate(id, { status: 'resolved' }, { new: true });
-        res.json({ success: true, data: issue });
+        const escalated = await escalateOverdueIssues();
+        if (escalated.length === 0) return;
+        console.log(`Escalated ${escalated.length} overdue issue(s)`);
+
+        const admins = await User.find({ role: 'admin' }).select('email fullName');
+        const lines = escalated.map(issue => `- ${issue.subject} (${issue.priority || 'medium'} priority, due ${responseDueAt(issue).toISOString()})`);
+        for (const admin of admins) {
+            await sendMail({
+                to: admin.email,
+                subject: `${escalated.length} Gradely issue(s) escalated`,
+                text: [
+                    `Hello ${admin.fullName},`,
+                    '',
+                    'These student issues passed their response deadline without a reply and are now in the escalation queue:',
+                    ...lines,
+                    '',
+                    `Review them under Escalations: ${APP_BASE_URL}/dashboard`
+                ].join('\n')
+            });
+        }
     } catch (error) {
-        console.error('Resolve issue error:', error);
-        res.status(500).json({ success: false, message: 'Server error' });
+        console.error('Issue escalation error:', error);
     }
-});
-
+};
 
 // Start Server
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    // First run once the database is reachable, then on the interval
+    if (mongoose.connection.readyState === 1) runIssueEscalation();
+    else mongoose.connection.once('open', runIssueEscalation);
+    setInterval(runIssueEscalation, ISSUE_ESCALATION_INTERVAL_MINUTES * 60 * 1000);
 });
@@ -0,0 +1,147 @@
+/**
+ * Issue attachments on local disk
+ * Uploads arrive as multipart/form-data. Each file's type is decided from its
+ * content (not the name or the browser's claim), and it is stored under the
+ * SHA-256 of its content, so the same file uploaded twice is stored once.
+ * @module attachments
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const ATTACHMENTS_DIR = path.resolve(process.env.ATTACHMENTS_DIR || path.join('uploads', 'issues'));
+export const ATTACHMENT_MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 5) * 1024 * 1024;
+export const ATTACHMENT_MAX_FILES = 5;
+
+// Accepted types, recognised by their leading bytes
+const FILE_TYPES = [
+    { contentType: 'application/pdf', extension: 'pdf', matches: (data) => data.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { contentType: 'image/png', extension: 'png', matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { contentType: 'image/jpeg', extension: 'jpg', matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF])) },
+    { contentType: 'image/gif', extension: 'gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.subarray(0, 6).toString('latin1')) },
+    {
+        contentType: 'image/webp',
+        extension: 'webp',
+        matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP'
+    }
+];
+
+export const ATTACHMENT_TYPES = FILE_TYPES.map(type => type.contentType);
+
+// Stored names are a content hash and a known extension, and nothing else
+const STORED_NAME = /^[a-f0-9]{64}\.(pdf|png|jpg|gif|webp)$/;
+
+/**
+ * Find the accepted type of a file from its content
+ * @param {Buffer} data - File content
+ * @returns {{contentType: string, extension: string}|null} The type, or null if it is not accepted
+ */
+export const detectFileType = (data) => {
+    const type = FILE_TYPES.find(candidate => candidate.matches(data));
+    return type ? { contentType: type.contentType, extension: type.extension } : null;
+};
+
+const headerParam = (header, name) => {
+    const match = header.match(new RegExp(`;\\s*${name}="([^"]*)"`, 'i')) || header.match(new RegExp(`;\\s*${name}=([^;]+)`, 'i'));
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentTypeHeader - The request's Content-Type, which carries the boundary
+ * @returns {Object[]} Parts: { name, filename, contentType, data }; filename is null for plain fields,
+ * and file inputs left empty are skipped
+ * @throws {Error} When the body is not well-formed multipart
+ */
+export const parseMultipart = (body, contentTypeHeader = '') => {
+    const boundary = headerParam(contentTypeHeader, 'boundary');
+    if (!boundary || !Buffer.isBuffer(body)) {
+        throw new Error('Expected a multipart/form-data upload');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+    let position = body.indexOf(delimiter);
+    if (position === -1) throw new Error('Malformed multipart body');
+
+    while (true) {
+        position += delimiter.length;
+        // "--" after a delimiter closes the body
+        if (body.subarray(position, position + 2).toString() === '--') break;
+        if (body.subarray(position, position + 2).toString() !== '\r\n') throw new Error('Malformed multipart body');
+        position += 2;
+
+        const headerEnd = body.indexOf('\r\n\r\n', position);
+        const next = body.indexOf(Buffer.concat([Buffer.from('\r\n'), delimiter]), position);
+        if (headerEnd === -1 || next === -1 || headerEnd > next) throw new Error('Malformed multipart body');
+
+        const headers = body.subarray(position, headerEnd).toString('utf8').split('\r\n');
+        const header = (name) => headers.find(line => line.toLowerCase().startsWith(`${name}:`))?.slice(name.length + 1).trim() || '';
+        const disposition = header('content-disposition');
+        const filename = headerParam(disposition, 'filename');
+        position = next + 2;
+        // Browsers send an unused file input as a part with an empty filename
+        if (filename === '') continue;
+        parts.push({
+            name: headerParam(disposition, 'name'),
+            filename: filename === null ? null : path.basename(filename.replace(/\\/g, '/')),
+            contentType: header('content-type') || null,
+            data: body.subarray(headerEnd + 4, next)
+        });
+    }
+    return parts;
+};
+
+/**
+ * Check an uploaded file against the size and type limits
+ * @param {{filename: string, data: Buffer}} file - Uploaded file part
+ * @returns {{error: string}|{contentType: string, extension: string}} The problem, or the file's type
+ */
+export const checkAttachment = ({ filename, data }) => {
+    if (data.length === 0) return { error: `${filename} is empty` };
+    if (data.length > ATTACHMENT_MAX_BYTES) {
+        return { error: `${filename} is larger than ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB` };
+    }
+    return detectFileType(data) || { error: `${filename} is not a PDF or an image (PNG, JPEG, GIF or WebP)` };
+};
+
+/**
+ * Store a checked file under its content hash
+ * @param {{filename: string, data: Buffer}} file - Uploaded file part that passed checkAttachment
+ * @returns {Promise<Object>} Attachment record: { storedName, originalName, contentType, size }
+ */
+export const storeAttachment = async (file) => {
+    const type = checkAttachment(file);
+    if (type.error) throw new Error(type.error);
+
+    const storedName = `${crypto.createHash('sha256').update(file.data).digest('hex')}.${type.extension}`;
+    await fs.mkdir(ATTACHMENTS_DIR, { recursive: true });
+    // Written aside and renamed into place, so a stored name never points at a partial file.
+    // Replacing an existing file is harmless: the name means the content is the same.
+    const partial = path.join(ATTACHMENTS_DIR, `.${storedName}.${crypto.randomUUID()}`);
+    await fs.writeFile(partial, file.data);
+    await fs.rename(partial, path.join(ATTACHMENTS_DIR, storedName));
+
+    return { storedName, originalName: file.filename.slice(0, 200), contentType: type.contentType, size: file.data.length };
+};
+
+/**
+ * Absolute path of a stored attachment, or null for names that could not have been stored
+ * @param {string} storedName - Name recorded on the issue
+ */
+export const attachmentPath = (storedName) =>
+    (STORED_NAME.test(storedName || '') ? path.join(ATTACHMENTS_DIR, storedName) : null);
+
+export default {
+    ATTACHMENTS_DIR,
+    ATTACHMENT_MAX_BYTES,
+    ATTACHMENT_MAX_FILES,
+    ATTACHMENT_TYPES,
+    detectFileType,
+    parseMultipart,
+    checkAttachment,
+    storeAttachment,
+    attachmentPath
+};
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ATTACHMENT_MAX_BYTES,
+    attachmentPath,
+    checkAttachment,
+    detectFileType,
+    parseMultipart
+} from './attachments.js';
+
+const PDF = Buffer.from('%PDF-1.4\n...');
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]);
+
+// Build a multipart body the way a browser does
+const multipart = (boundary, parts, { close = true } = {}) => Buffer.concat([
+    ...parts.flatMap(({ name, filename, contentType, data }) => [
+        Buffer.from(`--${boundary}\r\n`),
+        Buffer.from(`Content-Disposition: form-data; name="${name}"${filename !== undefined ? `; filename="${filename}"` : ''}\r\n`),
+        Buffer.from(contentType ? `Content-Type: ${contentType}\r\n` : ''),
+        Buffer.from('\r\n'),
+        Buffer.isBuffer(data) ? data : Buffer.from(data),
+        Buffer.from('\r\n')
+    ]),
+    Buffer.from(close ? `--${boundary}--\r\n` : '')
+]);
+
+test('splits fields and files, keeping file bytes intact', () => {
+    // The file holds CRLFs and the boundary text, but never CRLF followed by the boundary
+    const data = Buffer.concat([PDF, Buffer.from('\r\nline\r\nsee --XyZ\r\n')]);
+    const body = multipart('XyZ', [
+        { name: 'note', data: 'hello' },
+        { name: 'files', filename: 'script.pdf', contentType: 'application/pdf', data }
+    ]);
+
+    const parts = parseMultipart(body, 'multipart/form-data; boundary=XyZ');
+    assert.equal(parts.length, 2);
+    assert.deepEqual({ ...parts[0], data: parts[0].data.toString() }, { name: 'note', filename: null, contentType: null, data: 'hello' });
+    assert.equal(parts[1].filename, 'script.pdf');
+    assert.equal(parts[1].contentType, 'application/pdf');
+    assert.ok(parts[1].data.equals(data));
+});
+
+test('reads quoted boundaries and keeps only the base name of uploaded files', () => {
+    const body = multipart('a b', [{ name: 'files', filename: '..\\..\\etc/evil.png', data: PNG }]);
+    const [part] = parseMultipart(body, 'multipart/form-data; boundary="a b"');
+    assert.equal(part.filename, 'evil.png');
+    assert.ok(part.data.equals(PNG));
+});
+
+test('skips file inputs that were left empty', () => {
+    const body = multipart('XyZ', [
+        { name: 'files', filename: '', contentType: 'application/octet-stream', data: '' },
+        { name: 'files', filename: 'scan.png', contentType: 'image/png', data: PNG }
+    ]);
+    const parts = parseMultipart(body, 'multipart/form-data; boundary=XyZ');
+    assert.deepEqual(parts.map(part => part.filename), ['scan.png']);
+});
+
+test('rejects bodies without a boundary or with broken framing', () => {
+    const body = multipart('XyZ', [{ name: 'files', filename: 'a.pdf', data: PDF }]);
+    assert.throws(() => parseMultipart(body, 'multipart/form-data'), /multipart\/form-data/);
+    assert.throws(() => parseMultipart(body, 'multipart/form-data; boundary=Other'), /Malformed/);
+    assert.throws(() => parseMultipart('not a buffer', 'multipart/form-data; boundary=XyZ'), /multipart\/form-data/);
+    // Cut off before the closing delimiter
+    const truncated = multipart('XyZ', [{ name: 'files', filename: 'a.pdf', data: PDF }], { close: false });
+    assert.throws(() => parseMultipart(truncated.subarray(0, truncated.length - 4), 'multipart/form-data; boundary=XyZ'), /Malformed/);
+    // Headers that never end
+    assert.throws(() => parseMultipart(Buffer.from('--XyZ\r\nContent-Disposition: form-data\r\n--XyZ--'), 'multipart/form-data; boundary=XyZ'), /Malformed/);
+});
+
+test('accepts files up to the size limit and refuses larger or empty ones', () => {
+    const atLimit = Buffer.alloc(ATTACHMENT_MAX_BYTES);
+    PDF.copy(atLimit);
+    assert.deepEqual(checkAttachment({ filename: 'big.pdf', data: atLimit }), { contentType: 'application/pdf', extension: 'pdf' });
+
+    const overLimit = Buffer.alloc(ATTACHMENT_MAX_BYTES + 1);
+    PDF.copy(overLimit);
+    assert.match(checkAttachment({ filename: 'huge.pdf', data: overLimit }).error, /huge\.pdf is larger than/);
+
+    assert.match(checkAttachment({ filename: 'empty.pdf', data: Buffer.alloc(0) }).error, /empty/);
+});
+
+test('decides the type from the content, not the name', () => {
+    assert.equal(detectFileType(PNG).contentType, 'image/png');
+    assert.match(checkAttachment({ filename: 'page.pdf', data: Buffer.from('<html><script>') }).error, /not a PDF or an image/);
+});
+
+test('only resolves stored names that could have been stored', () => {
+    const name = `${'a'.repeat(64)}.pdf`;
+    assert.ok(attachmentPath(name).endsWith(name));
+    assert.equal(attachmentPath('../../etc/passwd'), null);
+    assert.equal(attachmentPath(`${'a'.repeat(64)}.html`), null);
+    assert.equal(attachmentPath(undefined), null);
+});
@@ -0,0 +1,316 @@
+/**
+ * Data integrity checks and repairs
+ * Each check reports problems in the stored data. A problem carries a `fix`
+ * only when the right repair is unambiguous; the rest need a human decision.
+ * Repairs apply exactly those fixes and return a record of each change.
+ * @module integrity
+ */
+
+import { routeIssue } from './issueRouting.js';
+import { Course, CourseOffering, Enrollment, Issue, Mark, MarkHistory, Student, User } from './models.js';
+
+const idSet = (docs) => new Set(docs.map(doc => String(doc._id ?? doc)));
+
+// Everything the checks look up, loaded once per run
+const loadContext = async () => {
+    const [courses, offerings, studentIds, users] = await Promise.all([
+        Course.find().select('code'),
+        CourseOffering.find().select('courseId term year assessments assignedLecturerIds'),
+        Student.distinct('_id'),
+        User.find().select('role fullName email')
+    ]);
+
+    const offeringsByCourse = new Map();
+    for (const offering of offerings) {
+        const key = String(offering.courseId);
+        offeringsByCourse.set(key, [...(offeringsByCourse.get(key) || []), offering]);
+    }
+    const courseById = new Map(courses.map(course => [String(course._id), course]));
+
+    return {
+        offeringById: new Map(offerings.map(offering => [String(offering._id), offering])),
+        courseById,
+        offeringsByCourse,
+        studentIds: idSet(studentIds),
+        userById: new Map(users.map(user => [String(user._id), user])),
+        describeOffering: (offering) =>
+            `${courseById.get(String(offering.courseId))?.code || 'unknown course'} ${offering.term} ${offering.year} (${offering._id})`
+    };
+};
+
+const problem = (check, collection, doc, message, fix) => ({
+    check,
+    collection,
+    id: String(doc._id),
+    message,
+    ...(fix && { fix })
+});
+
+// The offering an ID stored as "offeringId" really means: the offering itself, or, for
+// records that were linked to the course, the course's only offering (or the one the
+// student has marks in). Returns { offering } or { reason } when it cannot be decided.
+const resolveOffering = (ctx, offeringId, markOfferingIds = []) => {
+    const direct = ctx.offeringById.get(String(offeringId));
+    if (direct) return { offering: direct };
+
+    const course = ctx.courseById.get(String(offeringId));
+    if (!course) return { reason: 'points at no offering or course' };
+
+    const candidates = ctx.offeringsByCourse.get(String(offeringId)) || [];
+    if (candidates.length === 1) return { offering: candidates[0], course };
+    if (candidates.length === 0) return { reason: `points at course ${course.code}, which has no offerings` };
+
+    const withMarks = candidates.filter(o => markOfferingIds.includes(String(o._id)));
+    if (withMarks.length === 1) return { offering: withMarks[0], course };
+    return { reason: `points at course ${course.code}, which has ${candidates.length} offerings; choose one` };
+};
+
+/**
+ * Enrollments linked to a course instead of an offering, or to nothing, or to a missing student
+ */
+const checkEnrollmentLinks = async (ctx) => {
+    const check = 'enrollment-links';
+    const enrollments = await Enrollment.find().select('studentId offeringId status');
+    const problems = [];
+
+    const enrolledKeys = new Set(enrollments
+        .filter(e => ctx.offeringById.has(String(e.offeringId)))
+        .map(e => `${e.studentId}:${e.offeringId}`));
+
+    for (const enrollment of enrollments) {
+        if (!ctx.studentIds.has(String(enrollment.studentId))) {
+            problems.push(problem(check, 'enrollments', enrollment,
+                `student ${enrollment.studentId} does not exist`, { action: 'delete' }));
+            continue;
+        }
+        if (ctx.offeringById.has(String(enrollment.offeringId))) continue;
+
+        const markOfferingIds = (await Mark.distinct('offeringId', { studentId: enrollment.studentId })).map(String);
+        const { offering, course, reason } = resolveOffering(ctx, enrollment.offeringId, markOfferingIds);
+        if (!offering) {
+            // Only records that point at nothing are deleted; course links need a decision
+            problems.push(problem(check, 'enrollments', enrollment, reason,
+                ctx.courseById.has(String(enrollment.offeringId)) ? undefined : { action: 'delete' }));
+            continue;
+        }
+
+        const key = `${enrollment.studentId}:${offering._id}`;
+        if (enrolledKeys.has(key)) {
+            problems.push(problem(check, 'enrollments', enrollment,
+                `points at course ${course.code}, but the student is already enrolled in ${ctx.describeOffering(offering)}`,
+                { action: 'delete' }));
+            continue;
+        }
+        enrolledKeys.add(key);
+        problems.push(problem(check, 'enrollments', enrollment,
+            `points at course ${course.code}; relink to ${ctx.describeOffering(offering)}`,
+            { action: 'relink', from: String(enrollment.offeringId), offeringId: String(offering._id) }));
+    }
+    return problems;
+};
+
+/**
+ * The same student enrolled more than once in one offering. The enrolled (or else the
+ * oldest) record is kept.
+ */
+const checkDuplicateEnrollments = async () => {
+    const check = 'duplicate-enrollments';
+    const groups = await Enrollment.aggregate([
+        { $sort: { createdAt: 1, _id: 1 } },
+        { $group: { _id: { studentId: '$studentId', offeringId: '$offeringId' }, enrollments: { $push: { _id: '$_id', status: '$status' } } } },
+        { $match: { 'enrollments.1': { $exists: true } } }
+    ]);
+
+    return groups.flatMap(group => {
+        const isActive = (e) => !e.status || e.status === 'enrolled';
+        const keep = group.enrollments.find(isActive) || group.enrollments[0];
+        return group.enrollments
+            .filter(e => e !== keep)
+            .map(e => problem(check, 'enrollments', e,
+                `duplicate of enrollment ${keep._id} for student ${group._id.studentId} in offering ${group._id.offeringId}`,
+                { action: 'delete' }));
+    });
+};
+
+/**
+ * Marks for a missing student, offering or assessment, and marks of students with no
+ * enrollment in the offering (reported only: dropped students keep theirs)
+ */
+const checkOrphanMarks = async (ctx) => {
+    const check = 'orphan-marks';
+    const [marks, enrollments] = await Promise.all([
+        Mark.find().select('studentId offeringId assessmentId score'),
+        Enrollment.find().select('studentId offeringId')
+    ]);
+    const enrollmentKeys = new Set(enrollments.map(e => `${e.studentId}:${e.offeringId}`));
+    const problems = [];
+
+    for (const mark of marks) {
+        if (!ctx.studentIds.has(String(mark.studentId))) {
+            problems.push(problem(check, 'marks', mark, `student ${mark.studentId} does not exist`, { action: 'delete' }));
+            continue;
+        }
+
+        const { offering, course, reason } = resolveOffering(ctx, mark.offeringId);
+        if (!offering) {
+            problems.push(problem(check, 'marks', mark, reason,
+                ctx.courseById.has(String(mark.offeringId)) ? undefined : { action: 'delete' }));
+            continue;
+        }
+        if (!offering.assessments.id(mark.assessmentId)) {
+            problems.push(problem(check, 'marks', mark,
+                `assessment ${mark.assessmentId} is not part of ${ctx.describeOffering(offering)}`, { action: 'delete' }));
+            continue;
+        }
+        if (course) {
+            problems.push(problem(check, 'marks', mark,
+                `points at course ${course.code}; relink to ${ctx.describeOffering(offering)}`,
+                { action: 'relink', from: String(mark.offeringId), offeringId: String(offering._id) }));
+            continue;
+        }
+
+        const enrolled = enrollmentKeys.has(`${mark.studentId}:${offering._id}`)
+            || enrollmentKeys.has(`${mark.studentId}:${offering.courseId}`);
+        if (!enrolled) {
+            problems.push(problem(check, 'marks', mark,
+                `student ${mark.studentId} has no enrollment in ${ctx.describeOffering(offering)}`));
+        }
+    }
+    return problems;
+};
+
+/**
+ * Issues raised by a missing student, or assigned to a missing user or one who is not staff.
+ * Issues about an offering should also be with one of its lecturers (or an admin), and are
+ * reassigned as a new issue would be routed. Older issues without an offering are reassigned
+ * only when the student chose the same lecturer in every enrollment.
+ */
+const checkIssueReferences = async (ctx) => {
+    const check = 'issue-references';
+    const issues = await Issue.find().select('student lecturer subject offeringId');
+    const problems = [];
+    const isStaff = (user) => Boolean(user) && ['lecturer', 'admin'].includes(user.role);
+
+    for (const issue of issues) {
+        if (!ctx.studentIds.has(String(issue.student))) {
+            problems.push(problem(check, 'issues', issue, `"${issue.subject}" was raised by student ${issue.student}, who does not exist`));
+            continue;
+        }
+
+        const lecturer = ctx.userById.get(String(issue.lecturer));
+        const offering = issue.offeringId && ctx.offeringById.get(String(issue.offeringId));
+        if (offering) {
+            const teaches = offering.assignedLecturerIds.some(id => String(id) === String(issue.lecturer));
+            if (isStaff(lecturer) && (teaches || lecturer.role === 'admin')) continue;
+
+            const routedId = await routeIssue(offering, issue.student);
+            const target = isStaff(ctx.userById.get(routedId)) ? ctx.userById.get(routedId) : null;
+            const current = lecturer
+                ? `${lecturer.fullName}, ${isStaff(lecturer) ? `who does not teach ${ctx.describeOffering(offering)}` : `a ${lecturer.role}`}`
+                : `user ${issue.lecturer}, who does not exist`;
+            problems.push(problem(check, 'issues', issue,
+                target
+                    ? `"${issue.subject}" is assigned to ${current}; reassign to ${target.fullName}, who the issue routes to`
+                    : `"${issue.subject}" is assigned to ${current}, and ${ctx.describeOffering(offering)} has no lecturer to route it to`,
+                target && { action: 'reassign', from: String(issue.lecturer), lecturerId: String(target._id) }));
+            continue;
+        }
+        if (isStaff(lecturer)) continue;
+
+        const chosen = [...new Set((await Enrollment.distinct('chosenLecturerId', { studentId: issue.student }))
+            .filter(Boolean)
+            .map(String))]
+            .filter(id => isStaff(ctx.userById.get(id)));
+        const target = chosen.length === 1 ? ctx.userById.get(chosen[0]) : null;
+        const current = lecturer ? `${lecturer.fullName}, a ${lecturer.role}` : `user ${issue.lecturer}, who does not exist`;
+
+        problems.push(problem(check, 'issues', issue,
+            target
+                ? `"${issue.subject}" is assigned to ${current}; reassign to ${target.fullName}, the student's chosen lecturer`
+                : `"${issue.subject}" is assigned to ${current}, and the student has no single chosen lecturer`,
+            target && { action: 'reassign', from: String(issue.lecturer), lecturerId: String(target._id) }));
+    }
+    return problems;
+};
+
+/**
+ * Available checks, in the order they run (and their fixes are applied)
+ */
+export const CHECKS = {
+    'enrollment-links': checkEnrollmentLinks,
+    'duplicate-enrollments': checkDuplicateEnrollments,
+    'orphan-marks': checkOrphanMarks,
+    'issue-references': checkIssueReferences
+};
+
+/**
+ * Run checks against the database
+ * @param {string[]} [names] - Checks to run (default: all)
+ * @returns {Promise<Object[]>} Problems found: { check, collection, id, message, fix? }
+ */
+export const runChecks = async (names = Object.keys(CHECKS)) => {
+    const ctx = await loadContext();
+    const problems = [];
+    for (const name of names) {
+        problems.push(...await CHECKS[name](ctx));
+    }
+    return problems;
+};
+
+/**
+ * Apply the fix of one problem. Each update is conditional on the record still
+ * looking the way the check saw it, so a stale plan changes nothing.
+ * @param {Object} problem - Problem with a `fix`, from runChecks
+ * @param {Object} operator - Admin user the change is attributed to
+ * @returns {Promise<Object|null>} What changed, or null if the record had already changed
+ */
+export const applyFix = async ({ check, collection, id, message, fix }, operator) => {
+    const change = (before, after) => ({ check, collection, id, action: fix.action, message, before, after });
+
+    if (collection === 'enrollments' && fix.action === 'relink') {
+        const result = await Enrollment.updateOne({ _id: id, offeringId: fix.from }, { offeringId: fix.offeringId });
+        return result.modifiedCount ? change({ offeringId: fix.from }, { offeringId: fix.offeringId }) : null;
+    }
+    if (collection === 'enrollments' && fix.action === 'delete') {
+        const enrollment = await Enrollment.findByIdAndDelete(id);
+        return enrollment ? change(enrollment.toObject(), null) : null;
+    }
+    if (collection === 'marks' && fix.action === 'relink') {
+        const result = await Mark.updateOne({ _id: id, offeringId: fix.from }, { offeringId: fix.offeringId });
+        return result.modifiedCount ? change({ offeringId: fix.from }, { offeringId: fix.offeringId }) : null;
+    }
+    if (collection === 'marks' && fix.action === 'delete') {
+        const mark = await Mark.findByIdAndDelete(id);
+        if (!mark) return null;
+        // Keep the deleted score in the mark's audit trail, like any other deletion
+        await MarkHistory.create({
+            markId: mark._id,
+            offeringId: mark.offeringId,
+            studentId: mark.studentId,
+            assessmentId: mark.assessmentId,
+            action: 'delete',
+            oldScore: mark.score,
+            newScore: null,
+            changedBy: operator._id,
+            reason: `Data repair: ${message}`
+        });
+        return change(mark.toObject(), null);
+    }
+    if (collection === 'issues' && fix.action === 'reassign') {
+        const result = await Issue.updateOne(
+            { _id: id, lecturer: fix.from },
+            {
+                lecturer: fix.lecturerId,
+                $push: { assignmentHistory: { from: fix.from, to: fix.lecturerId, changedBy: operator._id, note: `Data repair: ${message}` } }
+            }
+        );
+        return result.modifiedCount ? change({ lecturer: fix.from }, { lecturer: fix.lecturerId }) : null;
+    }
+    throw new Error(`No repair for ${fix.action} on ${collection}`);
+};
+
+export default {
+    CHECKS,
+    runChecks,
+    applyFix
+};
@@ -0,0 +1,42 @@
+/**
+ * Issue routing
+ * An issue about an offering goes to the lecturer the student chose for it, as
+ * long as they still teach the offering, and otherwise to the offering's first
+ * assigned lecturer. Used when an issue is raised and by the data repair checks.
+ * @module issueRouting
+ */
+
+import { Enrollment } from './models.js';
+
+/**
+ * Pick the lecturer for an issue from the offering and the student's choice
+ * @param {Object} offering - Offering with assignedLecturerIds
+ * @param {string|Object} [chosenLecturerId] - The enrollment's chosen lecturer
+ * @returns {string|null} Lecturer ID, or null when nobody teaches the offering
+ */
+export const chooseIssueLecturer = (offering, chosenLecturerId) => {
+    const assigned = (offering.assignedLecturerIds || []).map(id => String(id._id ?? id));
+    if (chosenLecturerId && assigned.includes(String(chosenLecturerId))) return String(chosenLecturerId);
+    return assigned[0] ?? null;
+};
+
+/**
+ * Find who an issue from a student about an offering should go to
+ * @param {Object} offering - Offering with assignedLecturerIds and courseId
+ * @param {string|Object} studentId - Student raising the issue
+ * @returns {Promise<string|null>} Lecturer ID, or null when nobody teaches the offering
+ */
+export const routeIssue = async (offering, studentId) => {
+    // Some enrollments were linked to the Course instead of the Offering, so match either ID
+    const courseId = offering.courseId?._id || offering.courseId;
+    const enrollments = await Enrollment.find({ offeringId: { $in: [offering._id, courseId].filter(Boolean) }, studentId })
+        .select('chosenLecturerId status');
+    // A current enrollment's choice wins over one from a dropped enrollment
+    const enrollment = enrollments.find(candidate => candidate.status !== 'dropped') || enrollments[0];
+    return chooseIssueLecturer(offering, enrollment?.chosenLecturerId);
+};
+
+export default {
+    chooseIssueLecturer,
+    routeIssue
+};
@@ -0,0 +1,101 @@
+/**
+ * Issue response deadlines and escalation
+ * Each priority has a deadline for the first staff response, counted from when
+ * the issue was raised. A status change or a staff reply is a response. Open
+ * issues still waiting past their deadline are overdue, and the escalation job
+ * puts them in the admin queue.
+ * @module issueSla
+ */
+
+import { Issue } from './models.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours allowed for the first response, by priority
+export const ISSUE_RESPONSE_HOURS = {
+    high: Number(process.env.ISSUE_RESPONSE_HOURS_HIGH) || 24,
+    medium: Number(process.env.ISSUE_RESPONSE_HOURS_MEDIUM) || 72,
+    low: Number(process.env.ISSUE_RESPONSE_HOURS_LOW) || 168
+};
+
+// Issues with any other priority are held to the medium deadline
+const DEFAULT_PRIORITY = 'medium';
+
+// Statuses that mean someone has responded; pending and older statuses have not
+const RESPONDED_STATUSES = ['in_review', 'awaiting_student', 'resolved', 'rejected'];
+
+// Query for issues with no status change and no staff reply
+export const AWAITING_RESPONSE_FILTER = {
+    status: { $nin: RESPONDED_STATUSES },
+    'comments.author': { $ne: 'staff' }
+};
+
+/**
+ * Hours allowed for the first response to an issue of the given priority
+ * @param {string} [priority] - Issue priority
+ */
+export const responseHoursFor = (priority) =>
+    ISSUE_RESPONSE_HOURS[priority] ?? ISSUE_RESPONSE_HOURS[DEFAULT_PRIORITY];
+
+/**
+ * When the first response to an issue is due
+ * @param {Object} issue - Issue with priority and createdAt
+ * @returns {Date}
+ */
+export const responseDueAt = (issue) =>
+    new Date(new Date(issue.createdAt).getTime() + responseHoursFor(issue.priority) * HOUR_MS);
+
+/**
+ * Whether an issue is still waiting for its first staff response
+ * @param {Object} issue - Issue with status and comments
+ */
+export const isAwaitingResponse = (issue) =>
+    !RESPONDED_STATUSES.includes(issue.status) && !(issue.comments || []).some(comment => comment.author === 'staff');
+
+/**
+ * Query for issues past their response deadline with no response yet
+ * @param {Date} [now] - Time to measure against
+ * @returns {Object} Mongo filter
+ */
+export const overdueIssueFilter = (now = new Date()) => {
+    const raisedBefore = (hours) => ({ $lt: new Date(now.getTime() - hours * HOUR_MS) });
+    const priorities = Object.keys(ISSUE_RESPONSE_HOURS);
+    return {
+        ...AWAITING_RESPONSE_FILTER,
+        $or: [
+            ...priorities.map(priority => ({ priority, createdAt: raisedBefore(ISSUE_RESPONSE_HOURS[priority]) })),
+            { priority: { $nin: priorities }, createdAt: raisedBefore(responseHoursFor()) }
+        ]
+    };
+};
+
+/**
+ * Escalate overdue issues that have not been escalated yet. Each issue is claimed
+ * with a conditional update, so two server processes never escalate it twice.
+ * @param {Date} [now] - Time to measure against, recorded as escalatedAt
+ * @returns {Promise<Object[]>} The issues escalated by this run
+ */
+export const escalateOverdueIssues = async (now = new Date()) => {
+    const overdue = await Issue.find({ ...overdueIssueFilter(now), 'escalation.escalatedAt': { $exists: false } })
+        .select('subject lecturer priority createdAt');
+
+    const escalated = [];
+    for (const issue of overdue) {
+        const result = await Issue.updateOne(
+            { _id: issue._id, 'escalation.escalatedAt': { $exists: false } },
+            { escalation: { escalatedAt: now, dueAt: responseDueAt(issue), lecturer: issue.lecturer } }
+        );
+        if (result.modifiedCount) escalated.push(issue);
+    }
+    return escalated;
+};
+
+export default {
+    ISSUE_RESPONSE_HOURS,
+    AWAITING_RESPONSE_FILTER,
+    responseHoursFor,
+    responseDueAt,
+    isAwaitingResponse,
+    overdueIssueFilter,
+    escalateOverdueIssues
+};
@@ -0,0 +1,76 @@
+/**
+ * Outgoing mail
+ * Messages go through a pluggable transport: any object with an async
+ * `send({ to, subject, text })`. The default transport writes each message
+ * to a local outbox directory, so mail works in development without SMTP.
+ * @module mailer
+ */
+
+// Load .env here too: server.js imports this module before models.js, and MAIL_* is read at load time
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Gradely <no-reply@gradely.local>';
+
+/**
+ * Transport that saves each message as an .eml file in `directory`
+ * @param {string} directory - Outbox directory (created on first send)
+ */
+export const createOutboxTransport = (directory) => ({
+    async send({ from, to, subject, text }) {
+        await fs.mkdir(directory, { recursive: true });
+        const date = new Date();
+        const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        // The random part keeps messages with the same subject sent in the same millisecond apart
+        const file = path.join(directory, `${date.toISOString().replace(/[:.]/g, '-')}-${slug}-${crypto.randomUUID().slice(0, 8)}.eml`);
+        const eml = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${date.toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+        await fs.writeFile(file, eml, 'utf8');
+        return { id: path.basename(file) };
+    }
+});
+
+/**
+ * Transport that prints each message to the console
+ */
+export const createConsoleTransport = () => ({
+    async send({ to, subject, text }) {
+        console.log(`[mail] To: ${to} | Subject: ${subject}\n${text}`);
+        return { id: null };
+    }
+});
+
+let transport = createOutboxTransport(process.env.MAIL_OUTBOX_DIR || path.resolve('outbox'));
+
+/**
+ * Replace the transport used by `sendMail` (e.g. an SMTP client wrapper)
+ * @param {{ send: Function }} nextTransport - Transport with an async send(message)
+ */
+export const setMailTransport = (nextTransport) => {
+    if (typeof nextTransport?.send !== 'function') {
+        throw new Error('A mail transport must have a send(message) method');
+    }
+    transport = nextTransport;
+};
+
+/**
+ * Send a plain-text message
+ * @param {Object} message - { to, subject, text }
+ */
+export const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+export default {
+    createOutboxTransport,
+    createConsoleTransport,
+    setMailTransport,
+    sendMail
+};
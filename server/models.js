@@ -0,0 +1,285 @@
+/**
+ * Mongoose models
+ * Shared by the API server and the gradely-admin CLI, so both read and
+ * write the same shapes.
+ * @module models
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+
+const LOGIN_ATTEMPT_RETENTION_DAYS = Number(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+
+const userSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true },
+    passwordHash: { type: String, required: true },
+    fullName: { type: String, required: true },
+    role: { type: String, enum: ['student', 'lecturer', 'admin'], default: 'student' },
+    staffNo: String,
+    regNo: String,
+    emailVerified: Boolean, // Unset for accounts created before verification existed
+    failedLoginCount: { type: Number, default: 0 },
+    lastFailedLoginAt: Date,
+    lockedUntil: Date,
+    twoFactorRequired: { type: Boolean, default: false }, // Set by an admin
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: String,
+        pendingSecret: String, // Awaiting confirmation during enrolment
+        lastUsedStep: Number, // Each code is accepted once
+        recoveryCodeHashes: [String],
+        enabledAt: Date
+    }
+}, { timestamps: true });
+
+const courseSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    credits: { type: Number, required: true },
+    gradeSchemeId: { type: mongoose.Schema.Types.ObjectId, ref: 'GradeScheme' }
+}, { timestamps: true });
+
+const courseOfferingSchema = new mongoose.Schema({
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+    term: { type: String, required: true },
+    year: { type: Number, required: true },
+    capacity: { type: Number, default: 50 },
+    assignedLecturerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    gradeSchemeId: { type: mongoose.Schema.Types.ObjectId, ref: 'GradeScheme' }, // Overrides the course's scheme
+    resultsStatus: { type: String, enum: ['draft', 'submitted', 'approved', 'published'], default: 'draft' },
+    resultsStatusHistory: [{
+        from: String,
+        to: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        comment: String,
+        changedAt: { type: Date, default: Date.now }
+    }],
+    assessments: [{
+        name: String,
+        weight: Number,
+        maxScore: Number
+    }]
+}, { timestamps: true });
+
+const enrollmentSchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true }, // Changed to ref 'Student'
+    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: true },
+    chosenLecturerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Made optional
+    marks: { type: Number, default: null }, // Added to match data
+    enrolledAt: { type: Date }, // Added to match data
+    // Older enrollments have no status and count as enrolled
+    status: { type: String, enum: ['enrolled', 'waitlisted', 'dropped'], default: 'enrolled' },
+    waitlistedAt: { type: Date },
+    droppedAt: { type: Date },
+    droppedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dropReason: String,
+    transferredTo: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering' }
+}, { timestamps: true });
+
+enrollmentSchema.index({ offeringId: 1, status: 1, waitlistedAt: 1 });
+
+const markSchema = new mongoose.Schema({
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true }, // Changed to ref 'Student'
+    lecturerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    score: { type: Number, required: true, min: 0 }
+}, { timestamps: true });
+
+markSchema.index({ assessmentId: 1, studentId: 1 }, { unique: true });
+
+// One entry per change to a Mark, kept after the mark itself is overwritten or deleted
+const markHistorySchema = new mongoose.Schema({
+    markId: { type: mongoose.Schema.Types.ObjectId, ref: 'Mark' },
+    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    oldScore: { type: Number, default: null },
+    newScore: { type: Number, default: null },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: String,
+    issueId: { type: mongoose.Schema.Types.ObjectId, ref: 'Issue' } // Remark request that led to the change
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+markHistorySchema.index({ offeringId: 1, studentId: 1, createdAt: -1 });
+
+const studentSchema = new mongoose.Schema({
+    firstName: String,
+    lastName: String,
+    schoolID: Number,
+    email: String,
+    major: String,
+    currentYear: String
+});
+
+const User = mongoose.model('User', userSchema);
+// Define Student model to map to 'students' collection
+const Student = mongoose.model('Student', studentSchema);
+const Course = mongoose.model('Course', courseSchema);
+const CourseOffering = mongoose.model('CourseOffering', courseOfferingSchema);
+const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+const Mark = mongoose.model('Mark', markSchema);
+const MarkHistory = mongoose.model('MarkHistory', markHistorySchema);
+
+const gradeScaleSchema = new mongoose.Schema({
+    letter: { type: String, required: true },
+    minPercent: { type: Number, required: true },
+    maxPercent: { type: Number, required: true },
+    points: { type: Number, required: true }
+});
+const GradeScale = mongoose.model('GradeScale', gradeScaleSchema);
+
+// Named set of grade bands that can be attached to a course or offering.
+// Bands run from minPercent (inclusive) to maxPercent (exclusive, except the top band).
+const gradeSchemeSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    description: String,
+    isDefault: { type: Boolean, default: false },
+    bands: [{
+        letter: { type: String, required: true },
+        minPercent: { type: Number, required: true },
+        maxPercent: { type: Number, required: true },
+        points: { type: Number, required: true }
+    }]
+}, { timestamps: true });
+const GradeScheme = mongoose.model('GradeScheme', gradeSchemeSchema);
+
+const issueSchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    lecturer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    issueType: { type: String, required: true },
+    // Remark requests ('remark') name the assessment whose mark should be re-checked
+    offeringId: { type: mongoose.Schema.Types.ObjectId, ref: 'CourseOffering', required: function () { return this.issueType === 'remark'; } },
+    assessmentId: { type: mongoose.Schema.Types.ObjectId, required: function () { return this.issueType === 'remark'; } },
+    subject: { type: String, required: true },
+    description: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'in_review', 'awaiting_student', 'resolved', 'rejected'], default: 'pending' },
+    priority: { type: String, default: 'medium' },
+    // Files on local disk, named by content hash (see server/attachments.js)
+    attachments: [{
+        storedName: { type: String, required: true },
+        originalName: String,
+        contentType: String,
+        size: Number,
+        uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        uploadedAt: { type: Date, default: Date.now }
+    }],
+    statusHistory: [{
+        from: String,
+        to: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        comment: String,
+        changedAt: { type: Date, default: Date.now }
+    }],
+    // Replies from staff (userId) and from the student (studentId), oldest first
+    comments: [{
+        author: { type: String, enum: ['staff', 'student'], required: true },
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+        body: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    // Why the issue was closed; shown to the student. Set when it becomes resolved or rejected.
+    resolution: {
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedAt: Date
+    },
+    // Outcome of a resolved remark request: the mark before and after (its MarkHistory entry has issueId)
+    remark: {
+        previousScore: { type: Number, default: null },
+        revisedScore: Number
+    },
+    // Set when the issue went past its response deadline unanswered (see server/issueSla.js)
+    escalation: {
+        escalatedAt: Date,
+        dueAt: Date,
+        lecturer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // Assigned lecturer at the time
+    },
+    // Hand-overs between the offering's lecturers, oldest first
+    assignmentHistory: [{
+        from: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        to: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: String,
+        changedAt: { type: Date, default: Date.now }
+    }]
+}, { timestamps: true });
+// Issue lists are per lecturer, newest first, a page at a time
+issueSchema.index({ lecturer: 1, createdAt: -1, _id: -1 });
+// The escalation job looks for unanswered issues by age
+issueSchema.index({ status: 1, createdAt: 1 });
+const Issue = mongoose.model('Issue', issueSchema);
+
+// Only a hash of each refresh token is stored. Tokens rotated from the same
+// login share a family, so reuse of a rotated token can revoke the whole chain.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    replacedByHash: String
+}, { timestamps: true });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+// Single-use tokens sent by email (password reset, email verification)
+const userTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date
+}, { timestamps: true });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+// Registration is by invitation only. The invite fixes the email, staff number
+// and role of the account; only a hash of the code is stored.
+const invitationSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    staffNo: { type: String, required: true, trim: true },
+    role: { type: String, enum: ['lecturer', 'admin'], default: 'lecturer' },
+    codeHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    usedAt: Date,
+    usedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: Date
+}, { timestamps: true });
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+const loginAttemptSchema = new mongoose.Schema({
+    email: { type: String, lowercase: true, trim: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    ip: String,
+    userAgent: String,
+    success: { type: Boolean, required: true },
+    reason: {
+        type: String,
+        enum: ['ok', 'invalid_credentials', 'locked', 'throttled', 'email_not_verified', 'two_factor_pending', 'invalid_two_factor'],
+        required: true
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 });
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export {
+    User,
+    Student,
+    Course,
+    CourseOffering,
+    Enrollment,
+    Mark,
+    MarkHistory,
+    GradeScale,
+    GradeScheme,
+    Issue,
+    RefreshToken,
+    UserToken,
+    Invitation,
+    LoginAttempt
+};
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOtpauthUri, generateSecret, verifyTotp } from './totp.js';
+
+// RFC 6238 appendix B (SHA-1): the ASCII key "12345678901234567890", in base32.
+// The RFC lists 8-digit codes; 6-digit codes are their last six digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    { time: 59, code: '287082' },
+    { time: 1111111109, code: '081804' },
+    { time: 1111111111, code: '050471' },
+    { time: 1234567890, code: '005924' },
+    { time: 2000000000, code: '279037' },
+    { time: 20000000000, code: '353130' }
+];
+
+const at = (seconds) => ({ now: seconds * 1000 });
+
+test('accepts the RFC 6238 test vectors and returns their time step', () => {
+    for (const { time, code } of RFC_VECTORS) {
+        assert.equal(verifyTotp(RFC_SECRET, code, { window: 0, ...at(time) }), Math.floor(time / 30), `T=${time}`);
+    }
+});
+
+test('accepts codes one step early or late by default, and no further', () => {
+    // 287082 is the code for step 1 (seconds 30-59)
+    assert.equal(verifyTotp(RFC_SECRET, '287082', at(59 + 30)), 1);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', at(59 - 30)), 1);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', at(59 + 60)), null);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', at(59 + 120)), null);
+});
+
+test('window 0 accepts only the current step', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '287082', { window: 0, ...at(59 + 30) }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '287082', { window: 0, ...at(45) }), 1);
+});
+
+test('rejects wrong, malformed and missing codes', () => {
+    const { now } = at(59);
+    assert.equal(verifyTotp(RFC_SECRET, '287083', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '94287082', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '28708', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '28708a', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test('ignores spaces in typed codes', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '287 082', at(59)), 1);
+});
+
+test('generated secrets are 160-bit base32 and round-trip through the otpauth URI', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const uri = new URL(buildOtpauthUri({ secret, accountName: 'a@b.test', issuer: 'Gradely' }));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.searchParams.get('secret'), secret);
+    assert.equal(uri.searchParams.get('period'), '30');
+    assert.equal(uri.searchParams.get('digits'), '6');
+});
@@ -0,0 +1,240 @@
+import { useEffect, useState } from 'react';
+import { useAccountSecurity } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface LockedUser {
+    id: string;
+    email: string;
+    fullName: string;
+    role: string;
+    lockedUntil: string;
+}
+
+interface StaffUser {
+    id: string;
+    email: string;
+    fullName: string;
+    role: string;
+    twoFactorEnabled: boolean;
+    twoFactorRequired: boolean;
+}
+
+interface LoginAttempt {
+    id: string;
+    email?: string;
+    ip?: string;
+    userAgent?: string;
+    success: boolean;
+    reason: string;
+    createdAt: string;
+}
+
+const ANY_OUTCOME = 'any';
+
+const REASON_LABELS: { [reason: string]: string } = {
+    ok: 'Signed in',
+    invalid_credentials: 'Wrong email or password',
+    locked: 'Account locked',
+    throttled: 'Throttled',
+    email_not_verified: 'Email not verified',
+    two_factor_pending: 'Password accepted, awaiting 2FA',
+    invalid_two_factor: 'Wrong 2FA code'
+};
+
+const AccountSecurity = () => {
+    const {
+        lockedUsers,
+        users,
+        attempts,
+        loading,
+        error,
+        fetchLockedUsers,
+        fetchUsers,
+        fetchAttempts,
+        unlockUser,
+        resetTwoFactor,
+        setTwoFactorRequired
+    } = useAccountSecurity();
+
+    const [emailFilter, setEmailFilter] = useState('');
+    const [ipFilter, setIpFilter] = useState('');
+    const [outcome, setOutcome] = useState<string>(ANY_OUTCOME);
+
+    useEffect(() => {
+        fetchLockedUsers();
+        fetchUsers();
+        fetchAttempts({});
+    }, [fetchLockedUsers, fetchUsers, fetchAttempts]);
+
+    const staff = (users as StaffUser[]).filter(user => user.role !== 'student');
+
+    const handleResetTwoFactor = async (user: StaffUser) => {
+        if (!window.confirm(`Reset two-factor authentication for ${user.fullName}? They will be signed out everywhere.`)) return;
+        await resetTwoFactor(user.id);
+    };
+
+    const handleSearch = (e: React.FormEvent) => {
+        e.preventDefault();
+        fetchAttempts({
+            email: emailFilter.trim(),
+            ip: ipFilter.trim(),
+            success: outcome === ANY_OUTCOME ? undefined : outcome
+        });
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Locked Accounts</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    {error && <p className="text-red-500 mb-4">{error}</p>}
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Name</TableHead>
+                                <TableHead>Email</TableHead>
+                                <TableHead>Locked Until</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {(lockedUsers as LockedUser[]).map(user => (
+                                <TableRow key={user.id}>
+                                    <TableCell className="font-medium">{user.fullName}</TableCell>
+                                    <TableCell>{user.email}</TableCell>
+                                    <TableCell>{new Date(user.lockedUntil).toLocaleString()}</TableCell>
+                                    <TableCell className="text-right">
+                                        <Button variant="outline" size="sm" onClick={() => unlockUser(user.id)}>Unlock</Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {lockedUsers.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={4} className="text-center text-gray-500">No accounts are locked.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Two-Factor Authentication</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Name</TableHead>
+                                <TableHead>Role</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Required</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {staff.map(user => (
+                                <TableRow key={user.id}>
+                                    <TableCell>
+                                        <span className="font-medium block">{user.fullName}</span>
+                                        <span className="text-xs text-gray-500">{user.email}</span>
+                                    </TableCell>
+                                    <TableCell className="capitalize">{user.role}</TableCell>
+                                    <TableCell>
+                                        <Badge variant={user.twoFactorEnabled ? 'default' : 'secondary'}>
+                                            {user.twoFactorEnabled ? 'Enabled' : 'Off'}
+                                        </Badge>
+                                    </TableCell>
+                                    <TableCell>
+                                        <Switch
+                                            checked={user.twoFactorRequired}
+                                            onCheckedChange={(checked) => setTwoFactorRequired(user.id, checked)}
+                                        />
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        {user.twoFactorEnabled && (
+                                            <Button variant="outline" size="sm" onClick={() => handleResetTwoFactor(user)}>Reset 2FA</Button>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {staff.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={5} className="text-center text-gray-500">No staff accounts found.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Login Attempts</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <form onSubmit={handleSearch} className="flex flex-wrap gap-2">
+                        <Input className="w-64" placeholder="Email" value={emailFilter} onChange={(e) => setEmailFilter(e.target.value)} />
+                        <Input className="w-40" placeholder="IP address" value={ipFilter} onChange={(e) => setIpFilter(e.target.value)} />
+                        <Select onValueChange={setOutcome} value={outcome}>
+                            <SelectTrigger className="w-36">
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={ANY_OUTCOME}>Any outcome</SelectItem>
+                                <SelectItem value="true">Succeeded</SelectItem>
+                                <SelectItem value="false">Failed</SelectItem>
+                            </SelectContent>
+                        </Select>
+                        <Button type="submit" variant="outline" disabled={loading}>Search</Button>
+                    </form>
+
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Time</TableHead>
+                                <TableHead>Email</TableHead>
+                                <TableHead>Outcome</TableHead>
+                                <TableHead>IP</TableHead>
+                                <TableHead>User Agent</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {(attempts as LoginAttempt[]).map(attempt => (
+                                <TableRow key={attempt.id}>
+                                    <TableCell className="whitespace-nowrap text-sm">{new Date(attempt.createdAt).toLocaleString()}</TableCell>
+                                    <TableCell>{attempt.email || '-'}</TableCell>
+                                    <TableCell>
+                                        <Badge variant={attempt.success ? 'default' : 'destructive'}>
+                                            {REASON_LABELS[attempt.reason] || attempt.reason}
+                                        </Badge>
+                                    </TableCell>
+                                    <TableCell className="font-mono text-xs">{attempt.ip || '-'}</TableCell>
+                                    <TableCell className="text-xs text-gray-500 max-w-xs truncate" title={attempt.userAgent}>
+                                        {attempt.userAgent || '-'}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {attempts.length === 0 && !loading && (
+                                <TableRow>
+                                    <TableCell colSpan={5} className="text-center text-gray-500">No login attempts found.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default AccountSecurity;
@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react';
+import { useLecturerData, useAssessments } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+
+interface Offering {
+    id: string;
+    courseCode: string;
+    title: string;
+    term: string;
+    year: number;
+}
+
+interface AssessmentRow {
+    _id?: string;
+    name: string;
+    weight: string;
+    maxScore: string;
+}
+
+interface Assessment {
+    _id: string;
+    name: string;
+    weight: number;
+    maxScore: number;
+}
+
+const AssessmentEditor = () => {
+    const { offerings, fetchOfferings } = useLecturerData();
+    const { assessments, loading, error, fetchAssessments, saveAssessments } = useAssessments();
+
+    const [selectedOfferingId, setSelectedOfferingId] = useState<string | null>(null);
+    const [rows, setRows] = useState<AssessmentRow[]>([]);
+    const [successMessage, setSuccessMessage] = useState<string | null>(null);
+
+    useEffect(() => {
+        fetchOfferings();
+    }, [fetchOfferings]);
+
+    // Copy the saved breakdown into editable rows whenever it is (re)loaded
+    useEffect(() => {
+        setRows((assessments as Assessment[]).map(a => ({
+            _id: a._id,
+            name: a.name,
+            weight: String(a.weight ?? ''),
+            maxScore: String(a.maxScore ?? '')
+        })));
+    }, [assessments]);
+
+    const handleOfferingChange = (offeringId: string) => {
+        setSelectedOfferingId(offeringId);
+        setSuccessMessage(null);
+        fetchAssessments(offeringId);
+    };
+
+    const updateRow = (index: number, field: keyof AssessmentRow, value: string) => {
+        setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+
+    const moveRow = (index: number, direction: -1 | 1) => {
+        const target = index + direction;
+        if (target < 0 || target >= rows.length) return;
+        setRows(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+    };
+
+    const addRow = () => {
+        setRows(prev => [...prev, { name: '', weight: '', maxScore: '' }]);
+    };
+
+    const removeRow = (index: number) => {
+        setRows(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const totalWeight = rows.reduce((sum, row) => sum + (Number(row.weight) || 0), 0);
+    const weightsValid = rows.length === 0 || Math.abs(totalWeight - 100) <= 0.001;
+
+    const handleSave = async () => {
+        if (!selectedOfferingId) return;
+
+        const payload = rows.map(row => ({
+            ...(row._id && { _id: row._id }),
+            name: row.name.trim(),
+            weight: Number(row.weight),
+            maxScore: Number(row.maxScore)
+        }));
+
+        let result = await saveAssessments(selectedOfferingId, payload);
+        if (!result.success && result.code === 'ASSESSMENT_HAS_MARKS') {
+            const confirmed = window.confirm(`${result.error}. Removing these assessments will permanently delete those marks. Continue?`);
+            if (!confirmed) return;
+            result = await saveAssessments(selectedOfferingId, payload, { force: true });
+        }
+
+        if (result.success) {
+            setSuccessMessage('Assessment structure saved.');
+            setTimeout(() => setSuccessMessage(null), 3000);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Select a Course Offering</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <Select onValueChange={handleOfferingChange} value={selectedOfferingId || ''}>
+                        <SelectTrigger className="w-full">
+                            <SelectValue placeholder="-- Select Course --" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {(offerings as Offering[]).map(offering => (
+                                <SelectItem key={offering.id} value={offering.id}>
+                                    {offering.courseCode} - {offering.title} ({offering.term} {offering.year})
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </CardContent>
+            </Card>
+
+            {selectedOfferingId && (
+                <Card>
+                    <CardHeader>
+                        <div className="flex justify-between items-center">
+                            <CardTitle>Assessment Structure</CardTitle>
+                            <Button variant="outline" size="sm" onClick={addRow}>
+                                <Plus className="w-4 h-4 mr-2" />
+                                Add Assessment
+                            </Button>
+                        </div>
+                    </CardHeader>
+                    <CardContent>
+                        {error && <p className="text-red-500 mb-4">{error}</p>}
+                        {successMessage && <div className="bg-green-100 text-green-800 p-3 rounded mb-4">{successMessage}</div>}
+
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Name</TableHead>
+                                    <TableHead>Max Score</TableHead>
+                                    <TableHead>Weight (%)</TableHead>
+                                    <TableHead className="text-right">Actions</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map((row, index) => (
+                                    <TableRow key={row._id || `new-${index}`}>
+                                        <TableCell>
+                                            <Input
+                                                value={row.name}
+                                                placeholder="e.g. CAT 1"
+                                                onChange={(e) => updateRow(index, 'name', e.target.value)}
+                                            />
+                                        </TableCell>
+                                        <TableCell>
+                                            <Input
+                                                type="number"
+                                                min="0"
+                                                className="w-24"
+                                                value={row.maxScore}
+                                                onChange={(e) => updateRow(index, 'maxScore', e.target.value)}
+                                            />
+                                        </TableCell>
+                                        <TableCell>
+                                            <Input
+                                                type="number"
+                                                min="0"
+                                                max="100"
+                                                className="w-24"
+                                                value={row.weight}
+                                                onChange={(e) => updateRow(index, 'weight', e.target.value)}
+                                            />
+                                        </TableCell>
+                                        <TableCell className="text-right whitespace-nowrap">
+                                            <Button variant="ghost" size="icon" onClick={() => moveRow(index, -1)} disabled={index === 0}>
+                                                <ArrowUp className="w-4 h-4" />
+                                            </Button>
+                                            <Button variant="ghost" size="icon" onClick={() => moveRow(index, 1)} disabled={index === rows.length - 1}>
+                                                <ArrowDown className="w-4 h-4" />
+                                            </Button>
+                                            <Button variant="ghost" size="icon" className="text-red-600" onClick={() => removeRow(index)}>
+                                                <Trash2 className="w-4 h-4" />
+                                            </Button>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                                {rows.length === 0 && !loading && (
+                                    <TableRow>
+                                        <TableCell colSpan={4} className="text-center text-gray-500">No assessments defined.</TableCell>
+                                    </TableRow>
+                                )}
+                            </TableBody>
+                        </Table>
+
+                        <div className="mt-6 flex justify-between items-center">
+                            <p className={`text-sm ${weightsValid ? 'text-gray-600' : 'text-red-500'}`}>
+                                Total weight: <strong>{Number(totalWeight.toFixed(2))}%</strong>
+                                {!weightsValid && ' (must add up to 100%)'}
+                            </p>
+                            <Button onClick={handleSave} disabled={loading || !weightsValid}>
+                                {loading ? 'Saving...' : 'Save Structure'}
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+};
+
+export default AssessmentEditor;
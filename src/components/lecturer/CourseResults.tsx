@@ -1,83 +1,92 @@
-import React, { useEffect, useState } from 'react';
-import { useLecturerData, useMarks } from '@/hooks/useLecturer';
+import { useEffect, useState } from 'react';
+import { useAuth, useLecturerData, useResults } from '@/hooks/useLecturer';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Button } from '@/components/ui/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
-import { getAuthToken } from '@/services/lecturerApi';
+import { printResultsReport } from '@/utils/printing';
+import MarkHistoryPopover from '@/components/lecturer/MarkHistoryPopover';
+import ResultsStatusBadge from '@/components/lecturer/ResultsStatusBadge';
+import {
+    AlertDialog,
+    AlertDialogAction,
+    AlertDialogCancel,
+    AlertDialogContent,
+    AlertDialogDescription,
+    AlertDialogFooter,
+    AlertDialogHeader,
+    AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+interface ResultAssessment {
+    id: string;
+    name: string;
+    weight: number;
+    maxScore: number;
+}
+
+interface AssessmentResult {
+    assessmentId: string;
+    score: number | null;
+    percentage: number | null;
+    contribution: number;
+}
+
+interface StudentResult {
+    studentId: string;
+    regNo: number;
+    name: string;
+    assessments: AssessmentResult[];
+    finalPercent: number;
+    grade: string | null;
+    gradePoints: number | null;
+    missingCount: number;
+    exceedsMax: boolean;
+}
 
 const CourseResults = () => {
-    const { offerings, students, fetchOfferings, fetchStudents } = useLecturerData();
-    const { fetchMarks } = useMarks();
+    const { user } = useAuth();
+    const { offerings, fetchOfferings } = useLecturerData();
+    const { results, loading, error, fetchResults, changeStatus } = useResults();
 
     const [selectedOfferingId, setSelectedOfferingId] = useState<string | null>(null);
-    const [marks, setMarks] = useState<any[]>([]);
-    const [gradeScales, setGradeScales] = useState<any[]>([]);
-    const [loading, setLoading] = useState(false);
+    const [confirmSubmitOpen, setConfirmSubmitOpen] = useState(false);
 
     useEffect(() => {
         fetchOfferings();
-        fetchGradeScales();
     }, [fetchOfferings]);
 
-    const fetchGradeScales = async () => {
-        try {
-            const token = getAuthToken();
-            const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/lecturer/gradescales`, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            setGradeScales(data);
-        } catch (error) {
-            console.error('Failed to fetch grade scales', error);
-        }
-    };
-
-    const handleOfferingChange = async (offeringId: string) => {
+    const handleOfferingChange = (offeringId: string) => {
         setSelectedOfferingId(offeringId);
-        setLoading(true);
-        await fetchStudents(offeringId);
-        const result = await fetchMarks(offeringId);
-        if (result.success) {
-            setMarks(result.data);
-        }
-        setLoading(false);
+        fetchResults(offeringId);
     };
 
-    const calculateTotal = (studentId: string) => {
-        const selectedOffering = offerings.find((o: any) => o.id === selectedOfferingId);
-        if (!selectedOffering?.assessments) return 0;
-
-        const validAssessmentIds = selectedOffering.assessments.map((a: any) => a._id);
+    const selectedOffering = offerings.find((o: any) => o.id === selectedOfferingId);
+    const assessments: ResultAssessment[] = results?.assessments || [];
+    const studentResults: StudentResult[] = results?.results || [];
 
-        const studentMarks = marks.filter(m =>
-            m.studentId === studentId &&
-            validAssessmentIds.includes(m.assessmentId)
-        );
+    const resultsStatus: string = results?.offering?.resultsStatus || 'draft';
+    const studentsWithMissing = studentResults.filter(r => r.missingCount > 0);
 
-        return studentMarks.reduce((sum, m) => sum + m.score, 0);
+    const handleSubmitResults = async () => {
+        if (!selectedOfferingId) return;
+        setConfirmSubmitOpen(false);
+        await changeStatus(selectedOfferingId, 'submitted');
     };
 
-    const getGrade = (totalScore: number) => {
-        // Handle cases where score might slightly exceed 100 due to bonus or errors, treat as A
-        if (totalScore > 100) return 'A';
-
-        console.log('Calculating grade for score:', totalScore);
-        console.log('Available grade scales:', gradeScales);
-
-        const scale = gradeScales.find(s => totalScore >= s.minPercent && totalScore <= s.maxPercent);
-
-        if (!scale) {
-            console.warn('No matching grade scale found for score:', totalScore);
-        }
-
-        return scale ? scale.letter : 'F';
+    const handleWithdraw = async () => {
+        if (!selectedOfferingId) return;
+        if (!window.confirm('Withdraw these results from moderation and return them to draft?')) return;
+        await changeStatus(selectedOfferingId, 'draft', 'Withdrawn by lecturer');
     };
 
-    const selectedOffering = offerings.find((o: any) => o.id === selectedOfferingId);
-
     const handlePrint = () => {
-        window.print();
+        if (!results) return;
+        printResultsReport(results, {
+            title: 'Course Results',
+            lecturerName: user?.fullName,
+            courseName: `${selectedOffering?.courseCode} - ${selectedOffering?.title} (${selectedOffering?.term} ${selectedOffering?.year})`
+        });
     };
 
     return (
@@ -108,12 +117,24 @@ const CourseResults = () => {
                 <Card className="print:shadow-none print:border-none">
                     <CardHeader className="flex flex-row justify-between items-center print:px-0">
                         <div>
-                            <CardTitle>Course Results: {selectedOffering?.courseCode}</CardTitle>
+                            <div className="flex items-center gap-2">
+                                <CardTitle>Course Results: {selectedOffering?.courseCode}</CardTitle>
+                                {results && <ResultsStatusBadge status={resultsStatus} />}
+                            </div>
                             <p className="text-sm text-gray-500">{selectedOffering?.title}</p>
                         </div>
-                        <Button onClick={handlePrint} className="print:hidden">Print Results</Button>
+                        <div className="flex gap-2 print:hidden">
+                            {results && resultsStatus === 'draft' && (
+                                <Button variant="outline" onClick={() => setConfirmSubmitOpen(true)}>Submit Results</Button>
+                            )}
+                            {results && resultsStatus === 'submitted' && (
+                                <Button variant="outline" onClick={handleWithdraw}>Withdraw Submission</Button>
+                            )}
+                            <Button onClick={handlePrint} disabled={!results}>Print Results</Button>
+                        </div>
                     </CardHeader>
                     <CardContent className="print:px-0">
+                        {error && <p className="text-red-500 mb-4">{error}</p>}
                         {loading ? <p>Loading...</p> : (
                             <div className="overflow-x-auto">
                                 <Table>
@@ -121,36 +142,48 @@ const CourseResults = () => {
                                         <TableRow>
                                             <TableHead>Student Name</TableHead>
                                             <TableHead>Reg No</TableHead>
-                                            {selectedOffering?.assessments?.map((a: any) => (
-                                                <TableHead key={a._id}>{a.name} ({a.maxScore})</TableHead>
+                                            {assessments.map(a => (
+                                                <TableHead key={a.id}>{a.name} (/{a.maxScore}, {a.weight}%)</TableHead>
                                             ))}
-                                            <TableHead className="font-bold">Total (100)</TableHead>
+                                            <TableHead className="font-bold">Total (%)</TableHead>
                                             <TableHead className="font-bold">Grade</TableHead>
                                         </TableRow>
                                     </TableHeader>
                                     <TableBody>
-                                        {students.map((student: any) => {
-                                            const total = calculateTotal(student.id);
-                                            return (
-                                                <TableRow key={student.id}>
-                                                    <TableCell>{student.fullName || student.name}</TableCell>
-                                                    <TableCell>{student.regNo}</TableCell>
-                                                    {selectedOffering?.assessments?.map((a: any) => {
-                                                        const mark = marks.find(m => m.studentId === student.id && m.assessmentId === a._id);
-                                                        return (
-                                                            <TableCell key={a._id}>
-                                                                {mark ? mark.score : '-'}
-                                                            </TableCell>
-                                                        );
-                                                    })}
-                                                    <TableCell className="font-bold">{total}</TableCell>
-                                                    <TableCell className="font-bold">{getGrade(total)}</TableCell>
-                                                </TableRow>
-                                            );
-                                        })}
-                                        {students.length === 0 && (
+                                        {studentResults.map(result => (
+                                            <TableRow key={result.studentId}>
+                                                <TableCell>{result.name}</TableCell>
+                                                <TableCell>{result.regNo}</TableCell>
+                                                {result.assessments.map(entry => (
+                                                    <TableCell key={entry.assessmentId} title={entry.score === null ? 'No mark entered' : `${entry.percentage}% → ${entry.contribution} of final`}>
+                                                        <div className="flex items-center gap-1">
+                                                            {entry.score === null ? '-' : entry.score}
+                                                            {selectedOfferingId && (
+                                                                <span className="print:hidden">
+                                                                    <MarkHistoryPopover
+                                                                        offeringId={selectedOfferingId}
+                                                                        studentId={result.studentId}
+                                                                        assessmentId={entry.assessmentId}
+                                                                    />
+                                                                </span>
+                                                            )}
+                                                        </div>
+                                                    </TableCell>
+                                                ))}
+                                                <TableCell className="font-bold">
+                                                    {result.finalPercent}
+                                                    {result.missingCount > 0 && <span className="text-xs text-amber-600 font-normal block">{result.missingCount} missing</span>}
+                                                </TableCell>
+                                                <TableCell className="font-bold">
+                                                    {result.exceedsMax
+                                                        ? <span className="text-red-600 text-xs">Check marks</span>
+                                                        : result.grade || '-'}
+                                                </TableCell>
+                                            </TableRow>
+                                        ))}
+                                        {studentResults.length === 0 && (
                                             <TableRow>
-                                                <TableCell colSpan={10} className="text-center">No students enrolled.</TableCell>
+                                                <TableCell colSpan={assessments.length + 4} className="text-center">No students enrolled.</TableCell>
                                             </TableRow>
                                         )}
                                     </TableBody>
@@ -161,27 +194,41 @@ const CourseResults = () => {
                 </Card>
             )}
 
-            {/* Print Styles */}
-            <style>{`
-                @media print {
-                    body * {
-                        visibility: hidden;
-                    }
-                    .print\\:hidden {
-                        display: none !important;
-                    }
-                    #root > div > main > div > div:last-child,
-                    #root > div > main > div > div:last-child * {
-                        visibility: visible;
-                    }
-                    #root > div > main > div > div:last-child {
-                        position: absolute;
-                        left: 0;
-                        top: 0;
-                        width: 100%;
-                    }
-                }
-            `}</style>
+            <AlertDialog open={confirmSubmitOpen} onOpenChange={setConfirmSubmitOpen}>
+                <AlertDialogContent>
+                    <AlertDialogHeader>
+                        <AlertDialogTitle>Submit results for moderation?</AlertDialogTitle>
+                        <AlertDialogDescription asChild>
+                            <div className="space-y-2">
+                                <p>
+                                    Once submitted, marks for {selectedOffering?.courseCode} are locked until the results are returned to draft.
+                                </p>
+                                <p>
+                                    {studentResults.length} students, average {results?.statistics?.average ?? 0}%, pass rate {results?.statistics?.passRate ?? 0}%.
+                                </p>
+                                {studentsWithMissing.length > 0 ? (
+                                    <div className="text-amber-700">
+                                        <p className="font-medium">
+                                            {results?.statistics?.missingMarks} marks are missing for {studentsWithMissing.length} students:
+                                        </p>
+                                        <ul className="list-disc pl-5 max-h-32 overflow-y-auto">
+                                            {studentsWithMissing.map(r => (
+                                                <li key={r.studentId}>{r.name} ({r.regNo}) - {r.missingCount} missing</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                ) : (
+                                    <p className="text-green-700">All marks have been entered.</p>
+                                )}
+                            </div>
+                        </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                        <AlertDialogCancel>Cancel</AlertDialogCancel>
+                        <AlertDialogAction onClick={handleSubmitResults}>Submit Results</AlertDialogAction>
+                    </AlertDialogFooter>
+                </AlertDialogContent>
+            </AlertDialog>
         </div>
     );
 };
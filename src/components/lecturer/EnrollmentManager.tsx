@@ -0,0 +1,296 @@
+import { useEffect, useState } from 'react';
+import { useAdminOfferings, useEnrollments } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface AdminOffering {
+    id: string;
+    courseCode: string;
+    title: string;
+    term: string;
+    year: number;
+    capacity: number | null;
+}
+
+interface Lecturer {
+    id: string;
+    fullName: string;
+    staffNo: string;
+}
+
+interface Enrollment {
+    id: string;
+    studentId: string;
+    regNo: number;
+    name: string;
+    email: string;
+    status: 'enrolled' | 'waitlisted' | 'dropped';
+    chosenLecturer: Lecturer | null;
+    waitlistPosition: number | null;
+    droppedAt: string | null;
+    dropReason: string | null;
+}
+
+interface EnrollmentList {
+    offering: { id: string; capacity: number | null; lecturers: Lecturer[] };
+    counts: { enrolled: number; waitlisted: number; dropped: number };
+    enrollments: Enrollment[];
+}
+
+interface RosterReport {
+    summary: { enrolled: number; waitlisted: number; skipped: number };
+    skipped: { row: number; regNo: string; message: string }[];
+}
+
+const NO_LECTURER = 'none';
+
+const STATUS_STYLES: { [status: string]: string } = {
+    enrolled: 'bg-green-100 text-green-800 hover:bg-green-100',
+    waitlisted: 'bg-amber-100 text-amber-800 hover:bg-amber-100',
+    dropped: 'bg-gray-100 text-gray-700 hover:bg-gray-100'
+};
+
+const offeringLabel = (o: AdminOffering) => `${o.courseCode} - ${o.title} (${o.term} ${o.year})`;
+
+// Enroll, drop and transfer students, with the offering's capacity and waitlist
+const EnrollmentManager = () => {
+    const { offerings, fetchOfferings } = useAdminOfferings();
+    const { enrollments, loading, error, fetchEnrollments, enroll, importRoster, drop, transfer, setChosenLecturer } = useEnrollments();
+
+    const [selectedOfferingId, setSelectedOfferingId] = useState<string | null>(null);
+    const [regNo, setRegNo] = useState('');
+    const [showDropped, setShowDropped] = useState(false);
+    const [rosterReport, setRosterReport] = useState<RosterReport | null>(null);
+    const [transferTargets, setTransferTargets] = useState<{ [studentId: string]: string }>({});
+
+    useEffect(() => {
+        fetchOfferings();
+    }, [fetchOfferings]);
+
+    const handleOfferingChange = (offeringId: string) => {
+        setSelectedOfferingId(offeringId);
+        setRosterReport(null);
+        setTransferTargets({});
+        fetchEnrollments(offeringId);
+    };
+
+    const handleEnroll = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!selectedOfferingId || !regNo.trim()) return;
+        const result = await enroll(selectedOfferingId, { regNo: regNo.trim() });
+        if (result.success) setRegNo('');
+    };
+
+    const handleRoster = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!selectedOfferingId || !file) return;
+        const content = file.name.toLowerCase().endsWith('.xlsx') ? file : await file.text();
+        const result = await importRoster(selectedOfferingId, content);
+        setRosterReport(result.success ? result.data : null);
+    };
+
+    const handleDrop = async (enrollment: Enrollment) => {
+        if (!selectedOfferingId) return;
+        const reason = window.prompt(`Drop ${enrollment.name}? Their marks are kept but will no longer count. Reason (optional):`);
+        if (reason === null) return;
+        await drop(selectedOfferingId, enrollment.studentId, reason.trim() || undefined);
+    };
+
+    const handleTransfer = async (enrollment: Enrollment) => {
+        const toOfferingId = transferTargets[enrollment.studentId];
+        if (!selectedOfferingId || !toOfferingId) return;
+        const result = await transfer(selectedOfferingId, enrollment.studentId, { toOfferingId });
+        if (result.success) {
+            setTransferTargets(targets => ({ ...targets, [enrollment.studentId]: '' }));
+        }
+    };
+
+    const data = enrollments as EnrollmentList | null;
+    const otherOfferings = (offerings as AdminOffering[]).filter(o => o.id !== selectedOfferingId);
+    const rows = data
+        ? data.enrollments
+            .filter(e => showDropped || e.status !== 'dropped')
+            .sort((a, b) => (a.waitlistPosition ?? 0) - (b.waitlistPosition ?? 0))
+        : [];
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Enrollments</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <Select onValueChange={handleOfferingChange} value={selectedOfferingId || ''}>
+                        <SelectTrigger>
+                            <SelectValue placeholder="Select Offering" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {(offerings as AdminOffering[]).map(o => (
+                                <SelectItem key={o.id} value={o.id}>{offeringLabel(o)}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+
+                    {error && <p className="text-red-500">{error}</p>}
+
+                    {data && (
+                        <>
+                            <div className="flex flex-wrap gap-2 text-sm">
+                                <Badge className={STATUS_STYLES.enrolled}>
+                                    {data.counts.enrolled}{data.offering.capacity !== null ? ` / ${data.offering.capacity}` : ''} enrolled
+                                </Badge>
+                                <Badge className={STATUS_STYLES.waitlisted}>{data.counts.waitlisted} waitlisted</Badge>
+                                <Badge className={STATUS_STYLES.dropped}>{data.counts.dropped} dropped</Badge>
+                            </div>
+
+                            <div className="grid gap-4 sm:grid-cols-2 items-end">
+                                <form onSubmit={handleEnroll} className="flex gap-2 items-end">
+                                    <div className="space-y-2 flex-1">
+                                        <Label htmlFor="enroll-reg-no">Registration Number</Label>
+                                        <Input id="enroll-reg-no" value={regNo} onChange={(e) => setRegNo(e.target.value)} />
+                                    </div>
+                                    <Button type="submit" disabled={!regNo.trim()}>Enroll</Button>
+                                </form>
+                                <div className="space-y-2">
+                                    <Label htmlFor="enroll-roster">Roster File (schoolID, optional staffNo)</Label>
+                                    <Input id="enroll-roster" type="file" accept=".csv,text/csv,.xlsx" onChange={handleRoster} />
+                                </div>
+                            </div>
+
+                            {rosterReport && (
+                                <div className="bg-blue-50 border border-blue-200 p-3 rounded text-sm text-blue-900">
+                                    <p>
+                                        Roster imported: {rosterReport.summary.enrolled} enrolled, {rosterReport.summary.waitlisted} waitlisted,
+                                        {' '}{rosterReport.summary.skipped} skipped.
+                                    </p>
+                                    {rosterReport.skipped.length > 0 && (
+                                        <ul className="mt-1 list-disc pl-5">
+                                            {rosterReport.skipped.map(entry => (
+                                                <li key={entry.row}>Row {entry.row}{entry.regNo ? ` (${entry.regNo})` : ''}: {entry.message}</li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            )}
+                        </>
+                    )}
+                </CardContent>
+            </Card>
+
+            {data && (
+                <Card>
+                    <CardHeader className="flex flex-row justify-between items-center">
+                        <CardTitle>Students</CardTitle>
+                        <Button variant="outline" size="sm" onClick={() => setShowDropped(!showDropped)}>
+                            {showDropped ? 'Hide Dropped' : 'Show Dropped'}
+                        </Button>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Reg No</TableHead>
+                                    <TableHead>Name</TableHead>
+                                    <TableHead>Status</TableHead>
+                                    <TableHead>Chosen Lecturer</TableHead>
+                                    <TableHead>Transfer To</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map(enrollment => (
+                                    <TableRow key={enrollment.id}>
+                                        <TableCell>{enrollment.regNo}</TableCell>
+                                        <TableCell>
+                                            <span className="font-medium block">{enrollment.name}</span>
+                                            <span className="text-xs text-gray-500">{enrollment.email}</span>
+                                        </TableCell>
+                                        <TableCell>
+                                            <Badge className={`capitalize ${STATUS_STYLES[enrollment.status]}`}>
+                                                {enrollment.status === 'waitlisted' ? `Waitlist #${enrollment.waitlistPosition}` : enrollment.status}
+                                            </Badge>
+                                            {enrollment.status === 'dropped' && enrollment.dropReason && (
+                                                <span className="block text-xs text-gray-500 mt-1">{enrollment.dropReason}</span>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            {enrollment.status === 'dropped' ? (
+                                                enrollment.chosenLecturer?.fullName || '-'
+                                            ) : (
+                                                <Select
+                                                    value={enrollment.chosenLecturer?.id || NO_LECTURER}
+                                                    onValueChange={(value) => selectedOfferingId && setChosenLecturer(
+                                                        selectedOfferingId,
+                                                        enrollment.studentId,
+                                                        value === NO_LECTURER ? null : value
+                                                    )}
+                                                >
+                                                    <SelectTrigger className="w-44">
+                                                        <SelectValue />
+                                                    </SelectTrigger>
+                                                    <SelectContent>
+                                                        <SelectItem value={NO_LECTURER}>None</SelectItem>
+                                                        {data.offering.lecturers.map(lecturer => (
+                                                            <SelectItem key={lecturer.id} value={lecturer.id}>{lecturer.fullName}</SelectItem>
+                                                        ))}
+                                                    </SelectContent>
+                                                </Select>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            {enrollment.status !== 'dropped' && (
+                                                <div className="flex gap-2">
+                                                    <Select
+                                                        value={transferTargets[enrollment.studentId] || ''}
+                                                        onValueChange={(value) => setTransferTargets(targets => ({ ...targets, [enrollment.studentId]: value }))}
+                                                    >
+                                                        <SelectTrigger className="w-48">
+                                                            <SelectValue placeholder="Offering" />
+                                                        </SelectTrigger>
+                                                        <SelectContent>
+                                                            {otherOfferings.map(o => (
+                                                                <SelectItem key={o.id} value={o.id}>{offeringLabel(o)}</SelectItem>
+                                                            ))}
+                                                        </SelectContent>
+                                                    </Select>
+                                                    <Button
+                                                        variant="outline"
+                                                        size="sm"
+                                                        disabled={!transferTargets[enrollment.studentId]}
+                                                        onClick={() => handleTransfer(enrollment)}
+                                                    >
+                                                        Move
+                                                    </Button>
+                                                </div>
+                                            )}
+                                        </TableCell>
+                                        <TableCell className="text-right">
+                                            {enrollment.status !== 'dropped' && (
+                                                <Button variant="outline" size="sm" className="text-red-600" onClick={() => handleDrop(enrollment)}>
+                                                    Drop
+                                                </Button>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                                {rows.length === 0 && !loading && (
+                                    <TableRow>
+                                        <TableCell colSpan={6} className="text-center text-gray-500">No students enrolled.</TableCell>
+                                    </TableRow>
+                                )}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+};
+
+export default EnrollmentManager;
@@ -0,0 +1,294 @@
+import { useEffect, useState } from 'react';
+import { useAdminOfferings, useGradeSchemes } from '@/hooks/useLecturer';
+import { validateGradeBands } from '@/utils/grading';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Plus, Trash2 } from 'lucide-react';
+
+interface GradeBand {
+    letter: string;
+    minPercent: number;
+    maxPercent: number;
+    points: number;
+}
+
+interface GradeScheme {
+    id: string;
+    name: string;
+    description?: string;
+    isDefault: boolean;
+    bands: GradeBand[];
+}
+
+interface BandRow {
+    letter: string;
+    minPercent: string;
+    maxPercent: string;
+    points: string;
+}
+
+interface AdminOffering {
+    id: string;
+    courseId: string;
+    courseCode: string;
+    title: string;
+    term: string;
+    year: number;
+    gradeSchemeId: string | null;
+    courseGradeSchemeId: string | null;
+}
+
+const NEW_SCHEME = 'new';
+const NO_SCHEME = 'none';
+
+const toRows = (bands: GradeBand[]): BandRow[] => bands.map(band => ({
+    letter: band.letter,
+    minPercent: String(band.minPercent),
+    maxPercent: String(band.maxPercent),
+    points: String(band.points)
+}));
+
+const GradeScaleEditor = () => {
+    const { schemes, loading, error, fetchSchemes, saveScheme, deleteScheme, assignScheme } = useGradeSchemes();
+    const { offerings, fetchOfferings } = useAdminOfferings();
+
+    const [selectedSchemeId, setSelectedSchemeId] = useState<string>(NEW_SCHEME);
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [isDefault, setIsDefault] = useState(false);
+    const [rows, setRows] = useState<BandRow[]>([]);
+    const [successMessage, setSuccessMessage] = useState<string | null>(null);
+
+    useEffect(() => {
+        fetchSchemes();
+        fetchOfferings();
+    }, [fetchSchemes, fetchOfferings]);
+
+    const loadScheme = (schemeId: string) => {
+        setSelectedSchemeId(schemeId);
+        setSuccessMessage(null);
+        const scheme = (schemes as GradeScheme[]).find(s => s.id === schemeId);
+        setName(scheme?.name || '');
+        setDescription(scheme?.description || '');
+        setIsDefault(scheme?.isDefault || false);
+        setRows(scheme ? toRows(scheme.bands) : []);
+    };
+
+    const updateRow = (index: number, field: keyof BandRow, value: string) => {
+        setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+    };
+
+    const bands: GradeBand[] = rows.map(row => ({
+        letter: row.letter.trim(),
+        minPercent: row.minPercent === '' ? NaN : Number(row.minPercent),
+        maxPercent: row.maxPercent === '' ? NaN : Number(row.maxPercent),
+        points: row.points === '' ? NaN : Number(row.points)
+    }));
+    const validation: { isValid: boolean; errors: string[] } = validateGradeBands(bands);
+
+    const handleSave = async () => {
+        const result = await saveScheme({
+            ...(selectedSchemeId !== NEW_SCHEME && { id: selectedSchemeId }),
+            name: name.trim(),
+            description,
+            isDefault,
+            bands
+        });
+        if (result.success) {
+            setSelectedSchemeId(result.data.id);
+            setSuccessMessage('Grade scheme saved.');
+            setTimeout(() => setSuccessMessage(null), 3000);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (selectedSchemeId === NEW_SCHEME) return;
+        if (!window.confirm(`Delete grade scheme "${name}"?`)) return;
+        if (await deleteScheme(selectedSchemeId)) {
+            loadScheme(NEW_SCHEME);
+        }
+    };
+
+    const handleAssign = async (target: 'courses' | 'offerings', id: string, value: string) => {
+        if (await assignScheme(target, id, value === NO_SCHEME ? null : value)) {
+            fetchOfferings();
+        }
+    };
+
+    const schemeName = (schemeId: string | null) =>
+        (schemes as GradeScheme[]).find(s => s.id === schemeId)?.name;
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Grade Schemes</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    {error && <p className="text-red-500">{error}</p>}
+                    {successMessage && <div className="bg-green-100 text-green-800 p-3 rounded">{successMessage}</div>}
+
+                    <Select onValueChange={loadScheme} value={selectedSchemeId}>
+                        <SelectTrigger className="w-full">
+                            <SelectValue placeholder="-- Select Grade Scheme --" />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value={NEW_SCHEME}>+ New grade scheme</SelectItem>
+                            {(schemes as GradeScheme[]).map(scheme => (
+                                <SelectItem key={scheme.id} value={scheme.id}>
+                                    {scheme.name}{scheme.isDefault ? ' (default)' : ''}
+                                </SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+
+                    <div className="grid gap-4 sm:grid-cols-2">
+                        <div className="space-y-2">
+                            <Label htmlFor="scheme-name">Name</Label>
+                            <Input id="scheme-name" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. Undergraduate 2025" />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="scheme-description">Description</Label>
+                            <Input id="scheme-description" value={description} onChange={(e) => setDescription(e.target.value)} />
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <Checkbox id="scheme-default" checked={isDefault} onCheckedChange={(checked) => setIsDefault(checked === true)} />
+                        <Label htmlFor="scheme-default">Use for courses and offerings without their own scheme</Label>
+                    </div>
+
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Letter</TableHead>
+                                <TableHead>From (%)</TableHead>
+                                <TableHead>Up to (%)</TableHead>
+                                <TableHead>Points</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {rows.map((row, index) => (
+                                <TableRow key={index}>
+                                    {(['letter', 'minPercent', 'maxPercent', 'points'] as const).map(field => (
+                                        <TableCell key={field}>
+                                            <Input
+                                                type={field === 'letter' ? 'text' : 'number'}
+                                                step="any"
+                                                className="w-24"
+                                                value={row[field]}
+                                                onChange={(e) => updateRow(index, field, e.target.value)}
+                                            />
+                                        </TableCell>
+                                    ))}
+                                    <TableCell className="text-right">
+                                        <Button variant="ghost" size="icon" className="text-red-600" onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}>
+                                            <Trash2 className="w-4 h-4" />
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                    <p className="text-xs text-gray-500">
+                        Each band includes its lower bound and stops just below its upper bound (the top band includes 100), so 79.5 falls in the band that starts at or below 79.5.
+                    </p>
+
+                    {rows.length > 0 && !validation.isValid && (
+                        <ul className="text-sm text-red-500 list-disc pl-5">
+                            {validation.errors.map(message => <li key={message}>{message}</li>)}
+                        </ul>
+                    )}
+
+                    <div className="flex justify-between">
+                        <Button variant="outline" size="sm" onClick={() => setRows(prev => [...prev, { letter: '', minPercent: '', maxPercent: '', points: '' }])}>
+                            <Plus className="w-4 h-4 mr-2" />
+                            Add Band
+                        </Button>
+                        <div className="flex gap-2">
+                            {selectedSchemeId !== NEW_SCHEME && (
+                                <Button variant="outline" className="text-red-600" onClick={handleDelete}>Delete</Button>
+                            )}
+                            <Button onClick={handleSave} disabled={loading || !name.trim() || !validation.isValid}>
+                                {loading ? 'Saving...' : 'Save Scheme'}
+                            </Button>
+                        </div>
+                    </div>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Attach Schemes to Courses and Offerings</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Offering</TableHead>
+                                <TableHead>Course Scheme</TableHead>
+                                <TableHead>Offering Override</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {(offerings as AdminOffering[]).map(offering => (
+                                <TableRow key={offering.id}>
+                                    <TableCell>
+                                        <span className="font-medium block">{offering.courseCode} - {offering.title}</span>
+                                        <span className="text-xs text-gray-500">{offering.term} {offering.year}</span>
+                                    </TableCell>
+                                    <TableCell>
+                                        <Select
+                                            value={offering.courseGradeSchemeId || NO_SCHEME}
+                                            onValueChange={(value) => handleAssign('courses', offering.courseId, value)}
+                                        >
+                                            <SelectTrigger className="w-48">
+                                                <SelectValue />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                <SelectItem value={NO_SCHEME}>Default scheme</SelectItem>
+                                                {(schemes as GradeScheme[]).map(scheme => (
+                                                    <SelectItem key={scheme.id} value={scheme.id}>{scheme.name}</SelectItem>
+                                                ))}
+                                            </SelectContent>
+                                        </Select>
+                                    </TableCell>
+                                    <TableCell>
+                                        <Select
+                                            value={offering.gradeSchemeId || NO_SCHEME}
+                                            onValueChange={(value) => handleAssign('offerings', offering.id, value)}
+                                        >
+                                            <SelectTrigger className="w-48">
+                                                <SelectValue />
+                                            </SelectTrigger>
+                                            <SelectContent>
+                                                <SelectItem value={NO_SCHEME}>
+                                                    Same as course{offering.courseGradeSchemeId ? ` (${schemeName(offering.courseGradeSchemeId)})` : ''}
+                                                </SelectItem>
+                                                {(schemes as GradeScheme[]).map(scheme => (
+                                                    <SelectItem key={scheme.id} value={scheme.id}>{scheme.name}</SelectItem>
+                                                ))}
+                                            </SelectContent>
+                                        </Select>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {offerings.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={3} className="text-center text-gray-500">No offerings found.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default GradeScaleEditor;
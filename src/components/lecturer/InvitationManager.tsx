@@ -0,0 +1,181 @@
+import { useEffect, useState } from 'react';
+import { useInvitations } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface Invitation {
+    id: string;
+    email: string;
+    staffNo: string;
+    role: 'lecturer' | 'admin';
+    status: 'pending' | 'used' | 'expired' | 'revoked';
+    expiresAt: string;
+    createdAt: string;
+    createdBy: { id: string; fullName: string } | null;
+    usedAt: string | null;
+    usedBy: { id: string; fullName: string } | null;
+}
+
+const ALL_STATUSES = 'all';
+
+const STATUS_STYLES: { [status: string]: string } = {
+    pending: 'bg-blue-100 text-blue-800 hover:bg-blue-100',
+    used: 'bg-green-100 text-green-800 hover:bg-green-100',
+    expired: 'bg-gray-100 text-gray-700 hover:bg-gray-100',
+    revoked: 'bg-red-100 text-red-800 hover:bg-red-100'
+};
+
+const InvitationManager = () => {
+    const { invitations, loading, error, fetchInvitations, createInvitation, revokeInvitation } = useInvitations();
+
+    const [statusFilter, setStatusFilter] = useState<string>(ALL_STATUSES);
+    const [email, setEmail] = useState('');
+    const [staffNo, setStaffNo] = useState('');
+    const [role, setRole] = useState<'lecturer' | 'admin'>('lecturer');
+    const [issuedCode, setIssuedCode] = useState<{ email: string; code: string } | null>(null);
+
+    useEffect(() => {
+        fetchInvitations(statusFilter === ALL_STATUSES ? undefined : statusFilter);
+    }, [fetchInvitations, statusFilter]);
+
+    const handleInvite = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const result = await createInvitation({ email: email.trim(), staffNo: staffNo.trim(), role });
+        if (result.success) {
+            setIssuedCode({ email: email.trim(), code: result.code });
+            setEmail('');
+            setStaffNo('');
+            setRole('lecturer');
+        }
+    };
+
+    const handleRevoke = async (invitation: Invitation) => {
+        if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+        await revokeInvitation(invitation.id);
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Invite a Lecturer</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    {error && <p className="text-red-500">{error}</p>}
+                    {issuedCode && (
+                        <div className="bg-green-100 text-green-800 p-3 rounded">
+                            Invitation sent to {issuedCode.email}. Code: <span className="font-mono font-bold">{issuedCode.code}</span>
+                            <p className="text-xs mt-1">This code is not shown again; it has also been emailed to the invitee.</p>
+                        </div>
+                    )}
+
+                    <form onSubmit={handleInvite} className="grid gap-4 sm:grid-cols-4 items-end">
+                        <div className="space-y-2 sm:col-span-2">
+                            <Label htmlFor="invite-email">Email</Label>
+                            <Input
+                                id="invite-email"
+                                type="email"
+                                placeholder="lecturer@university.edu"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="invite-staff-no">Staff Number</Label>
+                            <Input
+                                id="invite-staff-no"
+                                placeholder="LEC001"
+                                value={staffNo}
+                                onChange={(e) => setStaffNo(e.target.value)}
+                                required
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <Label>Role</Label>
+                            <Select onValueChange={(value) => setRole(value as 'lecturer' | 'admin')} value={role}>
+                                <SelectTrigger>
+                                    <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    <SelectItem value="lecturer">Lecturer</SelectItem>
+                                    <SelectItem value="admin">Admin</SelectItem>
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <Button type="submit" className="sm:col-span-4 sm:justify-self-end">Send Invitation</Button>
+                    </form>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader className="flex flex-row justify-between items-center">
+                    <CardTitle>Invitations</CardTitle>
+                    <Select onValueChange={setStatusFilter} value={statusFilter}>
+                        <SelectTrigger className="w-40">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value={ALL_STATUSES}>All</SelectItem>
+                            <SelectItem value="pending">Pending</SelectItem>
+                            <SelectItem value="used">Used</SelectItem>
+                            <SelectItem value="expired">Expired</SelectItem>
+                            <SelectItem value="revoked">Revoked</SelectItem>
+                        </SelectContent>
+                    </Select>
+                </CardHeader>
+                <CardContent>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Email</TableHead>
+                                <TableHead>Staff No</TableHead>
+                                <TableHead>Role</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Details</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {(invitations as Invitation[]).map(invitation => (
+                                <TableRow key={invitation.id}>
+                                    <TableCell className="font-medium">{invitation.email}</TableCell>
+                                    <TableCell>{invitation.staffNo}</TableCell>
+                                    <TableCell className="capitalize">{invitation.role}</TableCell>
+                                    <TableCell>
+                                        <Badge className={`capitalize ${STATUS_STYLES[invitation.status]}`}>{invitation.status}</Badge>
+                                    </TableCell>
+                                    <TableCell className="text-sm text-gray-500">
+                                        {invitation.status === 'used'
+                                            ? `Registered ${invitation.usedAt ? new Date(invitation.usedAt).toLocaleDateString() : ''}${invitation.usedBy ? ` as ${invitation.usedBy.fullName}` : ''}`
+                                            : `${invitation.status === 'expired' ? 'Expired' : 'Expires'} ${new Date(invitation.expiresAt).toLocaleDateString()}`}
+                                        {invitation.createdBy && <span className="block text-xs">Invited by {invitation.createdBy.fullName}</span>}
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        {invitation.status === 'pending' && (
+                                            <Button variant="outline" size="sm" className="text-red-600" onClick={() => handleRevoke(invitation)}>
+                                                Revoke
+                                            </Button>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {invitations.length === 0 && !loading && (
+                                <TableRow>
+                                    <TableCell colSpan={6} className="text-center text-gray-500">No invitations found.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default InvitationManager;
@@ -0,0 +1,219 @@
+import { useEffect, useState } from 'react';
+import { useIssueEscalations } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface LecturerRef {
+    _id: string;
+    fullName: string;
+    staffNo: string;
+}
+
+interface EscalatedIssue {
+    _id: string;
+    subject: string;
+    issueType: string;
+    priority: string;
+    createdAt: string;
+    student?: { firstName: string; lastName: string; schoolID: number } | null;
+    lecturer?: LecturerRef | null;
+    coLecturers?: LecturerRef[];
+    escalation: { escalatedAt: string; dueAt: string };
+}
+
+interface ReportRow {
+    lecturer: { id: string; fullName: string; staffNo: string | null };
+    issueType?: string;
+    closed: number;
+    resolved: number;
+    escalated: number;
+    averageHours: number;
+}
+
+interface ResolutionReport {
+    rows: ReportRow[];
+    byLecturer: ReportRow[];
+}
+
+const TYPE_LABELS: { [issueType: string]: string } = {
+    remark: 'Remark Request'
+};
+
+const PRIORITY_STYLES: { [priority: string]: string } = {
+    high: 'bg-red-100 text-red-800 hover:bg-red-100',
+    medium: 'bg-amber-100 text-amber-800 hover:bg-amber-100',
+    low: 'bg-gray-100 text-gray-700 hover:bg-gray-100'
+};
+
+// Up to two days in hours, then in days
+const formatHours = (hours: number) => (hours < 48 ? `${hours.toFixed(1)} h` : `${(hours / 24).toFixed(1)} days`);
+
+const hoursSince = (date: string) => (Date.now() - new Date(date).getTime()) / (60 * 60 * 1000);
+
+const IssueEscalations = () => {
+    const { escalated, report, loading, error, fetchEscalated, fetchReport, reassign } = useIssueEscalations();
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+
+    useEffect(() => {
+        fetchEscalated();
+        fetchReport({});
+    }, [fetchEscalated, fetchReport]);
+
+    const queue = escalated as EscalatedIssue[];
+    const resolution = report as ResolutionReport | null;
+    const byLecturer = resolution?.byLecturer || [];
+    const rows = resolution?.rows || [];
+
+    const handleReassign = async (issue: EscalatedIssue, lecturerId: string) => {
+        const lecturer = issue.coLecturers?.find(candidate => candidate._id === lecturerId);
+        if (!lecturer || !window.confirm(`Hand "${issue.subject}" to ${lecturer.fullName}?`)) return;
+        await reassign(issue._id, lecturerId, 'Reassigned from the escalation queue');
+    };
+
+    const handleReport = (e: React.FormEvent) => {
+        e.preventDefault();
+        fetchReport({ from, to });
+    };
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Escalated Issues</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    {error && <p className="text-red-500 mb-4">{error}</p>}
+                    <p className="text-sm text-gray-500 mb-4">
+                        Issues that passed their response deadline with no status change or reply. They leave the queue once someone responds.
+                    </p>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Issue</TableHead>
+                                <TableHead>Lecturer</TableHead>
+                                <TableHead>Priority</TableHead>
+                                <TableHead>Response Due</TableHead>
+                                <TableHead>Hand To</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {queue.map(issue => (
+                                <TableRow key={issue._id}>
+                                    <TableCell>
+                                        <span className="font-medium block">{issue.subject}</span>
+                                        <span className="text-xs text-gray-500">
+                                            {TYPE_LABELS[issue.issueType] || issue.issueType}
+                                            {issue.student && `, ${issue.student.firstName} ${issue.student.lastName} (${issue.student.schoolID})`}
+                                        </span>
+                                    </TableCell>
+                                    <TableCell>
+                                        {issue.lecturer ? `${issue.lecturer.fullName} (${issue.lecturer.staffNo})` : 'Unassigned'}
+                                    </TableCell>
+                                    <TableCell>
+                                        <Badge className={`capitalize ${PRIORITY_STYLES[issue.priority] || PRIORITY_STYLES.medium}`}>{issue.priority}</Badge>
+                                    </TableCell>
+                                    <TableCell>
+                                        <span className="block">{new Date(issue.escalation.dueAt).toLocaleString()}</span>
+                                        <span className="text-xs text-red-600">{formatHours(hoursSince(issue.escalation.dueAt))} overdue</span>
+                                    </TableCell>
+                                    <TableCell>
+                                        {(issue.coLecturers || []).length > 0 ? (
+                                            <Select value="" onValueChange={(value) => handleReassign(issue, value)}>
+                                                <SelectTrigger className="w-48">
+                                                    <SelectValue placeholder="Co-lecturer" />
+                                                </SelectTrigger>
+                                                <SelectContent>
+                                                    {(issue.coLecturers || []).map(lecturer => (
+                                                        <SelectItem key={lecturer._id} value={lecturer._id}>{lecturer.fullName}</SelectItem>
+                                                    ))}
+                                                </SelectContent>
+                                            </Select>
+                                        ) : (
+                                            <span className="text-xs text-gray-500">No co-lecturer</span>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {queue.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={5} className="text-center text-gray-500">
+                                        {loading ? 'Loading...' : 'No issues are waiting past their deadline.'}
+                                    </TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>Time to Resolution</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <form onSubmit={handleReport} className="flex flex-wrap items-end gap-2">
+                        <div className="space-y-1">
+                            <Label htmlFor="report-from">Closed from</Label>
+                            <Input id="report-from" type="date" className="w-40" value={from} onChange={(e) => setFrom(e.target.value)} />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="report-to">to</Label>
+                            <Input id="report-to" type="date" className="w-40" value={to} onChange={(e) => setTo(e.target.value)} />
+                        </div>
+                        <Button type="submit" variant="outline">Run Report</Button>
+                    </form>
+
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Lecturer</TableHead>
+                                <TableHead>Issue Type</TableHead>
+                                <TableHead className="text-right">Closed</TableHead>
+                                <TableHead className="text-right">Resolved</TableHead>
+                                <TableHead className="text-right">Escalated</TableHead>
+                                <TableHead className="text-right">Average Time</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {byLecturer.map(total => [
+                                <TableRow key={total.lecturer.id} className="bg-gray-50">
+                                    <TableCell className="font-medium">{total.lecturer.fullName}</TableCell>
+                                    <TableCell className="text-gray-500">All types</TableCell>
+                                    <TableCell className="text-right">{total.closed}</TableCell>
+                                    <TableCell className="text-right">{total.resolved}</TableCell>
+                                    <TableCell className="text-right">{total.escalated}</TableCell>
+                                    <TableCell className="text-right font-medium">{formatHours(total.averageHours)}</TableCell>
+                                </TableRow>,
+                                ...rows
+                                    .filter(row => row.lecturer.id === total.lecturer.id)
+                                    .map(row => (
+                                        <TableRow key={`${row.lecturer.id}:${row.issueType}`}>
+                                            <TableCell />
+                                            <TableCell>{TYPE_LABELS[row.issueType || ''] || row.issueType}</TableCell>
+                                            <TableCell className="text-right">{row.closed}</TableCell>
+                                            <TableCell className="text-right">{row.resolved}</TableCell>
+                                            <TableCell className="text-right">{row.escalated}</TableCell>
+                                            <TableCell className="text-right">{formatHours(row.averageHours)}</TableCell>
+                                        </TableRow>
+                                    ))
+                            ])}
+                            {byLecturer.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={6} className="text-center text-gray-500">No issues were closed in this period.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+};
+
+export default IssueEscalations;
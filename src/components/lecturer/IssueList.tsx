@@ -1,68 +1,701 @@
-import { useEffect } from 'react';
-import { useIssues } from '@/hooks/useLecturer';
+import { useEffect, useMemo, useState } from 'react';
+import { useIssues, useLecturerData } from '@/hooks/useLecturer';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
-import { CheckCircle } from 'lucide-react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { CheckCircle, Clock, Download, Eye, MessageSquare, Paperclip } from 'lucide-react';
 
-const IssueList = () => {
-    const { issues, loading, error, fetchIssues, resolveIssue } = useIssues();
+type IssueStatus = 'pending' | 'in_review' | 'awaiting_student' | 'resolved' | 'rejected';
+
+interface IssueComment {
+    _id: string;
+    author: 'staff' | 'student';
+    userId?: { fullName: string } | null;
+    studentId?: { firstName: string; lastName: string } | null;
+    body: string;
+    createdAt: string;
+}
+
+interface StatusChange {
+    _id: string;
+    from: string;
+    to: string;
+    changedBy?: { fullName: string } | null;
+    comment?: string;
+    changedAt: string;
+}
+
+interface Handover {
+    _id: string;
+    from?: { fullName: string } | null;
+    to?: { fullName: string } | null;
+    changedBy?: { fullName: string } | null;
+    note?: string;
+    changedAt: string;
+}
+
+interface CoLecturer {
+    _id: string;
+    fullName: string;
+    staffNo: string;
+}
+
+interface Attachment {
+    _id: string;
+    originalName: string;
+    contentType: string;
+    size: number;
+    uploadedBy?: { fullName: string; role: string } | null;
+    uploadedAt: string;
+}
+
+interface AttachmentPreview {
+    attachmentId: string;
+    name: string;
+    contentType: string;
+    url: string;
+}
+
+interface Issue {
+    _id: string;
+    subject: string;
+    description: string;
+    issueType: string;
+    status?: string;
+    priority: string;
+    createdAt: string;
+    student?: { firstName: string; lastName: string; schoolID: number } | null;
+    comments?: IssueComment[];
+    statusHistory?: StatusChange[];
+    resolution?: { note: string; changedBy?: { fullName: string } | null; changedAt: string } | null;
+    remark?: { previousScore: number | null; revisedScore: number } | null;
+    attachments?: Attachment[];
+    assignmentHistory?: Handover[];
+    // Deadline for the first response (a status change or staff reply); null once answered
+    responseDueAt?: string | null;
+    overdue?: boolean;
+    // The offering's other lecturers, who the issue can be handed to
+    coLecturers?: CoLecturer[];
+    remarkTarget?: {
+        courseCode: string | null;
+        term: string;
+        year: number;
+        resultsStatus: string;
+        assessmentName: string;
+        maxScore: number;
+        currentScore: number | null;
+    } | null;
+}
+
+// Mirrors the server's workflow; closing an issue needs a note for the student
+const TRANSITIONS: { [status: string]: IssueStatus[] } = {
+    pending: ['in_review', 'awaiting_student', 'resolved', 'rejected'],
+    in_review: ['awaiting_student', 'resolved', 'rejected'],
+    awaiting_student: ['in_review', 'resolved', 'rejected'],
+    resolved: ['in_review'],
+    rejected: ['in_review']
+};
+
+const CLOSED: string[] = ['resolved', 'rejected'];
+
+const REMARK = 'remark';
+
+const STATUS_LABELS: { [status: string]: string } = {
+    pending: 'Pending',
+    in_review: 'In Review',
+    awaiting_student: 'Awaiting Student',
+    resolved: 'Resolved',
+    rejected: 'Rejected'
+};
+
+const STATUS_STYLES: { [status: string]: string } = {
+    pending: 'bg-red-100 text-red-800 hover:bg-red-100',
+    in_review: 'bg-blue-100 text-blue-800 hover:bg-blue-100',
+    awaiting_student: 'bg-amber-100 text-amber-800 hover:bg-amber-100',
+    resolved: 'bg-green-100 text-green-800 hover:bg-green-100',
+    rejected: 'bg-gray-100 text-gray-700 hover:bg-gray-100'
+};
+
+interface Offering {
+    id: string;
+    courseCode: string;
+    title: string;
+}
+
+interface IssueListProps {
+    // Called after an issue's status changes, e.g. to refresh the unresolved count
+    onIssuesChanged?: () => void;
+}
+
+const STATUS_FILTERS = ['open', 'all', 'pending', 'in_review', 'awaiting_student', 'resolved', 'rejected'];
+
+const TYPE_FILTERS: { value: string; label: string }[] = [
+    { value: REMARK, label: 'Remark Request' },
+    { value: 'Missing Mark', label: 'Missing Mark' },
+    { value: 'Mark Query', label: 'Mark Query' },
+    { value: 'Other', label: 'Other' }
+];
+
+const PRIORITY_FILTERS = ['high', 'medium', 'low'];
+
+const SORT_LABELS: { [sort: string]: string } = {
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    updated: 'Recently updated'
+};
+
+const ALL_OFFERINGS = 'all';
+
+const chipClass = (active: boolean) =>
+    `px-3 py-1 rounded-full border text-xs font-medium ${active ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`;
+
+const toggleValue = (values: string[], value: string) =>
+    (values.includes(value) ? values.filter(v => v !== value) : [...values, value]);
+
+const ATTACHMENT_ACCEPT = '.pdf,.png,.jpg,.jpeg,.gif,.webp,application/pdf,image/*';
+
+const formatSize = (bytes: number) =>
+    (bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+const statusOf = (issue: Issue) => (issue.status && TRANSITIONS[issue.status] ? issue.status : 'pending');
+
+// Comments, status changes and hand-overs, oldest first
+const threadOf = (issue: Issue) => [
+    ...(issue.comments || []).map(comment => ({
+        key: comment._id,
+        at: comment.createdAt,
+        who: comment.author === 'student'
+            ? `${comment.studentId?.firstName ?? 'Student'} ${comment.studentId?.lastName ?? ''}`.trim()
+            : comment.userId?.fullName || 'Staff',
+        isStudent: comment.author === 'student',
+        text: comment.body,
+        change: null as StatusChange | null,
+        handover: null as Handover | null
+    })),
+    ...(issue.statusHistory || []).map(change => ({
+        key: change._id,
+        at: change.changedAt,
+        who: change.changedBy?.fullName || 'Staff',
+        isStudent: false,
+        text: change.comment || '',
+        change,
+        handover: null
+    })),
+    ...(issue.assignmentHistory || []).map(handover => ({
+        key: handover._id,
+        at: handover.changedAt,
+        who: handover.changedBy?.fullName || 'Staff',
+        isStudent: false,
+        text: handover.note || '',
+        change: null,
+        handover
+    }))
+].sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+
+const IssueList = ({ onIssuesChanged }: IssueListProps) => {
+    const {
+        issues, nextCursor, loading, error, fetchIssues, loadMore, changeStatus, addComment, reassign, uploadAttachments, fetchAttachment
+    } = useIssues();
+    const { offerings, fetchOfferings } = useLecturerData();
+
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [typeFilter, setTypeFilter] = useState<string[]>([]);
+    const [priorityFilter, setPriorityFilter] = useState<string[]>([]);
+    const [offeringFilter, setOfferingFilter] = useState(ALL_OFFERINGS);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [search, setSearch] = useState('');
+    const [appliedSearch, setAppliedSearch] = useState('');
+    const [sort, setSort] = useState('newest');
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [reply, setReply] = useState('');
+    const [nextStatus, setNextStatus] = useState<IssueStatus | ''>('');
+    const [note, setNote] = useState('');
+    const [revisedScore, setRevisedScore] = useState('');
+    const [handTo, setHandTo] = useState('');
+    const [handoverNote, setHandoverNote] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [preview, setPreview] = useState<AttachmentPreview | null>(null);
+
+    // Filters are applied on the server; the list is fetched again when they change
+    const filters = useMemo(() => ({
+        status: statusFilter === 'all' ? undefined : statusFilter,
+        issueType: typeFilter.join(','),
+        priority: priorityFilter.join(','),
+        offeringId: offeringFilter === ALL_OFFERINGS ? undefined : offeringFilter,
+        from,
+        to,
+        q: appliedSearch,
+        sort
+    }), [statusFilter, typeFilter, priorityFilter, offeringFilter, from, to, appliedSearch, sort]);
+
+    useEffect(() => {
+        fetchOfferings();
+    }, [fetchOfferings]);
 
     useEffect(() => {
-        fetchIssues();
-    }, [fetchIssues]);
+        fetchIssues(filters);
+    }, [fetchIssues, filters]);
 
-    const handleResolve = async (id: string) => {
-        await resolveIssue(id);
+    // Release the previewed file when it is replaced or the list goes away
+    useEffect(() => () => {
+        if (preview) URL.revokeObjectURL(preview.url);
+    }, [preview]);
+
+    const toggle = (id: string) => {
+        setExpandedId(expandedId === id ? null : id);
+        setReply('');
+        setNextStatus('');
+        setNote('');
+        setRevisedScore('');
+        setHandTo('');
+        setHandoverNote('');
+        setPreview(null);
+    };
+
+    const handleUpload = async (issue: Issue, e: React.ChangeEvent<HTMLInputElement>) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (files.length === 0) return;
+        setSaving(true);
+        await uploadAttachments(issue._id, files);
+        setSaving(false);
+    };
+
+    const handlePreview = async (issue: Issue, attachment: Attachment) => {
+        if (preview?.attachmentId === attachment._id) {
+            setPreview(null);
+            return;
+        }
+        const blob = await fetchAttachment(issue._id, attachment._id);
+        if (!blob) return;
+        setPreview({
+            attachmentId: attachment._id,
+            name: attachment.originalName,
+            contentType: attachment.contentType,
+            url: URL.createObjectURL(blob)
+        });
+    };
+
+    const handleDownload = async (issue: Issue, attachment: Attachment) => {
+        const blob = await fetchAttachment(issue._id, attachment._id);
+        if (!blob) return;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.originalName;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleReply = async (issue: Issue) => {
+        if (!reply.trim()) return;
+        setSaving(true);
+        if (await addComment(issue._id, reply.trim())) setReply('');
+        setSaving(false);
     };
 
-    if (loading) return <p>Loading issues...</p>;
-    if (error) return <p className="text-red-500">{error}</p>;
+    // Resolving a remark request sets the mark to the revised score
+    const needsScore = (issue: Issue) => issue.issueType === REMARK && nextStatus === 'resolved';
+
+    const handleStatus = async (issue: Issue) => {
+        if (!nextStatus) return;
+        setSaving(true);
+        const changed = await changeStatus(issue._id, {
+            status: nextStatus,
+            note: note.trim() || undefined,
+            revisedScore: needsScore(issue) ? Number(revisedScore) : undefined
+        });
+        if (changed) {
+            onIssuesChanged?.();
+            setNextStatus('');
+            setNote('');
+            setRevisedScore('');
+        }
+        setSaving(false);
+    };
+
+    // A handed-over issue leaves this lecturer's list
+    const handleReassign = async (issue: Issue) => {
+        if (!handTo) return;
+        setSaving(true);
+        if (await reassign(issue._id, handTo, handoverNote.trim() || undefined)) {
+            onIssuesChanged?.();
+            setExpandedId(null);
+            setHandTo('');
+            setHandoverNote('');
+        }
+        setSaving(false);
+    };
+
+    const handleSearch = (e: React.FormEvent) => {
+        e.preventDefault();
+        setAppliedSearch(search.trim());
+    };
+
+    const clearFilters = () => {
+        setStatusFilter('open');
+        setTypeFilter([]);
+        setPriorityFilter([]);
+        setOfferingFilter(ALL_OFFERINGS);
+        setFrom('');
+        setTo('');
+        setSearch('');
+        setAppliedSearch('');
+    };
+
+    const visible = issues as Issue[];
+    const noteRequired = CLOSED.includes(nextStatus);
+    const scoreInvalid = (issue: Issue) => {
+        if (!needsScore(issue)) return false;
+        const score = Number(revisedScore);
+        return revisedScore.trim() === '' || !Number.isFinite(score) || score < 0
+            || (issue.remarkTarget ? score > issue.remarkTarget.maxScore : false);
+    };
 
     return (
         <Card>
-            <CardHeader>
-                <CardTitle>Student Issues & Requests</CardTitle>
+            <CardHeader className="space-y-4">
+                <div className="flex flex-row justify-between items-center">
+                    <CardTitle>Student Issues & Requests</CardTitle>
+                    <Select value={sort} onValueChange={setSort}>
+                        <SelectTrigger className="w-48">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            {Object.keys(SORT_LABELS).map(value => (
+                                <SelectItem key={value} value={value}>{SORT_LABELS[value]}</SelectItem>
+                            ))}
+                        </SelectContent>
+                    </Select>
+                </div>
+
+                <form onSubmit={handleSearch} className="flex gap-2">
+                    <Input placeholder="Search subject and description" value={search} onChange={(e) => setSearch(e.target.value)} />
+                    <Button type="submit" variant="outline">Search</Button>
+                </form>
+
+                <div className="flex flex-wrap gap-2">
+                    {STATUS_FILTERS.map(value => (
+                        <button key={value} type="button" className={chipClass(statusFilter === value)} onClick={() => setStatusFilter(value)}>
+                            {value === 'open' ? 'Open' : value === 'all' ? 'All' : STATUS_LABELS[value]}
+                        </button>
+                    ))}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    {TYPE_FILTERS.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            type="button"
+                            className={chipClass(typeFilter.includes(value))}
+                            onClick={() => setTypeFilter(toggleValue(typeFilter, value))}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    {PRIORITY_FILTERS.map(value => (
+                        <button
+                            key={value}
+                            type="button"
+                            className={`capitalize ${chipClass(priorityFilter.includes(value))}`}
+                            onClick={() => setPriorityFilter(toggleValue(priorityFilter, value))}
+                        >
+                            {value} priority
+                        </button>
+                    ))}
+                </div>
+
+                <div className="grid gap-2 sm:grid-cols-4 items-end">
+                    <div className="space-y-1">
+                        <Label>Course</Label>
+                        <Select value={offeringFilter} onValueChange={setOfferingFilter}>
+                            <SelectTrigger>
+                                <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                                <SelectItem value={ALL_OFFERINGS}>All courses</SelectItem>
+                                {(offerings as Offering[]).map(o => (
+                                    <SelectItem key={o.id} value={o.id}>{o.courseCode} - {o.title}</SelectItem>
+                                ))}
+                            </SelectContent>
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="issues-from">Raised From</Label>
+                        <Input id="issues-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="issues-to">Raised To</Label>
+                        <Input id="issues-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+                    </div>
+                    <Button variant="ghost" onClick={clearFilters}>Clear Filters</Button>
+                </div>
             </CardHeader>
             <CardContent>
-                {issues.length === 0 ? (
-                    <p className="text-gray-500">No issues found.</p>
+                {error && <p className="text-red-500 mb-4">{error}</p>}
+                {visible.length === 0 ? (
+                    <p className="text-gray-500">{loading ? 'Loading issues...' : 'No issues found.'}</p>
                 ) : (
                     <div className="space-y-4">
-                        {issues.map((issue: any) => (
-                            <div key={issue._id} className="border rounded-lg p-4 flex justify-between items-start bg-white shadow-sm">
-                                <div>
-                                    <div className="flex items-center gap-2 mb-1">
-                                        <h3 className="font-semibold text-lg">{issue.subject}</h3>
-                                        <Badge variant={issue.status === 'resolved' ? 'secondary' : 'destructive'}>
-                                            {issue.status}
-                                        </Badge>
-                                        <Badge variant="outline">{issue.issueType}</Badge>
-                                    </div>
-                                    <p className="text-gray-600 mb-2">{issue.description}</p>
-                                    <div className="text-sm text-gray-500">
-                                        <p>Student: <span className="font-medium">{issue.student?.firstName} {issue.student?.lastName}</span> ({issue.student?.schoolID})</p>
-                                        <p>Date: {new Date(issue.createdAt).toLocaleDateString()}</p>
+                        {visible.map(issue => {
+                            const status = statusOf(issue);
+                            const expanded = expandedId === issue._id;
+                            const thread = expanded ? threadOf(issue) : [];
+                            return (
+                                <div key={issue._id} className="border rounded-lg p-4 bg-white shadow-sm space-y-3">
+                                    <div className="flex justify-between items-start gap-4">
+                                        <div>
+                                            <div className="flex items-center gap-2 mb-1">
+                                                <h3 className="font-semibold text-lg">{issue.subject}</h3>
+                                                <Badge className={STATUS_STYLES[status]}>{STATUS_LABELS[status]}</Badge>
+                                                <Badge variant="outline">{issue.issueType === REMARK ? 'Remark Request' : issue.issueType}</Badge>
+                                                {issue.overdue && (
+                                                    <Badge variant="destructive" className="gap-1">
+                                                        <Clock className="w-3 h-3" />
+                                                        Overdue
+                                                    </Badge>
+                                                )}
+                                            </div>
+                                            {issue.issueType === REMARK && (
+                                                <p className="text-sm mb-1">
+                                                    {issue.remarkTarget ? (
+                                                        <>
+                                                            {issue.remarkTarget.courseCode} {issue.remarkTarget.term}, {issue.remarkTarget.assessmentName}:{' '}
+                                                            <span className="font-medium">
+                                                                {issue.remarkTarget.currentScore ?? 'no mark'} / {issue.remarkTarget.maxScore}
+                                                            </span>
+                                                        </>
+                                                    ) : (
+                                                        <span className="text-gray-500">The assessment for this request no longer exists.</span>
+                                                    )}
+                                                </p>
+                                            )}
+                                            <p className="text-gray-600 mb-2">{issue.description}</p>
+                                            <div className="text-sm text-gray-500">
+                                                <p>Student: <span className="font-medium">{issue.student?.firstName} {issue.student?.lastName}</span> ({issue.student?.schoolID})</p>
+                                                <p>Date: {new Date(issue.createdAt).toLocaleDateString()}</p>
+                                                {issue.responseDueAt && (
+                                                    <p className={issue.overdue ? 'text-red-600' : ''}>
+                                                        Respond by: {new Date(issue.responseDueAt).toLocaleString()} ({issue.priority} priority)
+                                                    </p>
+                                                )}
+                                            </div>
+                                        </div>
+                                        <Button variant="outline" size="sm" onClick={() => toggle(issue._id)}>
+                                            <MessageSquare className="w-4 h-4 mr-2" />
+                                            {expanded ? 'Hide' : `Thread (${issue.comments?.length ?? 0})`}
+                                            {!expanded && (issue.attachments?.length ?? 0) > 0 && (
+                                                <span className="ml-2 flex items-center text-gray-500">
+                                                    <Paperclip className="w-3 h-3 mr-0.5" />{issue.attachments?.length}
+                                                </span>
+                                            )}
+                                        </Button>
                                     </div>
+
+                                    {CLOSED.includes(status) && issue.resolution?.note && (
+                                        <div className="bg-green-50 border border-green-200 p-3 rounded text-sm text-green-900 flex gap-2">
+                                            <CheckCircle className="w-4 h-4 mt-0.5 shrink-0" />
+                                            <div>
+                                                <p>{issue.resolution.note}</p>
+                                                {status === 'resolved' && issue.remark && (
+                                                    <p className="mt-1">
+                                                        Mark changed from {issue.remark.previousScore ?? 'none'} to {issue.remark.revisedScore}.
+                                                    </p>
+                                                )}
+                                                <p className="text-xs text-green-700 mt-1">
+                                                    {STATUS_LABELS[status]} by {issue.resolution.changedBy?.fullName || 'staff'} on{' '}
+                                                    {new Date(issue.resolution.changedAt).toLocaleDateString()}
+                                                </p>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {expanded && (
+                                        <div className="border-t pt-3 space-y-4">
+                                            <div className="space-y-2">
+                                                {thread.length === 0 && <p className="text-sm text-gray-500">No replies yet.</p>}
+                                                {thread.map(entry => entry.change ? (
+                                                    <div key={entry.key} className="text-xs text-gray-500">
+                                                        {entry.who} changed the status from {STATUS_LABELS[entry.change.from] || entry.change.from} to{' '}
+                                                        {STATUS_LABELS[entry.change.to] || entry.change.to}, {new Date(entry.at).toLocaleString()}
+                                                        {entry.text && <span className="block italic">"{entry.text}"</span>}
+                                                    </div>
+                                                ) : entry.handover ? (
+                                                    <div key={entry.key} className="text-xs text-gray-500">
+                                                        {entry.who} handed the issue from {entry.handover.from?.fullName || 'a former lecturer'} to{' '}
+                                                        {entry.handover.to?.fullName || 'another lecturer'}, {new Date(entry.at).toLocaleString()}
+                                                        {entry.text && <span className="block italic">"{entry.text}"</span>}
+                                                    </div>
+                                                ) : (
+                                                    <div
+                                                        key={entry.key}
+                                                        className={`rounded p-3 text-sm ${entry.isStudent ? 'bg-gray-50 mr-12' : 'bg-blue-50 ml-12'}`}
+                                                    >
+                                                        <p className="text-xs text-gray-500 mb-1">
+                                                            {entry.who}{entry.isStudent ? ' (student)' : ''}, {new Date(entry.at).toLocaleString()}
+                                                        </p>
+                                                        <p className="whitespace-pre-wrap">{entry.text}</p>
+                                                    </div>
+                                                ))}
+                                            </div>
+
+                                            <div className="space-y-2">
+                                                <Label>Attachments</Label>
+                                                {(issue.attachments || []).length === 0 && (
+                                                    <p className="text-sm text-gray-500">No attachments.</p>
+                                                )}
+                                                {(issue.attachments || []).map(attachment => (
+                                                    <div key={attachment._id} className="flex items-center justify-between gap-2 text-sm border rounded px-3 py-2">
+                                                        <div className="flex items-center gap-2 min-w-0">
+                                                            <Paperclip className="w-4 h-4 shrink-0 text-gray-500" />
+                                                            <span className="truncate font-medium">{attachment.originalName}</span>
+                                                            <span className="text-xs text-gray-500 shrink-0">
+                                                                {formatSize(attachment.size)}
+                                                                {attachment.uploadedBy ? `, ${attachment.uploadedBy.fullName}` : ''}
+                                                            </span>
+                                                        </div>
+                                                        <div className="flex gap-1 shrink-0">
+                                                            <Button variant="ghost" size="sm" onClick={() => handlePreview(issue, attachment)}>
+                                                                <Eye className="w-4 h-4" />
+                                                            </Button>
+                                                            <Button variant="ghost" size="sm" onClick={() => handleDownload(issue, attachment)}>
+                                                                <Download className="w-4 h-4" />
+                                                            </Button>
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                                {preview && (issue.attachments || []).some(a => a._id === preview.attachmentId) && (
+                                                    preview.contentType === 'application/pdf' ? (
+                                                        <iframe src={preview.url} title={preview.name} className="w-full h-[32rem] border rounded" />
+                                                    ) : (
+                                                        <img src={preview.url} alt={preview.name} className="max-h-[32rem] mx-auto border rounded" />
+                                                    )
+                                                )}
+                                                <Input
+                                                    id={`issue-files-${issue._id}`}
+                                                    type="file"
+                                                    multiple
+                                                    accept={ATTACHMENT_ACCEPT}
+                                                    disabled={saving}
+                                                    onChange={(e) => handleUpload(issue, e)}
+                                                />
+                                                <p className="text-xs text-gray-500">PDF or images (PNG, JPEG, GIF, WebP), up to 5 files at a time.</p>
+                                            </div>
+
+                                            <div className="space-y-2">
+                                                <Label htmlFor={`issue-reply-${issue._id}`}>Reply</Label>
+                                                <Textarea
+                                                    id={`issue-reply-${issue._id}`}
+                                                    value={reply}
+                                                    onChange={(e) => setReply(e.target.value)}
+                                                />
+                                                <div className="flex justify-end">
+                                                    <Button size="sm" onClick={() => handleReply(issue)} disabled={saving || !reply.trim()}>
+                                                        Send Reply
+                                                    </Button>
+                                                </div>
+                                            </div>
+
+                                            <div className="space-y-2">
+                                                <Label>Change Status</Label>
+                                                <div className="flex gap-2">
+                                                    <Select value={nextStatus} onValueChange={(value) => setNextStatus(value as IssueStatus)}>
+                                                        <SelectTrigger className="w-56">
+                                                            <SelectValue placeholder="New status" />
+                                                        </SelectTrigger>
+                                                        <SelectContent>
+                                                            {TRANSITIONS[status].map(to => (
+                                                                <SelectItem key={to} value={to}>{STATUS_LABELS[to]}</SelectItem>
+                                                            ))}
+                                                        </SelectContent>
+                                                    </Select>
+                                                </div>
+                                                {needsScore(issue) && (
+                                                    <div className="space-y-1">
+                                                        <Label htmlFor={`issue-score-${issue._id}`}>
+                                                            Revised Score{issue.remarkTarget ? ` (out of ${issue.remarkTarget.maxScore})` : ''}
+                                                        </Label>
+                                                        <Input
+                                                            id={`issue-score-${issue._id}`}
+                                                            type="number"
+                                                            step="0.5"
+                                                            min={0}
+                                                            max={issue.remarkTarget?.maxScore}
+                                                            className="w-32"
+                                                            value={revisedScore}
+                                                            onChange={(e) => setRevisedScore(e.target.value)}
+                                                        />
+                                                        {issue.remarkTarget && issue.remarkTarget.resultsStatus !== 'draft' && (
+                                                            <p className="text-xs text-amber-700">
+                                                                Results for this course are {issue.remarkTarget.resultsStatus}; they must be returned to draft before the mark can change.
+                                                            </p>
+                                                        )}
+                                                    </div>
+                                                )}
+                                                {nextStatus && (
+                                                    <Textarea
+                                                        placeholder={noteRequired ? 'Resolution note for the student (required)' : 'Note (optional)'}
+                                                        value={note}
+                                                        onChange={(e) => setNote(e.target.value)}
+                                                    />
+                                                )}
+                                                <div className="flex justify-end">
+                                                    <Button
+                                                        size="sm"
+                                                        variant="outline"
+                                                        onClick={() => handleStatus(issue)}
+                                                        disabled={saving || !nextStatus || (noteRequired && !note.trim()) || scoreInvalid(issue)}
+                                                    >
+                                                        Update Status
+                                                    </Button>
+                                                </div>
+                                            </div>
+
+                                            {(issue.coLecturers || []).length > 0 && (
+                                                <div className="space-y-2">
+                                                    <Label>Hand to Co-lecturer</Label>
+                                                    <Select value={handTo} onValueChange={setHandTo}>
+                                                        <SelectTrigger className="w-72">
+                                                            <SelectValue placeholder="Choose a lecturer" />
+                                                        </SelectTrigger>
+                                                        <SelectContent>
+                                                            {(issue.coLecturers || []).map(lecturer => (
+                                                                <SelectItem key={lecturer._id} value={lecturer._id}>
+                                                                    {lecturer.fullName} ({lecturer.staffNo})
+                                                                </SelectItem>
+                                                            ))}
+                                                        </SelectContent>
+                                                    </Select>
+                                                    {handTo && (
+                                                        <Textarea
+                                                            placeholder="Note for your colleague (optional)"
+                                                            value={handoverNote}
+                                                            onChange={(e) => setHandoverNote(e.target.value)}
+                                                        />
+                                                    )}
+                                                    <div className="flex justify-end">
+                                                        <Button size="sm" variant="outline" onClick={() => handleReassign(issue)} disabled={saving || !handTo}>
+                                                            Hand Over
+                                                        </Button>
+                                                    </div>
+                                                </div>
+                                            )}
+                                        </div>
+                                    )}
                                 </div>
-                                {issue.status !== 'resolved' && (
-                                    <Button
-                                        onClick={() => handleResolve(issue._id)}
-                                        variant="outline"
-                                        className="text-green-600 hover:text-green-700 hover:bg-green-50"
-                                    >
-                                        <CheckCircle className="w-4 h-4 mr-2" />
-                                        Mark Resolved
-                                    </Button>
-                                )}
-                                {issue.status === 'resolved' && (
-                                    <div className="text-green-600 flex items-center">
-                                        <CheckCircle className="w-5 h-5 mr-1" />
-                                        Resolved
-                                    </div>
-                                )}
+                            );
+                        })}
+                        {nextCursor && (
+                            <div className="flex justify-center">
+                                <Button variant="outline" onClick={loadMore} disabled={loading}>
+                                    {loading ? 'Loading...' : 'Load More'}
+                                </Button>
                             </div>
-                        ))}
+                        )}
                     </div>
                 )}
             </CardContent>
@@ -0,0 +1,70 @@
+import { useMarkHistory } from '@/hooks/useLecturer';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Button } from '@/components/ui/button';
+import { History } from 'lucide-react';
+
+interface MarkHistoryEntry {
+    id: string;
+    assessmentName: string;
+    action: 'create' | 'update' | 'delete';
+    oldScore: number | null;
+    newScore: number | null;
+    changedBy: { id: string; fullName: string } | null;
+    reason?: string;
+    changedAt: string;
+}
+
+interface MarkHistoryPopoverProps {
+    offeringId: string;
+    studentId: string;
+    assessmentId?: string;
+}
+
+const describeChange = (entry: MarkHistoryEntry) => {
+    if (entry.action === 'create') return `Entered ${entry.newScore}`;
+    if (entry.action === 'delete') return `Deleted (was ${entry.oldScore})`;
+    return `${entry.oldScore} → ${entry.newScore}`;
+};
+
+// Timeline of changes to one mark (or all of a student's marks when no assessment is given)
+const MarkHistoryPopover = ({ offeringId, studentId, assessmentId }: MarkHistoryPopoverProps) => {
+    const { history, loading, error, fetchHistory } = useMarkHistory();
+
+    const handleOpenChange = (open: boolean) => {
+        if (open) fetchHistory(offeringId, studentId, assessmentId);
+    };
+
+    return (
+        <Popover onOpenChange={handleOpenChange}>
+            <PopoverTrigger asChild>
+                <Button variant="ghost" size="icon" className="h-6 w-6 text-gray-400 hover:text-gray-700" title="View change history">
+                    <History className="w-3 h-3" />
+                </Button>
+            </PopoverTrigger>
+            <PopoverContent className="w-80">
+                <h4 className="font-semibold text-sm mb-2">Change History</h4>
+                {loading && <p className="text-sm text-gray-500">Loading...</p>}
+                {error && <p className="text-sm text-red-500">{error}</p>}
+                {!loading && !error && history.length === 0 && (
+                    <p className="text-sm text-gray-500">No changes recorded.</p>
+                )}
+                <ol className="space-y-3 max-h-64 overflow-y-auto">
+                    {(history as MarkHistoryEntry[]).map(entry => (
+                        <li key={entry.id} className="border-l-2 border-blue-200 pl-3 text-sm">
+                            <p className="font-medium">
+                                {!assessmentId && <span className="text-gray-500">{entry.assessmentName}: </span>}
+                                {describeChange(entry)}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {entry.changedBy?.fullName || 'Unknown'} · {new Date(entry.changedAt).toLocaleString()}
+                            </p>
+                            {entry.reason && <p className="text-xs text-gray-600 italic">{entry.reason}</p>}
+                        </li>
+                    ))}
+                </ol>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default MarkHistoryPopover;
@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react';
+import { useLecturerData, useMarksImport } from '@/hooks/useLecturer';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface Offering {
+    id: string;
+    courseCode: string;
+    title: string;
+}
+
+interface ImportChange {
+    row: number;
+    regNo: string;
+    studentId: string;
+    name: string;
+    assessmentId: string;
+    assessmentName: string;
+    oldScore: number | null;
+    newScore: number;
+    change: 'create' | 'update' | 'unchanged';
+}
+
+interface ImportError {
+    row: number;
+    regNo: string;
+    code: string;
+    message: string;
+    column?: string;
+    value?: string;
+}
+
+interface ImportPreview {
+    summary: {
+        rows: number;
+        matchedStudents: number;
+        unknownRegNos: number;
+        create: number;
+        update: number;
+        unchanged: number;
+        errors: number;
+    };
+    columns: {
+        assessments: { header: string; assessmentId: string; name: string }[];
+        ignored: string[];
+        missing: string[];
+    };
+    changes: ImportChange[];
+    unknownRegNos: { row: number; regNo: string }[];
+    errors: ImportError[];
+}
+
+const CHANGE_STYLES: { [change: string]: string } = {
+    create: 'bg-green-100 text-green-800 hover:bg-green-100',
+    update: 'bg-amber-100 text-amber-800 hover:bg-amber-100',
+    unchanged: 'bg-gray-100 text-gray-700 hover:bg-gray-100'
+};
+
+const CHANGE_LABELS: { [change: string]: string } = {
+    create: 'New',
+    update: 'Changed',
+    unchanged: 'Same'
+};
+
+// Upload a marks CSV or workbook, review what would change, then apply it
+const MarksImport = () => {
+    const { offerings, fetchOfferings } = useLecturerData();
+    const { preview, loading, error, previewImport, applyImport, reset } = useMarksImport();
+
+    const [selectedOfferingId, setSelectedOfferingId] = useState<string | null>(null);
+    // CSV text, or the workbook itself for .xlsx files
+    const [content, setContent] = useState<string | File | null>(null);
+    const [fileName, setFileName] = useState('');
+    const [reason, setReason] = useState('');
+    const [showUnchanged, setShowUnchanged] = useState(false);
+    const [appliedMessage, setAppliedMessage] = useState('');
+
+    useEffect(() => {
+        fetchOfferings();
+    }, [fetchOfferings]);
+
+    const handleOfferingChange = (offeringId: string) => {
+        setSelectedOfferingId(offeringId);
+        setAppliedMessage('');
+        reset();
+    };
+
+    const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        setAppliedMessage('');
+        reset();
+        if (!file) {
+            setContent(null);
+            setFileName('');
+            return;
+        }
+        setContent(file.name.toLowerCase().endsWith('.xlsx') ? file : await file.text());
+        setFileName(file.name);
+    };
+
+    const handlePreview = async () => {
+        if (!selectedOfferingId || !content) return;
+        setAppliedMessage('');
+        await previewImport(selectedOfferingId, content);
+    };
+
+    const handleApply = async () => {
+        if (!selectedOfferingId || !content) return;
+        const result = await applyImport(selectedOfferingId, content, reason.trim() || undefined);
+        if (result.success) {
+            const { created, updated } = result.data.written;
+            setAppliedMessage(`Imported ${fileName}: ${created} marks added, ${updated} changed.`);
+            setContent(null);
+            setFileName('');
+            setReason('');
+        }
+    };
+
+    const current = preview as ImportPreview | null;
+    const pendingChanges = current ? current.summary.create + current.summary.update : 0;
+    const visibleChanges = current
+        ? current.changes.filter(change => showUnchanged || change.change !== 'unchanged')
+        : [];
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle>Import Marks</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <p className="text-sm text-gray-600">
+                        The first row must include a <span className="font-mono">schoolID</span> (or Reg No) column and one column
+                        per assessment, named as in the offering. CSV and Excel (.xlsx) files are accepted, and a marks export can be
+                        edited and imported back. Blank cells leave a mark as it is.
+                    </p>
+                    {error && <p className="text-red-500">{error}</p>}
+                    {appliedMessage && <div className="bg-green-100 text-green-800 p-3 rounded">{appliedMessage}</div>}
+
+                    <div className="grid gap-4 sm:grid-cols-3 items-end">
+                        <div className="space-y-2">
+                            <Label>Course</Label>
+                            <Select onValueChange={handleOfferingChange} value={selectedOfferingId || ''}>
+                                <SelectTrigger>
+                                    <SelectValue placeholder="Select Course" />
+                                </SelectTrigger>
+                                <SelectContent>
+                                    {(offerings as Offering[]).map(o => (
+                                        <SelectItem key={o.id} value={o.id}>
+                                            {o.courseCode} - {o.title}
+                                        </SelectItem>
+                                    ))}
+                                </SelectContent>
+                            </Select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="marks-import-file">CSV or Excel File</Label>
+                            <Input id="marks-import-file" type="file" accept=".csv,text/csv,.xlsx" onChange={handleFileChange} />
+                        </div>
+                        <Button onClick={handlePreview} disabled={!selectedOfferingId || !content || loading}>
+                            {loading && !current ? 'Checking...' : 'Preview'}
+                        </Button>
+                    </div>
+                </CardContent>
+            </Card>
+
+            {current && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Preview</CardTitle>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                        <div className="flex flex-wrap gap-2 text-sm">
+                            <Badge variant="outline">{current.summary.rows} rows</Badge>
+                            <Badge variant="outline">{current.summary.matchedStudents} students matched</Badge>
+                            <Badge className={CHANGE_STYLES.create}>{current.summary.create} new</Badge>
+                            <Badge className={CHANGE_STYLES.update}>{current.summary.update} changed</Badge>
+                            <Badge className={CHANGE_STYLES.unchanged}>{current.summary.unchanged} unchanged</Badge>
+                            {current.summary.unknownRegNos > 0 && (
+                                <Badge variant="destructive">{current.summary.unknownRegNos} unknown reg numbers</Badge>
+                            )}
+                            {current.summary.errors > 0 && (
+                                <Badge variant="destructive">{current.summary.errors} problems</Badge>
+                            )}
+                        </div>
+
+                        <div className="text-sm text-gray-600 space-y-1">
+                            <p>Columns imported: {current.columns.assessments.map(a => a.name).join(', ')}</p>
+                            {current.columns.missing.length > 0 && (
+                                <p>Not in this file: {current.columns.missing.join(', ')}</p>
+                            )}
+                            {current.columns.ignored.length > 0 && (
+                                <p>Ignored columns: {current.columns.ignored.join(', ')}</p>
+                            )}
+                        </div>
+
+                        {current.unknownRegNos.length > 0 && (
+                            <div className="bg-amber-50 border border-amber-200 p-3 rounded text-sm text-amber-800">
+                                <p className="font-medium">These registration numbers are not enrolled in this course and will be skipped:</p>
+                                <p className="mt-1">
+                                    {current.unknownRegNos.map(entry => `${entry.regNo} (row ${entry.row})`).join(', ')}
+                                </p>
+                            </div>
+                        )}
+
+                        {current.errors.length > 0 && (
+                            <div className="bg-red-50 border border-red-200 p-3 rounded text-sm text-red-800">
+                                <p className="font-medium">These cells will be skipped:</p>
+                                <ul className="mt-1 list-disc pl-5">
+                                    {current.errors.map((err, index) => (
+                                        <li key={index}>
+                                            Row {err.row}{err.regNo ? ` (${err.regNo})` : ''}{err.column ? `, ${err.column}` : ''}
+                                            {err.value !== undefined ? ` "${err.value}"` : ''}: {err.message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <div className="flex items-center gap-2">
+                            <Switch id="show-unchanged" checked={showUnchanged} onCheckedChange={setShowUnchanged} />
+                            <Label htmlFor="show-unchanged">Show unchanged marks</Label>
+                        </div>
+
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>Row</TableHead>
+                                    <TableHead>Reg No</TableHead>
+                                    <TableHead>Name</TableHead>
+                                    <TableHead>Assessment</TableHead>
+                                    <TableHead className="text-right">Current</TableHead>
+                                    <TableHead className="text-right">Imported</TableHead>
+                                    <TableHead />
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {visibleChanges.map(change => (
+                                    <TableRow key={`${change.studentId}-${change.assessmentId}`}>
+                                        <TableCell className="text-gray-500">{change.row}</TableCell>
+                                        <TableCell>{change.regNo}</TableCell>
+                                        <TableCell>{change.name}</TableCell>
+                                        <TableCell>{change.assessmentName}</TableCell>
+                                        <TableCell className={`text-right ${change.change === 'update' ? 'line-through text-gray-400' : ''}`}>
+                                            {change.oldScore ?? '-'}
+                                        </TableCell>
+                                        <TableCell className="text-right font-medium">{change.newScore}</TableCell>
+                                        <TableCell>
+                                            <Badge className={CHANGE_STYLES[change.change]}>{CHANGE_LABELS[change.change]}</Badge>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                                {visibleChanges.length === 0 && (
+                                    <TableRow>
+                                        <TableCell colSpan={7} className="text-center text-gray-500">No marks would change.</TableCell>
+                                    </TableRow>
+                                )}
+                            </TableBody>
+                        </Table>
+
+                        <div className="flex flex-wrap gap-2 items-end justify-end">
+                            <div className="space-y-2 w-72">
+                                <Label htmlFor="marks-import-reason">Reason (recorded in mark history)</Label>
+                                <Input
+                                    id="marks-import-reason"
+                                    placeholder="CSV import"
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                />
+                            </div>
+                            <Button variant="outline" onClick={reset} disabled={loading}>Cancel</Button>
+                            <Button onClick={handleApply} disabled={loading || pendingChanges === 0}>
+                                {loading ? 'Applying...' : `Apply ${pendingChanges} Changes`}
+                            </Button>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+};
+
+export default MarksImport;
@@ -0,0 +1,317 @@
+import { useEffect, useState } from 'react';
+import { useAdminOfferings, useModeration } from '@/hooks/useLecturer';
+import ResultsStatusBadge from '@/components/lecturer/ResultsStatusBadge';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+
+interface Lecturer {
+    id: string;
+    fullName: string;
+    staffNo?: string;
+}
+
+interface AdminOffering {
+    id: string;
+    courseCode: string;
+    title: string;
+    term: string;
+    year: number;
+    lecturers: { _id: string; fullName: string }[];
+    resultsStatus: string;
+    statusChangedAt: string | null;
+}
+
+interface StatusHistoryEntry {
+    from: string;
+    to: string;
+    comment?: string;
+    changedBy: { id: string; fullName: string } | null;
+    changedAt: string;
+}
+
+interface Moderation {
+    offering: { id: string; courseCode: string; title: string; term: string; year: number; resultsStatus: string };
+    gradeScheme: { name: string; bands: { letter: string }[] };
+    statistics: {
+        totalStudents: number;
+        average: number;
+        highest: number;
+        lowest: number;
+        passRate: number;
+        missingMarks: number;
+        studentsWithMissingMarks: number;
+        distribution: { [grade: string]: number };
+    };
+    lecturers: Lecturer[];
+    history: StatusHistoryEntry[];
+}
+
+const ALL_STATUSES = 'all';
+
+// Moderator actions offered for each results status
+const STATUS_ACTIONS: { [status: string]: { to: string; label: string }[] } = {
+    submitted: [{ to: 'approved', label: 'Approve' }, { to: 'draft', label: 'Return to Lecturer' }],
+    approved: [{ to: 'published', label: 'Publish' }, { to: 'draft', label: 'Return to Lecturer' }],
+    published: [{ to: 'draft', label: 'Reopen' }]
+};
+
+const ModerationPanel = () => {
+    const { offerings, fetchOfferings } = useAdminOfferings();
+    const { moderation, lecturers, loading, error, fetchModeration, fetchLecturers, changeStatus, reassignLecturers } = useModeration();
+
+    const [statusFilter, setStatusFilter] = useState<string>('submitted');
+    const [selectedOfferingId, setSelectedOfferingId] = useState<string | null>(null);
+    const [comment, setComment] = useState('');
+    const [assignedIds, setAssignedIds] = useState<string[]>([]);
+
+    useEffect(() => {
+        fetchOfferings(statusFilter === ALL_STATUSES ? undefined : statusFilter);
+    }, [fetchOfferings, statusFilter]);
+
+    useEffect(() => {
+        fetchLecturers();
+    }, [fetchLecturers]);
+
+    const data = moderation as Moderation | null;
+
+    useEffect(() => {
+        setAssignedIds(data ? data.lecturers.map(l => l.id) : []);
+    }, [data]);
+
+    const handleReview = (offeringId: string) => {
+        setSelectedOfferingId(offeringId);
+        setComment('');
+        fetchModeration(offeringId);
+    };
+
+    const handleStatusChange = async (to: string) => {
+        if (!selectedOfferingId) return;
+        if (await changeStatus(selectedOfferingId, to, comment)) {
+            setComment('');
+            fetchOfferings(statusFilter === ALL_STATUSES ? undefined : statusFilter);
+        }
+    };
+
+    const toggleLecturer = (lecturerId: string, checked: boolean) => {
+        setAssignedIds(prev => (checked ? [...prev, lecturerId] : prev.filter(id => id !== lecturerId)));
+    };
+
+    const handleSaveLecturers = async () => {
+        if (!selectedOfferingId) return;
+        if (await reassignLecturers(selectedOfferingId, assignedIds)) {
+            fetchOfferings(statusFilter === ALL_STATUSES ? undefined : statusFilter);
+        }
+    };
+
+    // Grades in scheme order, with anything the scheme cannot grade last
+    const distribution = data
+        ? [...data.gradeScheme.bands.map(b => b.letter), 'Ungraded']
+            .map(letter => ({ letter, count: data.statistics.distribution[letter] || 0 }))
+            .filter(entry => entry.letter !== 'Ungraded' || entry.count > 0)
+        : [];
+    const maxCount = Math.max(1, ...distribution.map(entry => entry.count));
+    const actions = data ? STATUS_ACTIONS[data.offering.resultsStatus] || [] : [];
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader className="flex flex-row justify-between items-center">
+                    <CardTitle>Results Moderation</CardTitle>
+                    <Select onValueChange={setStatusFilter} value={statusFilter}>
+                        <SelectTrigger className="w-48">
+                            <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                            <SelectItem value="submitted">Awaiting approval</SelectItem>
+                            <SelectItem value="approved">Approved</SelectItem>
+                            <SelectItem value="published">Published</SelectItem>
+                            <SelectItem value="draft">Draft</SelectItem>
+                            <SelectItem value={ALL_STATUSES}>All offerings</SelectItem>
+                        </SelectContent>
+                    </Select>
+                </CardHeader>
+                <CardContent>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>Offering</TableHead>
+                                <TableHead>Lecturers</TableHead>
+                                <TableHead>Status</TableHead>
+                                <TableHead>Last Changed</TableHead>
+                                <TableHead />
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {(offerings as AdminOffering[]).map(offering => (
+                                <TableRow key={offering.id} className={offering.id === selectedOfferingId ? 'bg-blue-50' : ''}>
+                                    <TableCell>
+                                        <span className="font-medium block">{offering.courseCode} - {offering.title}</span>
+                                        <span className="text-xs text-gray-500">{offering.term} {offering.year}</span>
+                                    </TableCell>
+                                    <TableCell className="text-sm">
+                                        {offering.lecturers.map(l => l.fullName).join(', ') || <span className="text-gray-400">Unassigned</span>}
+                                    </TableCell>
+                                    <TableCell><ResultsStatusBadge status={offering.resultsStatus} /></TableCell>
+                                    <TableCell className="text-sm text-gray-500">
+                                        {offering.statusChangedAt ? new Date(offering.statusChangedAt).toLocaleString() : '-'}
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        <Button variant="outline" size="sm" onClick={() => handleReview(offering.id)}>Review</Button>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                            {offerings.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={5} className="text-center text-gray-500">No offerings found.</TableCell>
+                                </TableRow>
+                            )}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+
+            {selectedOfferingId && (
+                <Card>
+                    <CardHeader>
+                        <div className="flex items-center gap-2">
+                            <CardTitle>
+                                {data ? `${data.offering.courseCode} - ${data.offering.title}` : 'Loading...'}
+                            </CardTitle>
+                            {data && <ResultsStatusBadge status={data.offering.resultsStatus} />}
+                        </div>
+                        {data && (
+                            <p className="text-sm text-gray-500">
+                                {data.offering.term} {data.offering.year} · Graded with {data.gradeScheme.name}
+                            </p>
+                        )}
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        {error && <p className="text-red-500">{error}</p>}
+
+                        {data && (
+                            <>
+                                <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                                    <div className="p-3 bg-gray-50 rounded">
+                                        <p className="text-xs text-gray-500">Students</p>
+                                        <p className="text-xl font-bold">{data.statistics.totalStudents}</p>
+                                    </div>
+                                    <div className="p-3 bg-gray-50 rounded">
+                                        <p className="text-xs text-gray-500">Average</p>
+                                        <p className="text-xl font-bold">{data.statistics.average}%</p>
+                                    </div>
+                                    <div className="p-3 bg-gray-50 rounded">
+                                        <p className="text-xs text-gray-500">Range</p>
+                                        <p className="text-xl font-bold">{data.statistics.lowest}–{data.statistics.highest}%</p>
+                                    </div>
+                                    <div className="p-3 bg-gray-50 rounded">
+                                        <p className="text-xs text-gray-500">Pass Rate</p>
+                                        <p className="text-xl font-bold">{data.statistics.passRate}%</p>
+                                    </div>
+                                    <div className={`p-3 rounded ${data.statistics.missingMarks > 0 ? 'bg-amber-50' : 'bg-gray-50'}`}>
+                                        <p className="text-xs text-gray-500">Missing Marks</p>
+                                        <p className="text-xl font-bold">{data.statistics.missingMarks}</p>
+                                        {data.statistics.studentsWithMissingMarks > 0 && (
+                                            <p className="text-xs text-amber-700">{data.statistics.studentsWithMissingMarks} students</p>
+                                        )}
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <h3 className="font-semibold mb-2">Grade Distribution</h3>
+                                    <div className="space-y-1">
+                                        {distribution.map(entry => (
+                                            <div key={entry.letter} className="flex items-center gap-2 text-sm">
+                                                <span className="w-20">{entry.letter}</span>
+                                                <div className="flex-1 bg-gray-100 rounded h-4">
+                                                    <div
+                                                        className={`h-4 rounded ${entry.letter === 'Ungraded' ? 'bg-red-400' : 'bg-blue-500'}`}
+                                                        style={{ width: `${(entry.count / maxCount) * 100}%` }}
+                                                    />
+                                                </div>
+                                                <span className="w-20 text-right text-gray-600">
+                                                    {entry.count}
+                                                    {data.statistics.totalStudents > 0 && ` (${Math.round((entry.count / data.statistics.totalStudents) * 100)}%)`}
+                                                </span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <h3 className="font-semibold mb-2">Moderation</h3>
+                                    {actions.length > 0 ? (
+                                        <div className="space-y-2">
+                                            <Textarea
+                                                value={comment}
+                                                onChange={(e) => setComment(e.target.value)}
+                                                placeholder="Comment for the lecturer (required when returning results)"
+                                            />
+                                            <div className="flex gap-2">
+                                                {actions.map(action => (
+                                                    <Button
+                                                        key={action.to}
+                                                        variant={action.to === 'draft' ? 'outline' : 'default'}
+                                                        onClick={() => handleStatusChange(action.to)}
+                                                        disabled={loading || (action.to === 'draft' && !comment.trim())}
+                                                    >
+                                                        {action.label}
+                                                    </Button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    ) : (
+                                        <p className="text-sm text-gray-500">These results are still a draft. They can be moderated once the lecturer submits them.</p>
+                                    )}
+                                </div>
+
+                                <div>
+                                    <h3 className="font-semibold mb-2">Assigned Lecturers</h3>
+                                    <div className="grid sm:grid-cols-2 gap-2 mb-2">
+                                        {(lecturers as Lecturer[]).map(lecturer => (
+                                            <div key={lecturer.id} className="flex items-center gap-2">
+                                                <Checkbox
+                                                    id={`lecturer-${lecturer.id}`}
+                                                    checked={assignedIds.includes(lecturer.id)}
+                                                    onCheckedChange={(checked) => toggleLecturer(lecturer.id, checked === true)}
+                                                />
+                                                <Label htmlFor={`lecturer-${lecturer.id}`}>
+                                                    {lecturer.fullName}{lecturer.staffNo ? ` (${lecturer.staffNo})` : ''}
+                                                </Label>
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <Button variant="outline" size="sm" onClick={handleSaveLecturers} disabled={loading}>
+                                        Save Assignment
+                                    </Button>
+                                </div>
+
+                                <div>
+                                    <h3 className="font-semibold mb-2">Status History</h3>
+                                    {data.history.length === 0 && <p className="text-sm text-gray-500">No status changes yet.</p>}
+                                    <ol className="space-y-3">
+                                        {data.history.map((entry, index) => (
+                                            <li key={index} className="border-l-2 border-blue-200 pl-3 text-sm">
+                                                <p className="font-medium">{entry.from} → {entry.to}</p>
+                                                <p className="text-xs text-gray-500">
+                                                    {entry.changedBy?.fullName || 'Unknown'} · {new Date(entry.changedAt).toLocaleString()}
+                                                </p>
+                                                {entry.comment && <p className="text-xs text-gray-600 italic">{entry.comment}</p>}
+                                            </li>
+                                        ))}
+                                    </ol>
+                                </div>
+                            </>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+};
+
+export default ModerationPanel;
@@ -0,0 +1,28 @@
+import { Button } from '@/components/ui/button';
+
+// One-time display of freshly issued recovery codes, with a download for safekeeping
+const RecoveryCodes = ({ codes }: { codes: string[] }) => {
+    const handleDownload = () => {
+        const blob = new Blob([`Gradely recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'gradely-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="space-y-2">
+            <p className="text-sm text-gray-600">
+                Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your phone. They will not be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-1 bg-gray-50 p-3 rounded font-mono text-sm">
+                {codes.map(code => <li key={code}>{code}</li>)}
+            </ul>
+            <Button type="button" variant="outline" size="sm" onClick={handleDownload}>Download codes</Button>
+        </div>
+    );
+};
+
+export default RecoveryCodes;
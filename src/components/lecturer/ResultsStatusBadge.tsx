@@ -0,0 +1,15 @@
+import { Badge } from '@/components/ui/badge';
+
+const STATUS_STYLES: { [status: string]: { label: string; className: string } } = {
+    draft: { label: 'Draft', className: 'bg-gray-100 text-gray-700 hover:bg-gray-100' },
+    submitted: { label: 'Submitted for moderation', className: 'bg-amber-100 text-amber-800 hover:bg-amber-100' },
+    approved: { label: 'Approved', className: 'bg-blue-100 text-blue-800 hover:bg-blue-100' },
+    published: { label: 'Published', className: 'bg-green-100 text-green-800 hover:bg-green-100' }
+};
+
+const ResultsStatusBadge = ({ status }: { status?: string }) => {
+    const style = STATUS_STYLES[status || 'draft'] || STATUS_STYLES.draft;
+    return <Badge className={style.className}>{style.label}</Badge>;
+};
+
+export default ResultsStatusBadge;
@@ -1,10 +1,12 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useLecturerData, useMarks } from '@/hooks/useLecturer';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import MarkHistoryPopover from '@/components/lecturer/MarkHistoryPopover';
 
 const StudentList = () => {
     const {
@@ -17,11 +19,16 @@ const StudentList = () => {
         fetchStudents
     } = useLecturerData();
 
-    const { submitMarks, fetchMarks, exportCsv, loading: submitting } = useMarks();
+    const { submitMarks, fetchMarks, exportMarks, loading: submitting, error: submitError } = useMarks();
     const [selectedAssessmentId, setSelectedAssessmentId] = useState<string | null>(null);
     const [marks, setMarks] = useState<{ [key: string]: string }>({});
     const [existingMarks, setExistingMarks] = useState<any[]>([]);
     const [successMessage, setSuccessMessage] = useState<string | null>(null);
+    const [rowErrors, setRowErrors] = useState<{ [studentId: string]: string }>({});
+    const rowErrorsRef = useRef(rowErrors);
+    rowErrorsRef.current = rowErrors;
+    const [saveValidRows, setSaveValidRows] = useState(false);
+    const [changeReason, setChangeReason] = useState('');
 
     useEffect(() => {
         fetchOfferings();
@@ -33,6 +40,8 @@ const StudentList = () => {
         setSelectedAssessmentId(null);
         setMarks({});
         setSuccessMessage(null);
+        setRowErrors({});
+        rowErrorsRef.current = {};
         setExistingMarks([]); // Clear previous marks immediately
 
         // Fetch existing marks
@@ -50,7 +59,14 @@ const StudentList = () => {
             assessmentMarks.forEach((m: any) => {
                 newMarks[m.studentId] = m.score.toString();
             });
-            setMarks(newMarks);
+            // Keep what was typed for students whose marks the server refused
+            setMarks(prev => {
+                const kept: { [key: string]: string } = {};
+                Object.keys(rowErrorsRef.current).forEach(studentId => {
+                    if (prev[studentId] !== undefined) kept[studentId] = prev[studentId];
+                });
+                return { ...newMarks, ...kept };
+            });
         } else {
             setMarks({});
         }
@@ -58,10 +74,15 @@ const StudentList = () => {
 
     const handleMarkChange = (studentId: string, value: string) => {
         setMarks(prev => ({ ...prev, [studentId]: value }));
+        setRowErrors(prev => {
+            const { [studentId]: _, ...rest } = prev;
+            return rest;
+        });
     };
 
     const selectedOffering = offerings.find((o: any) => o.id === selectedOfferingId);
     const selectedAssessment = selectedOffering?.assessments?.find((a: any) => a._id === selectedAssessmentId);
+    const resultsLocked = Boolean(selectedOffering?.resultsStatus && selectedOffering.resultsStatus !== 'draft');
 
     const handleSubmitMarks = async () => {
         if (!selectedOfferingId || !selectedAssessmentId) return;
@@ -83,7 +104,8 @@ const StudentList = () => {
                 assessmentId: selectedAssessmentId,
                 studentId,
                 score: Number(score),
-                offeringId: selectedOfferingId
+                offeringId: selectedOfferingId,
+                ...(changeReason.trim() && { reason: changeReason.trim() })
             }));
 
         if (marksData.length === 0) {
@@ -91,23 +113,34 @@ const StudentList = () => {
             return;
         }
 
-        const result = await submitMarks(marksData);
-        if (result.success) {
-            setSuccessMessage('Marks submitted successfully!');
+        setRowErrors({});
+        const result = await submitMarks(marksData, { atomic: !saveValidRows });
+
+        const errors: { [studentId: string]: string } = {};
+        (result.rejected || []).forEach((r: { studentId: string; message: string }) => {
+            errors[r.studentId] = r.message;
+        });
+        setRowErrors(errors);
+        rowErrorsRef.current = errors;
+
+        const summary = result.data?.summary;
+        if (summary) {
+            setChangeReason('');
+            setSuccessMessage(`Saved marks: ${summary.created} new, ${summary.updated} updated, ${summary.unchanged} unchanged.`);
             setTimeout(() => setSuccessMessage(null), 3000);
             // Refresh marks to ensure we have the latest
             const refreshResult = await fetchMarks(selectedOfferingId);
             if (refreshResult.success) {
                 setExistingMarks(refreshResult.data);
             }
-        } else {
+        } else if (Object.keys(errors).length === 0) {
             alert('Failed to submit marks: ' + result.error);
         }
     };
 
-    const handleExport = async () => {
+    const handleExport = async (format: 'csv' | 'xlsx') => {
         if (!selectedOfferingId) return;
-        await exportCsv(selectedOfferingId);
+        await exportMarks(selectedOfferingId, format);
     };
 
     return (
@@ -140,16 +173,28 @@ const StudentList = () => {
                     <CardHeader>
                         <div className="flex justify-between items-center">
                             <CardTitle>2. Enrolled Students ({students.length})</CardTitle>
-                            <Button variant="outline" size="sm" onClick={handleExport}>
-                                Export Results (CSV)
-                            </Button>
+                            <div className="flex gap-2">
+                                <Button variant="outline" size="sm" onClick={() => handleExport('csv')}>
+                                    Export Results (CSV)
+                                </Button>
+                                <Button variant="outline" size="sm" onClick={() => handleExport('xlsx')}>
+                                    Export Results (Excel)
+                                </Button>
+                            </div>
                         </div>
                     </CardHeader>
                     <CardContent>
                         {/* Assessment Selector */}
                         <div className="mb-6 p-4 bg-gray-50 rounded-lg border">
                             <Label className="mb-2 block font-medium">Select Assessment to Grade</Label>
-                            <Select onValueChange={setSelectedAssessmentId} value={selectedAssessmentId || ''}>
+                            <Select
+                                onValueChange={(assessmentId) => {
+                                    setRowErrors({});
+                                    rowErrorsRef.current = {};
+                                    setSelectedAssessmentId(assessmentId);
+                                }}
+                                value={selectedAssessmentId || ''}
+                            >
                                 <SelectTrigger className="w-full bg-white">
                                     <SelectValue placeholder="-- Choose Assessment --" />
                                 </SelectTrigger>
@@ -173,15 +218,27 @@ const StudentList = () => {
 
                         {loading && <p>Loading students...</p>}
                         {error && <p className="text-red-500">{error}</p>}
+                        {submitError && <p className="text-red-500">{submitError}</p>}
                         {successMessage && <div className="bg-green-100 text-green-800 p-3 rounded mb-4">{successMessage}</div>}
+                        {resultsLocked && (
+                            <div className="bg-amber-100 text-amber-800 p-3 rounded mb-4">
+                                Results for this offering are {selectedOffering.resultsStatus}. Marks are locked until they are returned to draft.
+                            </div>
+                        )}
+                        {Object.keys(rowErrors).length > 0 && (
+                            <div className="bg-red-100 text-red-800 p-3 rounded mb-4">
+                                {Object.keys(rowErrors).length} mark(s) were not saved. The affected students are highlighted below.
+                            </div>
+                        )}
 
                         <div className="border rounded-md divide-y">
                             {students.map((student: any) => {
                                 const currentScore = marks[student.id] ? Number(marks[student.id]) : 0;
                                 const isInvalid = selectedAssessment && currentScore > selectedAssessment.maxScore;
+                                const rowError = rowErrors[student.id];
 
                                 return (
-                                    <div key={student.id} className="p-3 hover:bg-gray-50 flex justify-between items-center">
+                                    <div key={student.id} className={`p-3 flex justify-between items-center ${rowError ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
                                         <div>
                                             <span className="font-medium block">{student.fullName || student.name}</span>
                                             <span className="text-gray-500 text-sm">{student.email}</span>
@@ -194,17 +251,25 @@ const StudentList = () => {
                                                     <Label className="text-sm text-gray-600">Score:</Label>
                                                     <Input
                                                         type="number"
-                                                        className={`w-24 text-right ${isInvalid ? 'border-red-500 bg-red-50' : ''}`}
+                                                        className={`w-24 text-right ${isInvalid || rowError ? 'border-red-500 bg-red-50' : ''}`}
                                                         placeholder={`/ ${selectedAssessment?.maxScore}`}
                                                         min="0"
                                                         max={selectedAssessment?.maxScore}
                                                         value={marks[student.id] || ''}
                                                         onChange={(e) => handleMarkChange(student.id, e.target.value)}
                                                     />
+                                                    <MarkHistoryPopover
+                                                        offeringId={selectedOfferingId}
+                                                        studentId={student.id}
+                                                        assessmentId={selectedAssessmentId}
+                                                    />
                                                 </div>
                                                 {isInvalid && (
                                                     <span className="text-xs text-red-500">Max is {selectedAssessment.maxScore}</span>
                                                 )}
+                                                {rowError && !isInvalid && (
+                                                    <span className="text-xs text-red-500">{rowError}</span>
+                                                )}
                                             </div>
                                         )}
                                     </div>
@@ -216,8 +281,24 @@ const StudentList = () => {
                         </div>
 
                         {selectedAssessmentId && students.length > 0 && (
-                            <div className="mt-6 flex justify-end">
-                                <Button onClick={handleSubmitMarks} disabled={submitting}>
+                            <div className="mt-6 flex justify-end items-center gap-4">
+                                <Input
+                                    className="max-w-xs"
+                                    placeholder="Reason for change (optional)"
+                                    value={changeReason}
+                                    onChange={(e) => setChangeReason(e.target.value)}
+                                />
+                                <div className="flex items-center gap-2">
+                                    <Checkbox
+                                        id="save-valid-rows"
+                                        checked={saveValidRows}
+                                        onCheckedChange={(checked) => setSaveValidRows(checked === true)}
+                                    />
+                                    <Label htmlFor="save-valid-rows" className="text-sm text-gray-600">
+                                        Save valid marks even if some are rejected
+                                    </Label>
+                                </div>
+                                <Button onClick={handleSubmitMarks} disabled={submitting || resultsLocked}>
                                     {submitting ? 'Submitting...' : 'Submit Marks'}
                                 </Button>
                             </div>
@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { useTwoFactor } from '@/hooks/useLecturer';
+import TwoFactorSetup from '@/components/lecturer/TwoFactorSetup';
+import RecoveryCodes from '@/components/lecturer/RecoveryCodes';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+
+interface TwoFactorStatus {
+    enabled: boolean;
+    required: boolean;
+    recoveryCodesRemaining: number;
+}
+
+// The signed-in user's own two-factor settings
+const TwoFactorSettings = () => {
+    const { status, loading, error, fetchStatus, disable, regenerateRecoveryCodes } = useTwoFactor();
+
+    const [enrolling, setEnrolling] = useState(false);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [newCodes, setNewCodes] = useState<string[] | null>(null);
+
+    useEffect(() => {
+        fetchStatus();
+    }, [fetchStatus]);
+
+    const current = status as TwoFactorStatus | null;
+
+    const handleRegenerate = async () => {
+        const codes = await regenerateRecoveryCodes(code);
+        if (codes) {
+            setNewCodes(codes);
+            setCode('');
+        }
+    };
+
+    const handleDisable = async () => {
+        if (await disable({ password, code })) {
+            setPassword('');
+            setCode('');
+        }
+    };
+
+    if (!current) {
+        return <p className="text-sm text-gray-500">{loading ? 'Loading...' : error}</p>;
+    }
+
+    if (enrolling) {
+        return (
+            <TwoFactorSetup
+                onComplete={() => {
+                    setEnrolling(false);
+                    fetchStatus();
+                }}
+                onCancel={() => setEnrolling(false)}
+            />
+        );
+    }
+
+    if (!current.enabled) {
+        return (
+            <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                    Two-factor authentication is off. Turn it on to require a code from your phone when you sign in.
+                </p>
+                <Button onClick={() => setEnrolling(true)}>Set Up Two-Factor Authentication</Button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            <p className="text-sm text-green-700 font-medium">
+                Two-factor authentication is on{current.required ? ' (required by your administrator)' : ''}.
+            </p>
+            <p className={`text-sm ${current.recoveryCodesRemaining <= 2 ? 'text-amber-700' : 'text-gray-600'}`}>
+                {current.recoveryCodesRemaining} recovery codes left.
+            </p>
+
+            {newCodes && <RecoveryCodes codes={newCodes} />}
+
+            <div className="space-y-2">
+                <Label htmlFor="two-factor-code">Current code from your app</Label>
+                <Input id="two-factor-code" inputMode="numeric" maxLength={6} value={code} onChange={(e) => setCode(e.target.value)} />
+            </div>
+            <Button variant="outline" onClick={handleRegenerate} disabled={code.length !== 6}>
+                New Recovery Codes
+            </Button>
+
+            {!current.required && (
+                <div className="space-y-2 border-t pt-4">
+                    <Label htmlFor="two-factor-password">Password</Label>
+                    <Input id="two-factor-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+                    <Button variant="outline" className="text-red-600" onClick={handleDisable} disabled={!password || code.length !== 6}>
+                        Turn Off Two-Factor Authentication
+                    </Button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
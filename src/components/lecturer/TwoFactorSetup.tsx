@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { enableTwoFactor, setupTwoFactor } from '@/services/lecturerApi';
+import RecoveryCodes from '@/components/lecturer/RecoveryCodes';
+import { Button } from '@/components/ui/button';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+
+interface TwoFactorSession {
+    token: string;
+    refreshToken: string;
+    user: { id: string; email: string; fullName: string; role: string };
+}
+
+interface TwoFactorSetupProps {
+    // Present when enrolment is enforced during login
+    challengeToken?: string;
+    onComplete: (session?: TwoFactorSession) => void;
+    onCancel?: () => void;
+}
+
+// Enrol an authenticator app: show the secret, confirm a code, then hand out recovery codes
+const TwoFactorSetup = ({ challengeToken, onComplete, onCancel }: TwoFactorSetupProps) => {
+    const [secret, setSecret] = useState('');
+    const [otpauthUri, setOtpauthUri] = useState('');
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+    const [session, setSession] = useState<TwoFactorSession | undefined>(undefined);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const started = useRef(false);
+
+    // Each setup call replaces the pending secret, so only start once
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+        const start = async () => {
+            try {
+                const response = await setupTwoFactor(challengeToken);
+                setSecret(response.data.secret);
+                setOtpauthUri(response.data.otpauthUri);
+            } catch (err) {
+                setError(err instanceof Error ? err.message : 'Could not start two-factor setup.');
+            }
+        };
+        start();
+    }, [challengeToken]);
+
+    const handleEnable = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            const response = await enableTwoFactor(code, challengeToken);
+            setRecoveryCodes(response.data.recoveryCodes);
+            if (response.data.token) {
+                setSession({ token: response.data.token, refreshToken: response.data.refreshToken, user: response.data.user });
+            }
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Invalid verification code.');
+            setCode('');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (recoveryCodes) {
+        return (
+            <div className="space-y-4">
+                <p className="font-medium text-green-700">Two-factor authentication is on.</p>
+                <RecoveryCodes codes={recoveryCodes} />
+                <Button className="w-full" onClick={() => onComplete(session)}>Continue</Button>
+            </div>
+        );
+    }
+
+    return (
+        <form onSubmit={handleEnable} className="space-y-4">
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            <ol className="list-decimal pl-5 space-y-3 text-sm text-gray-700">
+                <li>
+                    Add Gradely to an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password…).
+                    {otpauthUri && (
+                        <>
+                            {' '}On your phone, <a href={otpauthUri} className="text-blue-600 hover:underline">open this link</a>, or enter this key manually:
+                            <span className="block mt-1 font-mono text-xs bg-gray-50 p-2 rounded break-all select-all">
+                                {secret.match(/.{1,4}/g)?.join(' ')}
+                            </span>
+                        </>
+                    )}
+                </li>
+                <li>Enter the six-digit code the app shows.</li>
+            </ol>
+            <div className="flex justify-center">
+                <InputOTP maxLength={6} value={code} onChange={setCode}>
+                    <InputOTPGroup>
+                        {[0, 1, 2, 3, 4, 5].map(index => <InputOTPSlot key={index} index={index} />)}
+                    </InputOTPGroup>
+                </InputOTP>
+            </div>
+            <div className="flex gap-2">
+                {onCancel && <Button type="button" variant="outline" className="flex-1" onClick={onCancel}>Cancel</Button>}
+                <Button type="submit" className="flex-1" disabled={loading || code.length !== 6 || !secret}>
+                    {loading ? 'Verifying...' : 'Turn On'}
+                </Button>
+            </div>
+        </form>
+    );
+};
+
+export default TwoFactorSetup;
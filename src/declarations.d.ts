@@ -1,2 +1,4 @@
 declare module '@/hooks/useLecturer';
 declare module '@/services/lecturerApi';
+declare module '@/utils/printing';
+declare module '@/utils/grading';
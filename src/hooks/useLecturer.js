@@ -7,8 +7,19 @@
 import { useState, useEffect, useCallback } from 'react';
 import lecturerApi from '../services/lecturerApi.js';
 
+// Turn a failed login response into a message for the login screen
+const describeLoginError = (err) => {
+  if (err.data?.code === 'ACCOUNT_LOCKED') {
+    return `Account locked until ${new Date(err.data.lockedUntil).toLocaleString()} after too many failed login attempts.`;
+  }
+  return err.message || 'Login failed';
+};
+
 /**
  * Hook for lecturer authentication
+ * When an account uses two-factor authentication, `login` resolves false and sets
+ * `twoFactorChallenge` ({ challengeToken, setupRequired }); finish with
+ * `verifyTwoFactor`, or `completeTwoFactorSetup` once enrolment is done.
  * @returns {Object} Authentication state and methods
  */
 export const useAuth = () => {
@@ -16,22 +27,61 @@ export const useAuth = () => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   useEffect(() => {
-    const token = lecturerApi.getAuthToken();
-    const storedUser = localStorage.getItem('lecturer_user');
-    if (token && storedUser) {
-      setIsAuthenticated(true);
-      setUser(JSON.parse(storedUser));
-    }
-    setLoading(false);
+    let cancelled = false;
+
+    // Trust a stored session only while its access token is valid; otherwise try to refresh it
+    const restoreSession = async () => {
+      const token = lecturerApi.getAuthToken();
+      const storedUser = localStorage.getItem('lecturer_user');
+      if (token && storedUser && !lecturerApi.isTokenExpired(token)) {
+        setIsAuthenticated(true);
+        setUser(JSON.parse(storedUser));
+      } else if (lecturerApi.getRefreshToken()) {
+        try {
+          const session = await lecturerApi.refreshSession();
+          if (!cancelled) {
+            setIsAuthenticated(true);
+            setUser(session.user);
+          }
+        } catch {
+          lecturerApi.clearAuthSession();
+        }
+      } else if (token) {
+        lecturerApi.clearAuthSession();
+      }
+      if (!cancelled) setLoading(false);
+    };
+
+    const handleExpired = () => {
+      setIsAuthenticated(false);
+      setUser(null);
+    };
+
+    restoreSession();
+    window.addEventListener(lecturerApi.SESSION_EXPIRED_EVENT, handleExpired);
+    return () => {
+      cancelled = true;
+      window.removeEventListener(lecturerApi.SESSION_EXPIRED_EVENT, handleExpired);
+    };
   }, []);
 
   const login = useCallback(async (email, password) => {
     setLoading(true);
     setError(null);
+    setErrorCode(null);
     try {
       const response = await lecturerApi.loginLecturer({ email, password });
+      if (response.success && (response.data.twoFactorRequired || response.data.twoFactorSetupRequired)) {
+        setTwoFactorChallenge({
+          challengeToken: response.data.challengeToken,
+          setupRequired: Boolean(response.data.twoFactorSetupRequired),
+        });
+        return false;
+      }
       if (response.success) {
         setIsAuthenticated(true);
         setUser(response.data.user);
@@ -40,15 +90,53 @@ export const useAuth = () => {
       setError('Login failed');
       return false;
     } catch (err) {
-      setError(err.message || 'Login failed');
+      setErrorCode(err.data?.code || null);
+      setError(describeLoginError(err));
       return false;
     } finally {
       setLoading(false);
     }
   }, []);
 
-  const logout = useCallback(() => {
-    lecturerApi.logoutLecturer();
+  const verifyTwoFactor = useCallback(async (answer) => {
+    if (!twoFactorChallenge) return false;
+    setLoading(true);
+    setError(null);
+    setErrorCode(null);
+    try {
+      const response = await lecturerApi.verifyTwoFactorLogin(twoFactorChallenge.challengeToken, answer);
+      setTwoFactorChallenge(null);
+      setIsAuthenticated(true);
+      setUser(response.data.user);
+      return true;
+    } catch (err) {
+      setErrorCode(err.data?.code || null);
+      setError(describeLoginError(err));
+      // An expired challenge or a locked account means starting again from the password
+      if (err.data?.code === 'CHALLENGE_EXPIRED' || err.data?.code === 'ACCOUNT_LOCKED') {
+        setTwoFactorChallenge(null);
+      }
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  }, [twoFactorChallenge]);
+
+  // Called with the session returned by enableTwoFactor when enrolment was enforced at login
+  const completeTwoFactorSetup = useCallback((session) => {
+    setTwoFactorChallenge(null);
+    setIsAuthenticated(true);
+    setUser(session.user);
+  }, []);
+
+  const cancelTwoFactor = useCallback(() => {
+    setTwoFactorChallenge(null);
+    setError(null);
+    setErrorCode(null);
+  }, []);
+
+  const logout = useCallback(async (options) => {
+    await lecturerApi.logoutLecturer(options);
     setIsAuthenticated(false);
     setUser(null);
   }, []);
@@ -67,7 +155,20 @@ export const useAuth = () => {
     }
   }, []);
 
-  return { isAuthenticated, user, loading, error, login, logout, register };
+  return {
+    isAuthenticated,
+    user,
+    loading,
+    error,
+    errorCode,
+    twoFactorChallenge,
+    login,
+    verifyTwoFactor,
+    completeTwoFactorSetup,
+    cancelTwoFactor,
+    logout,
+    register,
+  };
 };
 
 /**
@@ -126,31 +227,38 @@ export const useMarks = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const submitMarks = useCallback(async (marksData) => {
+  const submitMarks = useCallback(async (marksData, options = {}) => {
     setLoading(true);
     setError(null);
     try {
       // marksData should be array of { assessmentId, studentId, score, offeringId }
-      const response = await lecturerApi.submitMarksBatch(marksData);
-      return { success: true, data: response };
+      const response = await lecturerApi.submitMarksBatch(marksData, options);
+      // A non-atomic batch can partly succeed: the report lists the refused rows
+      return {
+        success: response.success,
+        data: response,
+        error: response.success ? null : `${response.summary.rejected} marks could not be saved`,
+        rejected: response.rejected || [],
+      };
     } catch (err) {
       setError(err.message);
-      return { success: false, error: err.message };
+      // Rows refused by the server come back as { index, studentId, code, message }
+      return { success: false, error: err.message, rejected: err.data?.rejected || [] };
     } finally {
       setLoading(false);
     }
   }, []);
 
-  const exportCsv = useCallback(async (offeringId) => {
+  const exportMarks = useCallback(async (offeringId, format = 'csv') => {
     try {
-      const csv = await lecturerApi.exportMarksCsv(offeringId);
+      const blob = await lecturerApi.exportMarks(offeringId, format);
       // Trigger download
-      const blob = new Blob([csv], { type: 'text/csv' });
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.href = url;
-      a.download = `marks_offering_${offeringId}.csv`;
+      a.download = `marks_offering_${offeringId}.${format}`;
       a.click();
+      window.URL.revokeObjectURL(url);
       return true;
     } catch (err) {
       setError(err.message);
@@ -158,6 +266,8 @@ export const useMarks = () => {
     }
   }, []);
 
+  const exportCsv = useCallback((offeringId) => exportMarks(offeringId, 'csv'), [exportMarks]);
+
   const fetchMarks = useCallback(async (offeringId) => {
     try {
       const data = await lecturerApi.fetchMarksByOffering(offeringId);
@@ -169,22 +279,588 @@ export const useMarks = () => {
     }
   }, []);
 
-  return { loading, error, submitMarks, fetchMarks, exportCsv };
+  return { loading, error, submitMarks, fetchMarks, exportMarks, exportCsv };
+};
+
+/**
+ * Hook for importing marks from CSV or xlsx: preview the changes, then apply them
+ * @returns {Object} Preview state and methods
+ */
+export const useMarksImport = () => {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // content is CSV text or an .xlsx File
+  const previewImport = useCallback(async (offeringId, content) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await lecturerApi.importMarks(offeringId, content, { dryRun: true });
+      setPreview(response);
+      return { success: true, data: response };
+    } catch (err) {
+      setPreview(null);
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const applyImport = useCallback(async (offeringId, content, reason) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await lecturerApi.importMarks(offeringId, content, { dryRun: false, reason });
+      setPreview(null);
+      return { success: true, data: response };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    setPreview(null);
+    setError(null);
+  }, []);
+
+  return { preview, loading, error, previewImport, applyImport, reset };
+};
+
+/**
+ * Hook for the change history of a student's marks
+ * @returns {Object} History state and methods
+ */
+export const useMarkHistory = () => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = useCallback(async (offeringId, studentId, assessmentId) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await lecturerApi.fetchMarkHistory(offeringId, studentId, assessmentId);
+      setHistory(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { history, loading, error, fetchHistory };
+};
+
+/**
+ * Hook for an offering's computed results
+ * @returns {Object} Results state and methods
+ */
+export const useResults = () => {
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchResults = useCallback(async (offeringId) => {
+    if (!offeringId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await lecturerApi.fetchResults(offeringId);
+      setResults(data);
+    } catch (err) {
+      setResults(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const changeStatus = useCallback(async (offeringId, status, comment) => {
+    setError(null);
+    try {
+      const response = await lecturerApi.updateResultsStatus(offeringId, status, comment);
+      setResults(prev => prev && {
+        ...prev,
+        offering: { ...prev.offering, resultsStatus: response.data.resultsStatus },
+      });
+      return { success: true, data: response.data };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  return { results, loading, error, fetchResults, changeStatus };
+};
+
+/**
+ * Hook for managing an offering's assessment breakdown
+ * @returns {Object} Assessments state and methods
+ */
+export const useAssessments = () => {
+  const [assessments, setAssessments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchAssessments = useCallback(async (offeringId) => {
+    if (!offeringId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await lecturerApi.fetchAssessments(offeringId);
+      setAssessments(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const saveAssessments = useCallback(async (offeringId, list, options = {}) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await lecturerApi.saveAssessments(offeringId, list, options);
+      setAssessments(response.data || []);
+      return { success: true, data: response.data };
+    } catch (err) {
+      setError(err.message);
+      return {
+        success: false,
+        error: err.message,
+        code: err.data?.code,
+        assessmentIds: err.data?.assessmentIds || [],
+      };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { assessments, loading, error, fetchAssessments, saveAssessments };
+};
+
+/**
+ * Hook for managing named grade schemes
+ * @returns {Object} Grade scheme state and methods
+ */
+export const useGradeSchemes = () => {
+  const [schemes, setSchemes] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSchemes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await lecturerApi.fetchGradeSchemes();
+      setSchemes(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const saveScheme = useCallback(async (scheme) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { id, ...body } = scheme;
+      const response = id
+        ? await lecturerApi.updateGradeScheme(id, body)
+        : await lecturerApi.createGradeScheme(body);
+      const data = await lecturerApi.fetchGradeSchemes();
+      setSchemes(data || []);
+      return { success: true, data: response.data };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message, errors: err.data?.errors || [] };
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const deleteScheme = useCallback(async (schemeId) => {
+    setError(null);
+    try {
+      await lecturerApi.deleteGradeScheme(schemeId);
+      setSchemes(prev => prev.filter(s => s.id !== schemeId));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  const assignScheme = useCallback(async (target, id, gradeSchemeId) => {
+    setError(null);
+    try {
+      await lecturerApi.assignGradeScheme(target, id, gradeSchemeId);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  return { schemes, loading, error, fetchSchemes, saveScheme, deleteScheme, assignScheme };
 };
 
 /**
- * Hook for managing issues
+ * Hook for the department-wide offerings list (admin)
+ * @returns {Object} Offerings state and methods
+ */
+export const useAdminOfferings = () => {
+  const [offerings, setOfferings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchOfferings = useCallback(async (status) => {
+    setLoading(true);
+    try {
+      const data = await lecturerApi.fetchAllOfferings(status);
+      setOfferings(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { offerings, loading, error, fetchOfferings };
+};
+
+/**
+ * Hook for moderating one offering's results (admin)
+ * @returns {Object} Moderation state and methods
+ */
+export const useModeration = () => {
+  const [moderation, setModeration] = useState(null);
+  const [lecturers, setLecturers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchModeration = useCallback(async (offeringId) => {
+    if (!offeringId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await lecturerApi.fetchModeration(offeringId);
+      setModeration(data);
+    } catch (err) {
+      setModeration(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchLecturers = useCallback(async () => {
+    try {
+      const data = await lecturerApi.fetchLecturers();
+      setLecturers(data || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const changeStatus = useCallback(async (offeringId, status, comment) => {
+    setError(null);
+    try {
+      await lecturerApi.updateResultsStatus(offeringId, status, comment);
+      await fetchModeration(offeringId);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [fetchModeration]);
+
+  const reassignLecturers = useCallback(async (offeringId, lecturerIds) => {
+    setError(null);
+    try {
+      await lecturerApi.reassignLecturers(offeringId, lecturerIds);
+      await fetchModeration(offeringId);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [fetchModeration]);
+
+  return { moderation, lecturers, loading, error, fetchModeration, fetchLecturers, changeStatus, reassignLecturers };
+};
+
+/**
+ * Hook for managing an offering's enrollments and waitlist (admin)
+ * @returns {Object} Enrollment state and methods
+ */
+export const useEnrollments = () => {
+  const [enrollments, setEnrollments] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchEnrollments = useCallback(async (offeringId) => {
+    if (!offeringId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await lecturerApi.fetchEnrollments(offeringId);
+      setEnrollments(data);
+    } catch (err) {
+      setEnrollments(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Run a change, then reload the list so seats and waitlist positions are current
+  const change = useCallback(async (offeringId, request) => {
+    setError(null);
+    try {
+      const response = await request();
+      await fetchEnrollments(offeringId);
+      return { success: true, data: response };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, [fetchEnrollments]);
+
+  const enroll = useCallback((offeringId, data) =>
+    change(offeringId, () => lecturerApi.enrollStudent(offeringId, data)), [change]);
+
+  const importRoster = useCallback((offeringId, content) =>
+    change(offeringId, () => lecturerApi.importRoster(offeringId, content)), [change]);
+
+  const drop = useCallback((offeringId, studentId, reason) =>
+    change(offeringId, () => lecturerApi.dropEnrollment(offeringId, studentId, reason)), [change]);
+
+  const transfer = useCallback((offeringId, studentId, data) =>
+    change(offeringId, () => lecturerApi.transferEnrollment(offeringId, studentId, data)), [change]);
+
+  const setChosenLecturer = useCallback((offeringId, studentId, chosenLecturerId) =>
+    change(offeringId, () => lecturerApi.setChosenLecturer(offeringId, studentId, chosenLecturerId)), [change]);
+
+  return { enrollments, loading, error, fetchEnrollments, enroll, importRoster, drop, transfer, setChosenLecturer };
+};
+
+/**
+ * Hook for managing registration invitations (admin)
+ * @returns {Object} Invitations state and methods
+ */
+export const useInvitations = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchInvitations = useCallback(async (status) => {
+    setLoading(true);
+    try {
+      const data = await lecturerApi.fetchInvitations(status);
+      setInvitations(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const createInvitation = useCallback(async (invitation) => {
+    setError(null);
+    try {
+      const response = await lecturerApi.createInvitation(invitation);
+      const { code, ...created } = response.data;
+      setInvitations(prev => [created, ...prev]);
+      return { success: true, code };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    }
+  }, []);
+
+  const revokeInvitation = useCallback(async (invitationId) => {
+    setError(null);
+    try {
+      const response = await lecturerApi.revokeInvitation(invitationId);
+      setInvitations(prev => prev.map(invitation =>
+        invitation.id === invitationId ? response.data : invitation
+      ));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  return { invitations, loading, error, fetchInvitations, createInvitation, revokeInvitation };
+};
+
+/**
+ * Hook for locked accounts, two-factor settings and the login attempt log (admin)
+ * @returns {Object} Account security state and methods
+ */
+export const useAccountSecurity = () => {
+  const [lockedUsers, setLockedUsers] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [attempts, setAttempts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLockedUsers = useCallback(async () => {
+    try {
+      const data = await lecturerApi.fetchUsers({ locked: true });
+      setLockedUsers(data || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchAttempts = useCallback(async (filters) => {
+    setLoading(true);
+    try {
+      const data = await lecturerApi.fetchLoginAttempts(filters);
+      setAttempts(data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const data = await lecturerApi.fetchUsers();
+      setUsers(data || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const unlockUser = useCallback(async (userId) => {
+    setError(null);
+    try {
+      await lecturerApi.unlockUser(userId);
+      setLockedUsers(prev => prev.filter(user => user.id !== userId));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  const resetTwoFactor = useCallback(async (userId) => {
+    setError(null);
+    try {
+      await lecturerApi.resetUserTwoFactor(userId);
+      setUsers(prev => prev.map(user => (user.id === userId ? { ...user, twoFactorEnabled: false } : user)));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  const setTwoFactorRequired = useCallback(async (userId, required) => {
+    setError(null);
+    try {
+      await lecturerApi.setTwoFactorRequired(userId, required);
+      setUsers(prev => prev.map(user => (user.id === userId ? { ...user, twoFactorRequired: required } : user)));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  return {
+    lockedUsers,
+    users,
+    attempts,
+    loading,
+    error,
+    fetchLockedUsers,
+    fetchUsers,
+    fetchAttempts,
+    unlockUser,
+    resetTwoFactor,
+    setTwoFactorRequired,
+  };
+};
+
+/**
+ * Hook for the signed-in user's two-factor authentication settings
+ * @returns {Object} Two-factor state and methods
+ */
+export const useTwoFactor = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await lecturerApi.fetchTwoFactorStatus();
+      setStatus(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const disable = useCallback(async (data) => {
+    setError(null);
+    try {
+      await lecturerApi.disableTwoFactor(data);
+      setStatus(prev => prev && { ...prev, enabled: false, recoveryCodesRemaining: 0 });
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  const regenerateRecoveryCodes = useCallback(async (code) => {
+    setError(null);
+    try {
+      const response = await lecturerApi.regenerateRecoveryCodes(code);
+      setStatus(prev => prev && { ...prev, recoveryCodesRemaining: response.data.recoveryCodes.length });
+      return response.data.recoveryCodes;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  return { status, loading, error, fetchStatus, disable, regenerateRecoveryCodes };
+};
+
+/**
+ * Hook for the lecturer's issues: replies, status changes, reassignment and attachments
+ * @returns {Object} Issues state and methods
  */
 export const useIssues = () => {
   const [issues, setIssues] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  const fetchIssues = useCallback(async () => {
+  // First page for the given filters (see lecturerApi.fetchIssues)
+  const fetchIssues = useCallback(async (nextFilters = {}) => {
     setLoading(true);
+    setError(null);
     try {
-      const data = await lecturerApi.fetchIssues();
-      setIssues(data || []);
+      const result = await lecturerApi.fetchIssues(nextFilters);
+      setFilters(nextFilters);
+      setIssues(result.data || []);
+      setNextCursor(result.nextCursor || null);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -192,29 +868,187 @@ export const useIssues = () => {
     }
   }, []);
 
-  const resolveIssue = useCallback(async (issueId) => {
+  // Append the next page for the current filters
+  const loadMore = useCallback(async () => {
+    if (!nextCursor) return;
+    setLoading(true);
     try {
-      const result = await lecturerApi.resolveIssue(issueId);
-      if (result.success) {
-        // Update local state
-        setIssues(prev => prev.map(issue =>
-          issue._id === issueId ? { ...issue, status: 'resolved' } : issue
-        ));
-        return true;
-      }
+      const result = await lecturerApi.fetchIssues({ ...filters, cursor: nextCursor });
+      setIssues(prev => [...prev, ...(result.data || [])]);
+      setNextCursor(result.nextCursor || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, nextCursor]);
+
+  // Replace an issue with the server's updated copy
+  const replaceIssue = (updated) => {
+    setIssues(prev => prev.map(issue => (issue._id === updated._id ? updated : issue)));
+  };
+
+  // data: { status, note, revisedScore }
+  const changeStatus = useCallback(async (issueId, data) => {
+    setError(null);
+    try {
+      const result = await lecturerApi.changeIssueStatus(issueId, data);
+      replaceIssue(result.data);
+      return true;
+    } catch (err) {
+      setError(err.message);
       return false;
+    }
+  }, []);
+
+  const addComment = useCallback(async (issueId, body) => {
+    setError(null);
+    try {
+      const result = await lecturerApi.addIssueComment(issueId, body);
+      replaceIssue(result.data);
+      return true;
     } catch (err) {
       setError(err.message);
       return false;
     }
   }, []);
 
-  return { issues, loading, error, fetchIssues, resolveIssue };
+  // The issue leaves the list, which only holds the signed-in lecturer's issues
+  const reassign = useCallback(async (issueId, lecturerId, note) => {
+    setError(null);
+    try {
+      await lecturerApi.reassignIssue(issueId, lecturerId, note);
+      setIssues(prev => prev.filter(issue => issue._id !== issueId));
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  const uploadAttachments = useCallback(async (issueId, files) => {
+    setError(null);
+    try {
+      const result = await lecturerApi.uploadIssueAttachments(issueId, files);
+      replaceIssue(result.data);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, []);
+
+  // Returns the file as a Blob, or null on failure
+  const fetchAttachment = useCallback(async (issueId, attachmentId) => {
+    setError(null);
+    try {
+      return await lecturerApi.fetchIssueAttachment(issueId, attachmentId);
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  return {
+    issues,
+    nextCursor,
+    loading,
+    error,
+    fetchIssues,
+    loadMore,
+    changeStatus,
+    addComment,
+    reassign,
+    uploadAttachments,
+    fetchAttachment,
+  };
+};
+
+/**
+ * Hook for the signed-in lecturer's issue counts by status
+ * @returns {Object} Summary ({ unresolved, byStatus } or null) and fetchSummary
+ */
+export const useIssueSummary = () => {
+  const [summary, setSummary] = useState(null);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const result = await lecturerApi.fetchIssueSummary();
+      setSummary(result.data);
+    } catch {
+      // The count is a hint; the Issues tab shows any real error
+    }
+  }, []);
+
+  return { summary, fetchSummary };
+};
+
+/**
+ * Hook for the admins' escalation queue and time-to-resolution report
+ * @returns {Object} Escalated issues, report state and methods
+ */
+export const useIssueEscalations = () => {
+  const [escalated, setEscalated] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchEscalated = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await lecturerApi.fetchEscalatedIssues();
+      setEscalated(result.data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // filters: { from, to }
+  const fetchReport = useCallback(async (filters = {}) => {
+    setError(null);
+    try {
+      const result = await lecturerApi.fetchIssueResolutionReport(filters);
+      setReport(result.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // A handed-over issue stays in the queue until its new lecturer responds
+  const reassign = useCallback(async (issueId, lecturerId, note) => {
+    setError(null);
+    try {
+      const result = await lecturerApi.reassignIssue(issueId, lecturerId, note);
+      await fetchEscalated();
+      return result.data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  }, [fetchEscalated]);
+
+  return { escalated, report, loading, error, fetchEscalated, fetchReport, reassign };
 };
 
 export default {
   useAuth,
   useLecturerData,
   useMarks,
+  useMarksImport,
+  useMarkHistory,
+  useResults,
+  useAssessments,
+  useGradeSchemes,
+  useAdminOfferings,
+  useModeration,
+  useEnrollments,
+  useInvitations,
+  useAccountSecurity,
+  useTwoFactor,
   useIssues,
+  useIssueSummary,
+  useIssueEscalations,
 };
@@ -1,19 +1,42 @@
-// import React from 'react';
-import { useAuth } from '@/hooks/useLecturer';
+import { useEffect } from 'react';
+import { useAuth, useIssueSummary } from '@/hooks/useLecturer';
 import { useNavigate } from 'react-router-dom';
 import StudentList from '@/components/lecturer/StudentList';
 import MarksEntry from '@/components/lecturer/MarksEntry';
+import MarksImport from '@/components/lecturer/MarksImport';
 import CourseResults from '@/components/lecturer/CourseResults';
 import IssueList from '@/components/lecturer/IssueList';
+import IssueEscalations from '@/components/lecturer/IssueEscalations';
+import AssessmentEditor from '@/components/lecturer/AssessmentEditor';
+import GradeScaleEditor from '@/components/lecturer/GradeScaleEditor';
+import ModerationPanel from '@/components/lecturer/ModerationPanel';
+import EnrollmentManager from '@/components/lecturer/EnrollmentManager';
+import InvitationManager from '@/components/lecturer/InvitationManager';
+import AccountSecurity from '@/components/lecturer/AccountSecurity';
+import TwoFactorSettings from '@/components/lecturer/TwoFactorSettings';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 
 const Dashboard = () => {
-    const { user, logout } = useAuth();
+    const { user, logout, isAuthenticated, loading } = useAuth();
+    const { summary, fetchSummary } = useIssueSummary();
     const navigate = useNavigate();
+    const isAdmin = user?.role === 'admin';
 
-    const handleLogout = () => {
-        logout();
+    useEffect(() => {
+        if (isAuthenticated) fetchSummary();
+    }, [isAuthenticated, fetchSummary]);
+
+    useEffect(() => {
+        if (!loading && !isAuthenticated) {
+            navigate('/');
+        }
+    }, [loading, isAuthenticated, navigate]);
+
+    const handleLogout = async () => {
+        await logout();
         navigate('/');
     };
 
@@ -34,6 +57,17 @@ const Dashboard = () => {
                             <p className="text-sm font-medium text-gray-900">{user?.fullName || 'Lecturer'}</p>
                             <p className="text-xs text-gray-500">{user?.email}</p>
                         </div>
+                        <Dialog>
+                            <DialogTrigger asChild>
+                                <Button variant="outline">Security</Button>
+                            </DialogTrigger>
+                            <DialogContent>
+                                <DialogHeader>
+                                    <DialogTitle>Two-Factor Authentication</DialogTitle>
+                                </DialogHeader>
+                                <TwoFactorSettings />
+                            </DialogContent>
+                        </Dialog>
                         <Button variant="outline" onClick={handleLogout} className="text-red-600 hover:text-red-700 hover:bg-red-50">
                             Logout
                         </Button>
@@ -49,11 +83,23 @@ const Dashboard = () => {
                 </div>
 
                 <Tabs defaultValue="students" className="space-y-6">
-                    <TabsList className="grid w-full grid-cols-4 max-w-[800px]">
+                    <TabsList className={`grid w-full ${isAdmin ? 'max-w-[1500px] grid-cols-11' : 'max-w-[1100px] grid-cols-6'}`}>
                         <TabsTrigger value="students">Batch Grading</TabsTrigger>
                         <TabsTrigger value="marks">Single Entry</TabsTrigger>
+                        <TabsTrigger value="import">Import Marks</TabsTrigger>
                         <TabsTrigger value="results">View Results</TabsTrigger>
-                        <TabsTrigger value="issues">Issues</TabsTrigger>
+                        <TabsTrigger value="assessments">Assessments</TabsTrigger>
+                        <TabsTrigger value="issues" className="gap-2">
+                            Issues
+                            {summary?.unresolved > 0 && (
+                                <Badge variant="destructive" className="px-1.5 py-0 text-xs">{summary.unresolved}</Badge>
+                            )}
+                        </TabsTrigger>
+                        {isAdmin && <TabsTrigger value="moderation">Moderation</TabsTrigger>}
+                        {isAdmin && <TabsTrigger value="escalations">Escalations</TabsTrigger>}
+                        {isAdmin && <TabsTrigger value="enrollments">Enrollments</TabsTrigger>}
+                        {isAdmin && <TabsTrigger value="gradescales">Grade Scales</TabsTrigger>}
+                        {isAdmin && <TabsTrigger value="accounts">Accounts</TabsTrigger>}
                     </TabsList>
 
                     <TabsContent value="students" className="space-y-4">
@@ -64,13 +110,52 @@ const Dashboard = () => {
                         <MarksEntry />
                     </TabsContent>
 
+                    <TabsContent value="import" className="space-y-4">
+                        <MarksImport />
+                    </TabsContent>
+
                     <TabsContent value="results" className="space-y-4">
                         <CourseResults />
                     </TabsContent>
 
+                    <TabsContent value="assessments" className="space-y-4">
+                        <AssessmentEditor />
+                    </TabsContent>
+
                     <TabsContent value="issues" className="space-y-4">
-                        <IssueList />
+                        <IssueList onIssuesChanged={fetchSummary} />
                     </TabsContent>
+
+                    {isAdmin && (
+                        <TabsContent value="moderation" className="space-y-4">
+                            <ModerationPanel />
+                        </TabsContent>
+                    )}
+
+                    {isAdmin && (
+                        <TabsContent value="escalations" className="space-y-4">
+                            <IssueEscalations />
+                        </TabsContent>
+                    )}
+
+                    {isAdmin && (
+                        <TabsContent value="enrollments" className="space-y-4">
+                            <EnrollmentManager />
+                        </TabsContent>
+                    )}
+
+                    {isAdmin && (
+                        <TabsContent value="gradescales" className="space-y-4">
+                            <GradeScaleEditor />
+                        </TabsContent>
+                    )}
+
+                    {isAdmin && (
+                        <TabsContent value="accounts" className="space-y-4">
+                            <InvitationManager />
+                            <AccountSecurity />
+                        </TabsContent>
+                    )}
                 </Tabs>
             </main>
         </div>
@@ -1,17 +1,249 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '@/hooks/useLecturer';
+import { requestPasswordReset, resendVerification, resetPassword } from '@/services/lecturerApi';
+import TwoFactorSetup from '@/components/lecturer/TwoFactorSetup';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const response = await requestPasswordReset(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not send the reset email. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md">
+      <CardHeader className="space-y-1">
+        <CardTitle className="text-2xl text-center">Forgot your password?</CardTitle>
+        <CardDescription className="text-center">
+          Enter your email and we'll send you a link to choose a new one
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {message ? (
+          <Alert>
+            <AlertDescription>{message}</AlertDescription>
+          </Alert>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="reset-email">Email</Label>
+              <Input
+                id="reset-email"
+                type="email"
+                placeholder="lecturer@university.edu"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </Button>
+          </form>
+        )}
+      </CardContent>
+      <CardFooter className="flex justify-center">
+        <Link to="/" className="text-sm text-blue-600 hover:underline">
+          Back to login
+        </Link>
+      </CardFooter>
+    </Card>
+  );
+};
+
+const ResetPassword = ({ token }: { token: string }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError("Passwords don't match");
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const response = await resetPassword(token, password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md">
+      <CardHeader className="space-y-1">
+        <CardTitle className="text-2xl text-center">Choose a new password</CardTitle>
+        <CardDescription className="text-center">
+          Signing in again will be required on all your devices
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!token ? (
+          <Alert variant="destructive">
+            <AlertDescription>This reset link is incomplete. Please request a new one.</AlertDescription>
+          </Alert>
+        ) : message ? (
+          <Alert>
+            <AlertDescription>{message}</AlertDescription>
+          </Alert>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="new-password">New Password</Label>
+              <Input
+                id="new-password"
+                type="password"
+                minLength={6}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="confirm-new-password">Confirm Password</Label>
+              <Input
+                id="confirm-new-password"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+              />
+            </div>
+            <Button type="submit" className="w-full" disabled={loading}>
+              {loading ? 'Saving...' : 'Set Password'}
+            </Button>
+          </form>
+        )}
+      </CardContent>
+      <CardFooter className="flex justify-center gap-4">
+        <Link to="/" className="text-sm text-blue-600 hover:underline">
+          Back to login
+        </Link>
+        {(!token || error) && (
+          <Link to="/forgot-password" className="text-sm text-blue-600 hover:underline">
+            Request a new link
+          </Link>
+        )}
+      </CardFooter>
+    </Card>
+  );
+};
+
+interface TwoFactorPromptProps {
+  loading: boolean;
+  error: string | null;
+  onVerify: (answer: { code?: string; recoveryCode?: string }) => void;
+  onCancel: () => void;
+}
+
+const TwoFactorPrompt = ({ loading, error, onVerify, onCancel }: TwoFactorPromptProps) => {
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onVerify(useRecoveryCode ? { recoveryCode: recoveryCode.trim() } : { code });
+    setCode('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+      {useRecoveryCode ? (
+        <div className="space-y-2">
+          <Label htmlFor="recovery-code">Recovery code</Label>
+          <Input
+            id="recovery-code"
+            placeholder="XXXXX-XXXXX"
+            value={recoveryCode}
+            onChange={(e) => setRecoveryCode(e.target.value)}
+            required
+          />
+        </div>
+      ) : (
+        <div className="flex justify-center">
+          <InputOTP maxLength={6} value={code} onChange={setCode} autoFocus>
+            <InputOTPGroup>
+              {[0, 1, 2, 3, 4, 5].map(index => <InputOTPSlot key={index} index={index} />)}
+            </InputOTPGroup>
+          </InputOTP>
+        </div>
+      )}
+      <Button type="submit" className="w-full" disabled={loading || (!useRecoveryCode && code.length !== 6)}>
+        {loading ? 'Verifying...' : 'Verify'}
+      </Button>
+      <div className="flex justify-between text-sm">
+        <Button type="button" variant="link" className="h-auto p-0" onClick={() => setUseRecoveryCode(!useRecoveryCode)}>
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </Button>
+        <Button type="button" variant="link" className="h-auto p-0" onClick={onCancel}>
+          Back to login
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 const Index = () => {
-  const { login, loading, error, isAuthenticated } = useAuth();
+  const {
+    login,
+    loading,
+    error,
+    errorCode,
+    isAuthenticated,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    completeTwoFactorSetup,
+    cancelTwoFactor,
+  } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [notice, setNotice] = useState('');
 
   // If already logged in, redirect to dashboard
   React.useEffect(() => {
@@ -22,12 +254,68 @@ const Index = () => {
 
   const handleLogin = async (e) => {
     e.preventDefault();
+    setNotice('');
     const success = await login(email, password);
     if (success) {
       navigate('/dashboard');
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await resendVerification(email);
+      setNotice(response.message);
+    } catch (err) {
+      setNotice(err instanceof Error ? err.message : 'Could not send the verification email.');
+    }
+  };
+
+  const handleVerifyTwoFactor = async (answer: { code?: string; recoveryCode?: string }) => {
+    if (await verifyTwoFactor(answer)) {
+      navigate('/dashboard');
+    }
+  };
+
+  if (twoFactorChallenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        <Card className="w-full max-w-md">
+          <CardHeader className="space-y-1">
+            <CardTitle className="text-2xl text-center">
+              {twoFactorChallenge.setupRequired ? 'Set up two-factor authentication' : 'Two-factor authentication'}
+            </CardTitle>
+            <CardDescription className="text-center">
+              {twoFactorChallenge.setupRequired
+                ? 'Your administrator requires a code from your phone when you sign in'
+                : 'Enter the code from your authenticator app'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {twoFactorChallenge.setupRequired ? (
+              <TwoFactorSetup
+                challengeToken={twoFactorChallenge.challengeToken}
+                onComplete={(session) => session && completeTwoFactorSetup(session)}
+                onCancel={cancelTwoFactor}
+              />
+            ) : (
+              <TwoFactorPrompt loading={loading} error={error} onVerify={handleVerifyTwoFactor} onCancel={cancelTwoFactor} />
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (location.pathname === '/forgot-password' || location.pathname === '/reset-password') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        {location.pathname === '/forgot-password'
+          ? <ForgotPassword />
+          : <ResetPassword token={searchParams.get('token') || ''} />}
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
       <Card className="w-full max-w-md">
@@ -46,7 +334,19 @@ const Index = () => {
           <form onSubmit={handleLogin} className="space-y-4">
             {error && (
               <Alert variant="destructive">
-                <AlertDescription>{error}</AlertDescription>
+                <AlertDescription>
+                  {error}
+                  {errorCode === 'EMAIL_NOT_VERIFIED' && (
+                    <Button type="button" variant="link" className="h-auto p-0 ml-1" onClick={handleResendVerification}>
+                      Resend verification email
+                    </Button>
+                  )}
+                </AlertDescription>
+              </Alert>
+            )}
+            {notice && (
+              <Alert>
+                <AlertDescription>{notice}</AlertDescription>
               </Alert>
             )}
             <div className="space-y-2">
@@ -61,7 +361,12 @@ const Index = () => {
               />
             </div>
             <div className="space-y-2">
-              <Label htmlFor="password">Password</Label>
+              <div className="flex justify-between items-center">
+                <Label htmlFor="password">Password</Label>
+                <Link to="/forgot-password" className="text-xs text-blue-600 hover:underline">
+                  Forgot password?
+                </Link>
+              </div>
               <Input
                 id="password"
                 type="password"
@@ -1,9 +1,9 @@
-import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useSearchParams, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
-import { registerLecturer } from '../services/lecturerApi';
+import { registerLecturer, resendVerification, verifyEmail } from '../services/lecturerApi';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -14,6 +14,7 @@ const registerSchema = z.object({
     fullName: z.string().min(2, 'Full name must be at least 2 characters'),
     email: z.string().email('Invalid email address'),
     staffNo: z.string().min(3, 'Staff number is required'),
+    inviteCode: z.string().trim().min(1, 'Invitation code is required'),
     password: z.string().min(6, 'Password must be at least 6 characters'),
     confirmPassword: z.string()
 }).refine((data) => data.password === data.confirmPassword, {
@@ -23,13 +24,107 @@ const registerSchema = z.object({
 
 type RegisterFormValues = z.infer<typeof registerSchema>;
 
+const VerifyEmail = ({ token }: { token: string }) => {
+    const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>(token ? 'verifying' : 'failed');
+    const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+    const requested = useRef(false);
+
+    // Tokens are single-use, so make sure the request is only sent once
+    useEffect(() => {
+        if (!token || requested.current) return;
+        requested.current = true;
+        const verify = async () => {
+            try {
+                const response = await verifyEmail(token);
+                setStatus('verified');
+                setMessage(response.message);
+            } catch (err) {
+                setStatus('failed');
+                setMessage(err instanceof Error ? err.message : 'This verification link is invalid or has expired.');
+            }
+        };
+        verify();
+    }, [token]);
+
+    return (
+        <Card className="w-full max-w-md">
+            <CardHeader>
+                <CardTitle className="text-2xl text-center">Email Verification</CardTitle>
+            </CardHeader>
+            <CardContent>
+                {status === 'verifying' ? (
+                    <p className="text-center text-gray-600">Verifying your email address...</p>
+                ) : (
+                    <Alert variant={status === 'failed' ? 'destructive' : 'default'}>
+                        <AlertDescription>
+                            {message}
+                            {status === 'failed' && ' You can request a new link from the login page.'}
+                        </AlertDescription>
+                    </Alert>
+                )}
+            </CardContent>
+            <CardFooter className="flex justify-center">
+                <Link to="/" className="text-blue-600 hover:underline">
+                    Go to login
+                </Link>
+            </CardFooter>
+        </Card>
+    );
+};
+
+const CheckEmail = ({ email }: { email: string }) => {
+    const [notice, setNotice] = useState('');
+
+    const handleResend = async () => {
+        try {
+            const response = await resendVerification(email);
+            setNotice(response.message);
+        } catch (err) {
+            setNotice(err instanceof Error ? err.message : 'Could not send the verification email.');
+        }
+    };
+
+    return (
+        <Card className="w-full max-w-md">
+            <CardHeader>
+                <CardTitle className="text-2xl text-center">Check your email</CardTitle>
+                <CardDescription className="text-center">
+                    We sent a verification link to <strong>{email}</strong>. Open it to activate your account.
+                </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {notice && (
+                    <Alert>
+                        <AlertDescription>{notice}</AlertDescription>
+                    </Alert>
+                )}
+                <Button variant="outline" className="w-full" onClick={handleResend}>
+                    Resend verification email
+                </Button>
+            </CardContent>
+            <CardFooter className="flex justify-center">
+                <Link to="/" className="text-blue-600 hover:underline">
+                    Go to login
+                </Link>
+            </CardFooter>
+        </Card>
+    );
+};
+
 const Register = () => {
-    const navigate = useNavigate();
+    const location = useLocation();
+    const [searchParams] = useSearchParams();
     const [error, setError] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [registeredEmail, setRegisteredEmail] = useState('');
 
     const { register, handleSubmit, formState: { errors } } = useForm<RegisterFormValues>({
-        resolver: zodResolver(registerSchema)
+        resolver: zodResolver(registerSchema),
+        // Invitation emails link here with the code and address filled in
+        defaultValues: {
+            inviteCode: searchParams.get('code') || '',
+            email: searchParams.get('email') || ''
+        }
     });
 
     const onSubmit = async (data) => {
@@ -40,7 +135,7 @@ const Register = () => {
             // Remove confirmPassword before sending to API
             const { confirmPassword, ...registrationData } = data;
             await registerLecturer(registrationData);
-            navigate('/'); // Redirect to login page on success
+            setRegisteredEmail(registrationData.email); // Ask the user to confirm their address
         } catch (err) {
             setError(err.message || 'Registration failed. Please try again.');
         } finally {
@@ -48,6 +143,16 @@ const Register = () => {
         }
     };
 
+    if (location.pathname === '/verify-email' || registeredEmail) {
+        return (
+            <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+                {registeredEmail
+                    ? <CheckEmail email={registeredEmail} />
+                    : <VerifyEmail token={searchParams.get('token') || ''} />}
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
             <Card className="w-full max-w-md">
@@ -102,6 +207,21 @@ const Register = () => {
                             )}
                         </div>
 
+                        <div className="space-y-2">
+                            <Label htmlFor="inviteCode">Invitation Code</Label>
+                            <Input
+                                id="inviteCode"
+                                placeholder="XXXX-XXXX-XXXX"
+                                {...register('inviteCode')}
+                            />
+                            {errors.inviteCode && (
+                                <p className="text-sm text-red-500">{errors.inviteCode.message}</p>
+                            )}
+                            <p className="text-xs text-gray-500">
+                                Registration is by invitation. Use the email and staff number your invitation was issued for.
+                            </p>
+                        </div>
+
                         <div className="space-y-2">
                             <Label htmlFor="password">Password</Label>
                             <Input
@@ -6,6 +6,8 @@
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000';
 
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
 /**
  * Get authentication token from localStorage
  */
@@ -14,56 +16,194 @@ export const getAuthToken = () => {
 };
 
 /**
- * Set authentication token in localStorage
+ * Get refresh token from localStorage
+ */
+export const getRefreshToken = () => {
+    return localStorage.getItem('lecturer_refresh_token');
+};
+
+/**
+ * Set authentication token (and refresh token, when given) in localStorage
  */
-export const setAuthSession = (token, user) => {
+export const setAuthSession = (token, user, refreshToken) => {
     localStorage.setItem('lecturer_auth_token', token);
     localStorage.setItem('lecturer_user', JSON.stringify(user));
+    if (refreshToken) {
+        localStorage.setItem('lecturer_refresh_token', refreshToken);
+    }
 };
 
 /**
- * Remove authentication token from localStorage
+ * Remove authentication tokens from localStorage
  */
 export const clearAuthSession = () => {
     localStorage.removeItem('lecturer_auth_token');
+    localStorage.removeItem('lecturer_refresh_token');
     localStorage.removeItem('lecturer_user');
 };
 
 /**
- * Make authenticated API request
+ * Check whether an access token has expired (or expires within `skewMs`)
+ * @param {string} token - JWT access token
+ * @param {number} skewMs - Treat tokens expiring this soon as expired
+ * @returns {boolean} True if expired or unreadable
  */
-const authenticatedFetch = async (endpoint, options = {}) => {
-    const token = getAuthToken();
+export const isTokenExpired = (token, skewMs = 0) => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return !payload.exp || payload.exp * 1000 <= Date.now() + skewMs;
+    } catch {
+        return true;
+    }
+};
+
+/** Event dispatched on `window` when the session can no longer be refreshed */
+export const SESSION_EXPIRED_EVENT = 'lecturer:session-expired';
+
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share one request, since each refresh token can only be used once.
+ * @returns {Promise<Object>} { token, refreshToken, user }
+ */
+export const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = getRefreshToken();
+            if (!refreshToken) throw new Error('Session expired');
+
+            const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken }),
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Session expired');
+            }
+
+            setAuthSession(result.data.token, result.data.user, result.data.refreshToken);
+            return result.data;
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+/**
+ * Forget the session and send the user back to the login page
+ */
+const endSession = () => {
+    clearAuthSession();
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    if (window.location.pathname !== '/') {
+        window.location.assign('/');
+    }
+};
 
-    const headers = {
-        'Content-Type': 'application/json',
-        ...(token && { 'Authorization': `Bearer ${token}` }),
-        ...options.headers,
+/**
+ * Fetch with the access token, refreshing it once if the server rejects it
+ */
+const fetchWithAuth = async (endpoint, options = {}) => {
+    const send = () => {
+        const token = getAuthToken();
+        return fetch(`${API_BASE_URL}${endpoint}`, {
+            ...options,
+            headers: {
+                ...(token && { 'Authorization': `Bearer ${token}` }),
+                ...options.headers,
+            },
+        });
     };
 
-    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    const hadToken = Boolean(getAuthToken());
+    const response = await send();
+    if (response.status !== 401 || !hadToken) {
+        return response;
+    }
+
+    try {
+        await refreshSession();
+    } catch {
+        endSession();
+        return response;
+    }
+    return send();
+};
+
+/**
+ * Make authenticated API request
+ */
+const authenticatedFetch = async (endpoint, options = {}) => {
+    const response = await fetchWithAuth(endpoint, {
         ...options,
-        headers,
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers,
+        },
     });
 
     if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `API Error: ${response.status}`);
+        const error = new Error(errorData.message || `API Error: ${response.status}`);
+        error.status = response.status;
+        error.data = errorData;
+        throw error;
     }
 
     return response.json();
 };
 
 /**
- * Register a new lecturer
+ * Register a new lecturer with an invitation code (the server assigns the role)
+ * @param {Object} data - { fullName, email, staffNo, password, inviteCode }
  */
 export const registerLecturer = async (data) => {
     return authenticatedFetch('/auth/register', {
         method: 'POST',
-        body: JSON.stringify({
-            ...data,
-            role: 'lecturer', // Enforce lecturer role
-        }),
+        body: JSON.stringify(data),
+    });
+};
+
+/**
+ * Confirm an email address with the token from the verification email
+ */
+export const verifyEmail = async (token) => {
+    return authenticatedFetch('/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token }),
+    });
+};
+
+/**
+ * Send a new verification email
+ */
+export const resendVerification = async (email) => {
+    return authenticatedFetch('/auth/resend-verification', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+    });
+};
+
+/**
+ * Ask for a password reset email
+ */
+export const requestPasswordReset = async (email) => {
+    return authenticatedFetch('/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+    });
+};
+
+/**
+ * Choose a new password with the token from the reset email
+ */
+export const resetPassword = async (token, password) => {
+    return authenticatedFetch('/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token, password }),
     });
 };
 
@@ -77,18 +217,105 @@ export const loginLecturer = async ({ email, password }) => {
     });
 
     if (response.success && response.data?.token) {
-        setAuthSession(response.data.token, response.data.user);
+        setAuthSession(response.data.token, response.data.user, response.data.refreshToken);
+    }
+
+    return response;
+};
+
+/**
+ * Second login step: a code from the authenticator app or a recovery code
+ * @param {string} challengeToken - Token returned by the password step
+ * @param {Object} answer - { code } or { recoveryCode }
+ */
+export const verifyTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    const response = await authenticatedFetch('/auth/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken, code, recoveryCode }),
+    });
+
+    if (response.success && response.data?.token) {
+        setAuthSession(response.data.token, response.data.user, response.data.refreshToken);
+    }
+
+    return response;
+};
+
+/**
+ * Get the signed-in user's two-factor status
+ */
+export const fetchTwoFactorStatus = async () => {
+    return authenticatedFetch('/auth/2fa');
+};
+
+/**
+ * Start two-factor enrolment
+ * @param {string} [challengeToken] - Needed when enrolment is part of logging in
+ * @returns {Promise<Object>} Response with { secret, otpauthUri }
+ */
+export const setupTwoFactor = async (challengeToken) => {
+    return authenticatedFetch('/auth/2fa/setup', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken }),
+    });
+};
+
+/**
+ * Confirm two-factor enrolment with a code from the app
+ * @param {string} code - Six-digit code
+ * @param {string} [challengeToken] - When enrolling during login; the response then includes a session
+ * @returns {Promise<Object>} Response with { recoveryCodes } (plus token, refreshToken and user during login)
+ */
+export const enableTwoFactor = async (code, challengeToken) => {
+    const response = await authenticatedFetch('/auth/2fa/enable', {
+        method: 'POST',
+        body: JSON.stringify({ code, challengeToken }),
+    });
+
+    if (response.success && response.data?.token) {
+        setAuthSession(response.data.token, response.data.user, response.data.refreshToken);
     }
 
     return response;
 };
 
 /**
- * Logout lecturer
+ * Turn off two-factor authentication
+ * @param {Object} data - { password, code } or { password, recoveryCode }
+ */
+export const disableTwoFactor = async (data) => {
+    return authenticatedFetch('/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify(data),
+    });
+};
+
+/**
+ * Replace the recovery codes (needs a current code)
+ */
+export const regenerateRecoveryCodes = async (code) => {
+    return authenticatedFetch('/auth/2fa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    });
+};
+
+/**
+ * Logout lecturer: revoke the session on the server, then forget it locally
+ * @param {Object} options - { all: true } also ends the user's other sessions
  */
-export const logoutLecturer = () => {
+export const logoutLecturer = async ({ all = false } = {}) => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+        // The local session is cleared even if the server cannot be reached
+        await fetch(`${API_BASE_URL}/auth/logout`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken, all }),
+        }).catch(() => null);
+    }
     clearAuthSession();
-    return Promise.resolve({ success: true });
+    return { success: true };
 };
 
 /**
@@ -107,14 +334,43 @@ export const fetchStudentsByOffering = async (offeringId) => {
 
 /**
  * Submit marks (batch)
+ * @param {Object[]} marks - Rows of { assessmentId, studentId, score, offeringId }
+ * @param {Object} options
+ * @param {boolean} options.atomic - Save nothing if any row is rejected (default true)
+ * @returns {Promise<Object>} Report with created/updated/unchanged/rejected rows
  */
-export const submitMarksBatch = async (marks) => {
-    return authenticatedFetch('/lecturer/marks/batch', {
+export const submitMarksBatch = async (marks, { atomic = true } = {}) => {
+    return authenticatedFetch(`/lecturer/marks/batch?atomic=${atomic}`, {
         method: 'POST',
         body: JSON.stringify(marks),
     });
 };
 
+/**
+ * Import marks from CSV or an xlsx workbook (one row per student keyed by schoolID, one column per assessment)
+ * @param {string} offeringId - Offering ID
+ * @param {string|Blob} content - CSV text, or an .xlsx file
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only preview the changes (default true)
+ * @param {string} [options.reason] - Reason recorded in the mark history
+ * @returns {Promise<Object>} Preview with summary, changes, unknown reg numbers and errors
+ */
+export const importMarks = async (offeringId, content, { dryRun = true, reason } = {}) => {
+    const endpoint = `/lecturer/offerings/${offeringId}/marks/import?dryRun=${dryRun}`;
+    if (typeof content === 'string') {
+        return authenticatedFetch(endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ csv: content, reason }),
+        });
+    }
+
+    return authenticatedFetch(`${endpoint}${reason ? `&reason=${encodeURIComponent(reason)}` : ''}`, {
+        method: 'POST',
+        headers: { 'Content-Type': XLSX_CONTENT_TYPE },
+        body: content,
+    });
+};
+
 /**
  * Get marks for a specific offering
  */
@@ -122,37 +378,512 @@ export const fetchMarksByOffering = async (offeringId) => {
     return authenticatedFetch(`/lecturer/offerings/${offeringId}/marks`);
 };
 
+/**
+ * Get the change history of a student's marks in an offering
+ * @param {string} offeringId - Offering ID
+ * @param {string} studentId - Student ID
+ * @param {string} [assessmentId] - Limit to one assessment
+ */
+export const fetchMarkHistory = async (offeringId, studentId, assessmentId) => {
+    const query = assessmentId ? `?assessmentId=${assessmentId}` : '';
+    return authenticatedFetch(`/lecturer/offerings/${offeringId}/marks/${studentId}/history${query}`);
+};
+
+/**
+ * Get weighted results (per-assessment breakdown, final percentage and grade) for an offering
+ */
+export const fetchResults = async (offeringId) => {
+    return authenticatedFetch(`/lecturer/offerings/${offeringId}/results`);
+};
+
+/**
+ * Move an offering's results to a new status
+ * @param {string} offeringId - Offering ID
+ * @param {'draft'|'submitted'|'approved'|'published'} status - Target status
+ * @param {string} [comment] - Optional comment kept in the status history
+ */
+export const updateResultsStatus = async (offeringId, status, comment) => {
+    return authenticatedFetch(`/lecturer/offerings/${offeringId}/results/status`, {
+        method: 'POST',
+        body: JSON.stringify({ status, comment }),
+    });
+};
+
+/**
+ * Get the assessment breakdown for an offering
+ */
+export const fetchAssessments = async (offeringId) => {
+    return authenticatedFetch(`/lecturer/offerings/${offeringId}/assessments`);
+};
+
+/**
+ * Replace the assessment breakdown for an offering
+ * @param {string} offeringId - Offering ID
+ * @param {Object[]} assessments - Ordered list of { _id?, name, weight, maxScore }
+ * @param {Object} options
+ * @param {boolean} options.force - Delete marks of removed assessments instead of refusing
+ */
+export const saveAssessments = async (offeringId, assessments, { force = false } = {}) => {
+    return authenticatedFetch(`/lecturer/offerings/${offeringId}/assessments`, {
+        method: 'PUT',
+        body: JSON.stringify({ assessments, force }),
+    });
+};
+
+/**
+ * Get all named grade schemes
+ */
+export const fetchGradeSchemes = async () => {
+    return authenticatedFetch('/lecturer/gradeschemes');
+};
+
+/**
+ * Create a grade scheme (admin)
+ * @param {Object} scheme - { name, description, isDefault, bands: [{ letter, minPercent, maxPercent, points }] }
+ */
+export const createGradeScheme = async (scheme) => {
+    return authenticatedFetch('/admin/gradeschemes', {
+        method: 'POST',
+        body: JSON.stringify(scheme),
+    });
+};
+
+/**
+ * Update a grade scheme (admin)
+ */
+export const updateGradeScheme = async (schemeId, scheme) => {
+    return authenticatedFetch(`/admin/gradeschemes/${schemeId}`, {
+        method: 'PUT',
+        body: JSON.stringify(scheme),
+    });
+};
+
+/**
+ * Delete a grade scheme (admin)
+ */
+export const deleteGradeScheme = async (schemeId) => {
+    return authenticatedFetch(`/admin/gradeschemes/${schemeId}`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * Get every offering in the department (admin)
+ * @param {string} [status] - Only offerings whose results have this status
+ */
+export const fetchAllOfferings = async (status) => {
+    return authenticatedFetch(status ? `/admin/offerings?status=${status}` : '/admin/offerings');
+};
+
+/**
+ * Get an offering's results, lecturers and status history for moderation (admin)
+ */
+export const fetchModeration = async (offeringId) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/moderation`);
+};
+
+/**
+ * Invite a lecturer or admin by email and staff number (admin)
+ * @param {Object} invitation - { email, staffNo, role }
+ * @returns {Promise<Object>} Response whose data includes the one-time `code`
+ */
+export const createInvitation = async (invitation) => {
+    return authenticatedFetch('/admin/invitations', {
+        method: 'POST',
+        body: JSON.stringify(invitation),
+    });
+};
+
+/**
+ * Get invitations (admin)
+ * @param {string} [status] - pending, used, expired or revoked
+ */
+export const fetchInvitations = async (status) => {
+    return authenticatedFetch(status ? `/admin/invitations?status=${status}` : '/admin/invitations');
+};
+
+/**
+ * Revoke a pending invitation (admin)
+ */
+export const revokeInvitation = async (invitationId) => {
+    return authenticatedFetch(`/admin/invitations/${invitationId}`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * Get user accounts (admin)
+ * @param {Object} filters - { locked: true } for locked accounts only
+ */
+export const fetchUsers = async ({ locked = false } = {}) => {
+    return authenticatedFetch(locked ? '/admin/users?locked=true' : '/admin/users');
+};
+
+/**
+ * Unlock an account locked by failed logins (admin)
+ */
+export const unlockUser = async (userId) => {
+    return authenticatedFetch(`/admin/users/${userId}/unlock`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * End every session of a user (admin)
+ */
+export const revokeUserSessions = async (userId) => {
+    return authenticatedFetch(`/admin/users/${userId}/revoke-sessions`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * Reset a user's two-factor authentication (admin)
+ */
+export const resetUserTwoFactor = async (userId) => {
+    return authenticatedFetch(`/admin/users/${userId}/two-factor/reset`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * Require (or stop requiring) two-factor authentication for a user (admin)
+ */
+export const setTwoFactorRequired = async (userId, required) => {
+    return authenticatedFetch(`/admin/users/${userId}/two-factor`, {
+        method: 'PUT',
+        body: JSON.stringify({ required }),
+    });
+};
+
+/**
+ * Get the login attempt log (admin)
+ * @param {Object} filters - { email, ip, success, limit }
+ */
+export const fetchLoginAttempts = async (filters = {}) => {
+    const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== '')
+    );
+    return authenticatedFetch(`/admin/login-attempts?${params}`);
+};
+
+/**
+ * Get every lecturer account (admin)
+ */
+export const fetchLecturers = async () => {
+    return authenticatedFetch('/admin/lecturers');
+};
+
+/**
+ * Replace the lecturers assigned to an offering (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {string[]} lecturerIds - User IDs of the lecturers
+ */
+export const reassignLecturers = async (offeringId, lecturerIds) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/lecturers`, {
+        method: 'PUT',
+        body: JSON.stringify({ lecturerIds }),
+    });
+};
+
+/**
+ * Get an offering's enrollments with capacity and waitlist (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {'enrolled'|'waitlisted'|'dropped'} [status] - Only enrollments with this status
+ */
+export const fetchEnrollments = async (offeringId, status) => {
+    const query = status ? `?status=${status}` : '';
+    return authenticatedFetch(`/admin/offerings/${offeringId}/enrollments${query}`);
+};
+
+/**
+ * Enroll a student, or waitlist them if the offering is full (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {Object} data - { studentId } or { regNo }, plus optional chosenLecturerId and waitlist
+ */
+export const enrollStudent = async (offeringId, data) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/enrollments`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+    });
+};
+
+/**
+ * Enroll students from a roster with a schoolID column and an optional staffNo column (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {string|Blob} content - CSV text, or an .xlsx file
+ * @returns {Promise<Object>} Report of enrolled, waitlisted and skipped rows
+ */
+export const importRoster = async (offeringId, content) => {
+    const endpoint = `/admin/offerings/${offeringId}/enrollments/import`;
+    if (typeof content === 'string') {
+        return authenticatedFetch(endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ csv: content }),
+        });
+    }
+
+    return authenticatedFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': XLSX_CONTENT_TYPE },
+        body: content,
+    });
+};
+
+/**
+ * Drop a student from an offering or its waitlist; their marks are kept (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {string} studentId - Student ID
+ * @param {string} [reason] - Why the student was dropped
+ */
+export const dropEnrollment = async (offeringId, studentId, reason) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/enrollments/${studentId}`, {
+        method: 'DELETE',
+        body: JSON.stringify({ reason }),
+    });
+};
+
+/**
+ * Move a student to another offering (admin)
+ * @param {string} offeringId - Current offering ID
+ * @param {string} studentId - Student ID
+ * @param {Object} data - { toOfferingId, waitlist, chosenLecturerId }
+ */
+export const transferEnrollment = async (offeringId, studentId, data) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/enrollments/${studentId}/transfer`, {
+        method: 'POST',
+        body: JSON.stringify(data),
+    });
+};
+
+/**
+ * Set the lecturer a student chose in an offering (admin)
+ * @param {string} offeringId - Offering ID
+ * @param {string} studentId - Student ID
+ * @param {string|null} chosenLecturerId - Assigned lecturer's user ID, or null to clear
+ */
+export const setChosenLecturer = async (offeringId, studentId, chosenLecturerId) => {
+    return authenticatedFetch(`/admin/offerings/${offeringId}/enrollments/${studentId}/lecturer`, {
+        method: 'PUT',
+        body: JSON.stringify({ chosenLecturerId }),
+    });
+};
+
+/**
+ * Attach a grade scheme to a course or offering (admin)
+ * @param {'courses'|'offerings'} target - What the scheme is attached to
+ * @param {string} id - Course or offering ID
+ * @param {string|null} gradeSchemeId - Scheme ID, or null to detach
+ */
+export const assignGradeScheme = async (target, id, gradeSchemeId) => {
+    return authenticatedFetch(`/admin/${target}/${id}/gradescheme`, {
+        method: 'PUT',
+        body: JSON.stringify({ gradeSchemeId }),
+    });
+};
+
+/**
+ * Export marks for an offering
+ * @param {string} offeringId - Offering ID
+ * @param {'csv'|'json'|'xlsx'} format - Export format
+ * @returns {Promise<Blob>} Exported file contents
+ */
+export const exportMarks = async (offeringId, format = 'csv') => {
+    const response = await fetchWithAuth(`/lecturer/offerings/${offeringId}/marks/export?format=${format}`);
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `API Error: ${response.status}`);
+    }
+
+    return response.blob();
+};
+
 /**
  * Export marks to CSV
  */
 export const exportMarksCsv = async (offeringId) => {
-    const token = getAuthToken();
-    const response = await fetch(`${API_BASE_URL}/lecturer/offerings/${offeringId}/marks/export?format=csv`, {
-        headers: {
-            'Authorization': `Bearer ${token}`,
-        },
+    const blob = await exportMarks(offeringId, 'csv');
+    return blob.text();
+};
+
+/**
+ * Get a page of the issues assigned to the signed-in lecturer, with their comments and status history
+ * @param {Object} [filters] - { status, issueType, priority, offeringId, from, to, q, sort, cursor, limit };
+ * status, issueType and priority take comma-separated lists, and status "open" means not resolved or rejected
+ * @returns {Promise<Object>} { data, nextCursor }; pass nextCursor back as cursor for the next page
+ */
+export const fetchIssues = async (filters = {}) => {
+    const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    return authenticatedFetch(`/lecturer/issues?${params}`);
+};
+
+/**
+ * Count the signed-in lecturer's issues by status
+ * @returns {Promise<Object>} { data: { unresolved, overdue, byStatus } }; overdue issues are past their response deadline
+ */
+export const fetchIssueSummary = async () => {
+    return authenticatedFetch('/lecturer/issues/summary');
+};
+
+/**
+ * Get the escalation queue: issues that passed their response deadline and still have no response (admin only)
+ * @returns {Promise<Object>} { data } with the assigned lecturer populated and the escalation's dueAt and escalatedAt
+ */
+export const fetchEscalatedIssues = async () => {
+    return authenticatedFetch('/admin/issues/escalated');
+};
+
+/**
+ * Average time to resolution of closed issues, per lecturer and issue type (admin only)
+ * @param {Object} [filters] - { from, to }: dates the issues were closed between
+ * @returns {Promise<Object>} { data: { rows, byLecturer } }; each has closed, resolved, escalated and averageHours
+ */
+export const fetchIssueResolutionReport = async (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    return authenticatedFetch(`/admin/issues/resolution-report?${params}`);
+};
+
+/**
+ * Move an issue through its workflow
+ * @param {string} issueId - Issue ID
+ * @param {Object} data - { status, note, revisedScore }; the note is shown to the student and required to
+ * resolve or reject. Remark requests are resolved with revisedScore, which updates the mark.
+ */
+export const changeIssueStatus = async (issueId, data) => {
+    return authenticatedFetch(`/lecturer/issues/${issueId}/status`, {
+        method: 'PUT',
+        body: JSON.stringify(data),
     });
-    return response.text();
+};
+
+/**
+ * Reply to an issue
+ * @param {string} issueId - Issue ID
+ * @param {string} body - Comment text
+ */
+export const addIssueComment = async (issueId, body) => {
+    return authenticatedFetch(`/lecturer/issues/${issueId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ body }),
+    });
+};
+
+/**
+ * Hand an issue to another lecturer of its offering
+ * @param {string} issueId - Issue ID
+ * @param {string} lecturerId - Co-lecturer to hand it to (see the issue's coLecturers)
+ * @param {string} [note] - Why it is handed on, kept in the issue's assignment history
+ */
+export const reassignIssue = async (issueId, lecturerId, note) => {
+    return authenticatedFetch(`/lecturer/issues/${issueId}/assign`, {
+        method: 'PUT',
+        body: JSON.stringify({ lecturerId, note }),
+    });
+};
+
+/**
+ * Attach files (PDF or images) to an issue
+ * @param {string} issueId - Issue ID
+ * @param {File[]} files - Files to upload
+ */
+export const uploadIssueAttachments = async (issueId, files) => {
+    const form = new FormData();
+    files.forEach(file => form.append('files', file));
+    // No Content-Type header: the browser adds the multipart boundary
+    const response = await fetchWithAuth(`/issues/${issueId}/attachments`, { method: 'POST', body: form });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `API Error: ${response.status}`);
+    }
+
+    return response.json();
+};
+
+/**
+ * Download an issue attachment
+ * @param {string} issueId - Issue ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} The file
+ */
+export const fetchIssueAttachment = async (issueId, attachmentId) => {
+    const response = await fetchWithAuth(`/issues/${issueId}/attachments/${attachmentId}`);
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `API Error: ${response.status}`);
+    }
+
+    return response.blob();
 };
 
 export default {
     getAuthToken,
+    getRefreshToken,
     setAuthSession,
     clearAuthSession,
+    isTokenExpired,
+    refreshSession,
+    SESSION_EXPIRED_EVENT,
     registerLecturer,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
     loginLecturer,
+    verifyTwoFactorLogin,
+    fetchTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
     logoutLecturer,
     fetchLecturerOfferings,
     fetchStudentsByOffering,
     submitMarksBatch,
+    importMarks,
     fetchMarksByOffering,
+    fetchMarkHistory,
+    fetchResults,
+    updateResultsStatus,
+    fetchAssessments,
+    saveAssessments,
+    fetchGradeSchemes,
+    createGradeScheme,
+    updateGradeScheme,
+    deleteGradeScheme,
+    fetchAllOfferings,
+    fetchModeration,
+    fetchLecturers,
+    reassignLecturers,
+    fetchEnrollments,
+    enrollStudent,
+    importRoster,
+    dropEnrollment,
+    transferEnrollment,
+    setChosenLecturer,
+    createInvitation,
+    fetchInvitations,
+    revokeInvitation,
+    fetchUsers,
+    unlockUser,
+    revokeUserSessions,
+    resetUserTwoFactor,
+    setTwoFactorRequired,
+    fetchLoginAttempts,
+    assignGradeScheme,
+    exportMarks,
     exportMarksCsv,
-    fetchIssues: async () => {
-        return authenticatedFetch('/lecturer/issues');
-    },
-    resolveIssue: async (issueId) => {
-        return authenticatedFetch(`/lecturer/issues/${issueId}/resolve`, {
-            method: 'PUT'
-        });
-    }
+    fetchIssues,
+    fetchIssueSummary,
+    fetchEscalatedIssues,
+    fetchIssueResolutionReport,
+    changeIssueStatus,
+    addIssueComment,
+    reassignIssue,
+    uploadIssueAttachments,
+    fetchIssueAttachment
 };
@@ -33,27 +33,116 @@ export const MAX_MARKS = {
 };
 
 /**
- * Grading scale boundaries
+ * @typedef {Object} GradeBand
+ * @property {string} letter - Letter grade
+ * @property {number} minPercent - Inclusive lower bound
+ * @property {number} maxPercent - Exclusive upper bound (inclusive for the top band)
+ * @property {number} points - Grade points
+ */
+
+/**
+ * Default grade bands, used when no grade scheme is attached to a course or offering.
+ * Bounds may be decimal; each band ends exactly where the next one starts.
+ * @type {GradeBand[]}
  */
-export const GRADE_SCALE = [
-  { grade: 'A', min: 90, max: 100 },
-  { grade: 'A-', min: 87, max: 89 },
-  { grade: 'B+', min: 84, max: 86 },
-  { grade: 'B', min: 80, max: 83 },
-  { grade: 'B-', min: 77, max: 79 },
-  { grade: 'C+', min: 74, max: 76 },
-  { grade: 'C', min: 70, max: 73 },
-  { grade: 'C-', min: 67, max: 69 },
-  { grade: 'D+', min: 64, max: 66 },
-  { grade: 'D', min: 62, max: 63 },
-  { grade: 'D-', min: 60, max: 61 },
-  { grade: 'F', min: 0, max: 59 },
+export const DEFAULT_GRADE_BANDS = [
+  { letter: 'A', minPercent: 80, maxPercent: 100, points: 4.0 },
+  { letter: 'B', minPercent: 70, maxPercent: 80, points: 3.0 },
+  { letter: 'C', minPercent: 60, maxPercent: 70, points: 2.0 },
+  { letter: 'D', minPercent: 50, maxPercent: 60, points: 1.0 },
+  { letter: 'E', minPercent: 0, maxPercent: 50, points: 0.0 },
 ];
 
+/**
+ * Grading scale boundaries
+ */
+export const GRADE_SCALE = DEFAULT_GRADE_BANDS.map(band => ({
+  grade: band.letter,
+  min: band.minPercent,
+  max: band.maxPercent,
+}));
+
 /**
  * Passing grade threshold
  */
-export const PASSING_GRADE = 60;
+export const PASSING_GRADE = 50;
+
+/**
+ * Find the band a percentage falls in
+ * @param {number} percent - Percentage (0-100)
+ * @param {GradeBand[]} bands - Grade bands
+ * @returns {GradeBand|null} Matching band, or null if below every band
+ */
+export const findGradeBand = (percent, bands = DEFAULT_GRADE_BANDS) => {
+  return [...bands]
+    .sort((a, b) => b.minPercent - a.minPercent)
+    .find(band => percent >= band.minPercent) || null;
+};
+
+/**
+ * Validate a set of grade bands: they must cover 0-100 with no gaps or overlaps
+ * @param {GradeBand[]} bands - Grade bands
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export const validateGradeBands = (bands) => {
+  const errors = [];
+
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return { isValid: false, errors: ['A grade scale needs at least one band'] };
+  }
+
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const letters = new Set();
+
+  bands.forEach((band, index) => {
+    const label = band?.letter ? `Band ${band.letter}` : `Band #${index + 1}`;
+
+    if (!band?.letter || typeof band.letter !== 'string' || !band.letter.trim()) {
+      errors.push(`${label} must have a letter`);
+    } else if (letters.has(band.letter.trim())) {
+      errors.push(`Letter ${band.letter} is used more than once`);
+    } else {
+      letters.add(band.letter.trim());
+    }
+
+    if (!isNumber(band?.minPercent) || !isNumber(band?.maxPercent)) {
+      errors.push(`${label} must have numeric minimum and maximum percentages`);
+    } else if (band.minPercent < 0 || band.maxPercent > 100) {
+      errors.push(`${label} must lie between 0 and 100`);
+    } else if (band.minPercent >= band.maxPercent) {
+      errors.push(`${label} minimum must be below its maximum`);
+    }
+
+    if (!isNumber(band?.points) || band.points < 0) {
+      errors.push(`${label} must have non-negative grade points`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  const sorted = [...bands].sort((a, b) => a.minPercent - b.minPercent);
+
+  if (sorted[0].minPercent !== 0) {
+    errors.push(`Scores below ${sorted[0].minPercent} are not covered by any band`);
+  }
+  if (sorted[sorted.length - 1].maxPercent !== 100) {
+    errors.push(`Scores above ${sorted[sorted.length - 1].maxPercent} are not covered by any band`);
+  }
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const lower = sorted[i];
+    const upper = sorted[i + 1];
+    if (lower.maxPercent < upper.minPercent) {
+      errors.push(`Gap between ${lower.letter} (up to ${lower.maxPercent}) and ${upper.letter} (from ${upper.minPercent})`);
+    } else if (lower.maxPercent > upper.minPercent) {
+      errors.push(`${lower.letter} (up to ${lower.maxPercent}) overlaps ${upper.letter} (from ${upper.minPercent})`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
 
 /**
  * Calculate total marks from individual assessments
@@ -74,13 +163,12 @@ export const calculateTotal = (marks) => {
 /**
  * Calculate grade based on total marks
  * @param {number} total - Total marks (0-100)
- * @returns {string} Letter grade (A, A-, B+, B, B-, C+, C, C-, D+, D, D-, F)
+ * @param {GradeBand[]} bands - Grade bands (defaults to DEFAULT_GRADE_BANDS)
+ * @returns {string} Letter grade
  */
-export const calculateGrade = (total) => {
-  const gradeEntry = GRADE_SCALE.find(
-    entry => total >= entry.min && total <= entry.max
-  );
-  return gradeEntry ? gradeEntry.grade : 'F';
+export const calculateGrade = (total, bands = DEFAULT_GRADE_BANDS) => {
+  const band = findGradeBand(total, bands);
+  return band ? band.letter : 'E';
 };
 
 /**
@@ -216,8 +304,11 @@ export const calculateAssessmentPercentage = (marks, assessmentType) => {
 
 export default {
   MAX_MARKS,
+  DEFAULT_GRADE_BANDS,
   GRADE_SCALE,
   PASSING_GRADE,
+  findGradeBand,
+  validateGradeBands,
   calculateTotal,
   calculateGrade,
   hasPassed,
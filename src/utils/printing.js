@@ -62,6 +62,98 @@ export const convertToCSV = (studentsWithMarks) => {
   return csvContent;
 };
 
+/**
+ * Status label for a computed result row
+ * @param {Object} result - Result row from the results endpoint
+ * @returns {string} PASS, FAIL, INCOMPLETE or CHECK MARKS
+ */
+export const getResultStatus = (result) => {
+  if (result.exceedsMax) return 'CHECK MARKS';
+  if (result.missingCount > 0) return 'INCOMPLETE';
+  return result.passed ? 'PASS' : 'FAIL';
+};
+
+/**
+ * Build the header and row cells for an offering's results.
+ * Shared by the printed report and the server-side CSV/xlsx exports so they show the same columns.
+ * @param {Object} payload - Response of the results endpoint
+ * @param {Object[]} payload.assessments - Offering assessments ({ id, name, weight, maxScore })
+ * @param {Object[]} payload.results - Per-student results
+ * @returns {{ headers: string[], rows: Array<Array<string|number|null>> }} Table cells
+ */
+export const buildResultsTable = ({ assessments = [], results = [] }) => {
+  const headers = [
+    'Reg No',
+    'Student Name',
+    'Email',
+    ...assessments.map(a => `${a.name} (/${a.maxScore})`),
+    'Total (%)',
+    'Grade',
+    'Grade Points',
+    'Status'
+  ];
+
+  const rows = results.map(result => [
+    result.regNo ?? '',
+    result.name || '',
+    result.email || '',
+    ...assessments.map(a => {
+      const entry = result.assessments.find(x => String(x.assessmentId) === String(a.id));
+      return entry ? entry.score : null;
+    }),
+    result.finalPercent,
+    result.grade ?? '',
+    result.gradePoints ?? '',
+    getResultStatus(result)
+  ]);
+
+  return { headers, rows };
+};
+
+/**
+ * Build the label/value rows for an offering's class statistics.
+ * Used by the printed report and the statistics sheet of the xlsx gradebook.
+ * @param {Object} statistics - Statistics from the results endpoint
+ * @returns {{ headers: string[], rows: Array<Array<string|number>> }} Table cells
+ */
+export const buildStatisticsTable = (statistics = {}) => {
+  const rows = [
+    ['Total Students', statistics.totalStudents || 0],
+    ['Average Score (%)', statistics.average || 0],
+    ['Highest Score (%)', statistics.highest || 0],
+    ['Lowest Score (%)', statistics.lowest || 0],
+    ['Pass Rate (%)', statistics.passRate || 0],
+    ['Passed', statistics.passedStudents || 0],
+    ['Failed', statistics.failedStudents || 0]
+  ];
+
+  if (statistics.missingMarks !== undefined) {
+    rows.push(
+      ['Missing Marks', statistics.missingMarks],
+      ['Students With Missing Marks', statistics.studentsWithMissingMarks || 0]
+    );
+  }
+
+  Object.entries(statistics.distribution || {}).forEach(([grade, count]) => {
+    rows.push([`Grade ${grade}`, count]);
+  });
+
+  return { headers: ['Statistic', 'Value'], rows };
+};
+
+/**
+ * Build the rows of the grade scale an offering was graded with
+ * @param {Object} gradeScheme - gradeScheme from the results endpoint ({ name, bands })
+ * @returns {{ headers: string[], rows: Array<Array<string|number>> }} Table cells, best grade first
+ */
+export const buildGradeScaleTable = ({ bands = [] } = {}) => {
+  const rows = [...bands]
+    .sort((a, b) => b.minPercent - a.minPercent)
+    .map(band => [band.letter, band.minPercent, band.maxPercent, band.points]);
+
+  return { headers: ['Grade', 'Min (%)', 'Max (%)', 'Grade Points'], rows };
+};
+
 /**
  * Download CSV file
  * @param {Object[]} studentsWithMarks - Array of students with marks
@@ -86,8 +178,8 @@ export const downloadCSV = (studentsWithMarks, filename = 'student_marks.csv') =
 };
 
 /**
- * Generate HTML report for student marks
- * @param {Object[]} studentsWithMarks - Array of students with marks
+ * Wrap a rendered marks table in the printable report page
+ * @param {string} tableHTML - Rendered <table> element
  * @param {Object} options - Report options
  * @param {string} options.title - Report title
  * @param {string} options.lecturerName - Lecturer's name
@@ -95,7 +187,7 @@ export const downloadCSV = (studentsWithMarks, filename = 'student_marks.csv') =
  * @param {Object} options.statistics - Class statistics
  * @returns {string} HTML string
  */
-export const generateHTMLReport = (studentsWithMarks, options = {}) => {
+const renderReportDocument = (tableHTML, options = {}) => {
   const {
     title = 'Student Marks Report',
     lecturerName = '',
@@ -109,7 +201,7 @@ export const generateHTMLReport = (studentsWithMarks, options = {}) => {
     day: 'numeric'
   });
 
-  let html = `
+  return `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -203,16 +295,32 @@ export const generateHTMLReport = (studentsWithMarks, options = {}) => {
   ${statistics && Object.keys(statistics).length > 0 ? `
   <div class="statistics">
     <h3>Class Statistics</h3>
-    <p><strong>Total Students:</strong> ${statistics.totalStudents || 0}</p>
-    <p><strong>Average Score:</strong> ${statistics.average || 0}%</p>
-    <p><strong>Highest Score:</strong> ${statistics.highest || 0}%</p>
-    <p><strong>Lowest Score:</strong> ${statistics.lowest || 0}%</p>
-    <p><strong>Pass Rate:</strong> ${statistics.passRate || 0}%</p>
-    <p><strong>Passed:</strong> ${statistics.passedStudents || 0} students</p>
-    <p><strong>Failed:</strong> ${statistics.failedStudents || 0} students</p>
+    ${buildStatisticsTable(statistics).rows.map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`).join('')}
   </div>
   ` : ''}
 
+  ${tableHTML}
+
+  <div class="footer">
+    <p>Generated by Online Examination System</p>
+  </div>
+</body>
+</html>
+  `;
+};
+
+/**
+ * Generate HTML report for student marks
+ * @param {Object[]} studentsWithMarks - Array of students with marks
+ * @param {Object} options - Report options
+ * @param {string} options.title - Report title
+ * @param {string} options.lecturerName - Lecturer's name
+ * @param {string} options.courseName - Course name
+ * @param {Object} options.statistics - Class statistics
+ * @returns {string} HTML string
+ */
+export const generateHTMLReport = (studentsWithMarks, options = {}) => {
+  let tableHTML = `
   <table>
     <thead>
       <tr>
@@ -239,7 +347,7 @@ export const generateHTMLReport = (studentsWithMarks, options = {}) => {
     const statusClass = passed ? 'pass' : 'fail';
     const statusText = passed ? 'PASS' : 'FAIL';
 
-    html += `
+    tableHTML += `
       <tr>
         <td>${student.id || ''}</td>
         <td>${student.name || ''}</td>
@@ -255,18 +363,64 @@ export const generateHTMLReport = (studentsWithMarks, options = {}) => {
     `;
   });
 
-  html += `
+  tableHTML += `
     </tbody>
   </table>
+  `;
 
-  <div class="footer">
-    <p>Generated by Online Examination System</p>
-  </div>
-</body>
-</html>
+  return renderReportDocument(tableHTML, options);
+};
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Generate HTML report from an offering's computed results
+ * @param {Object} payload - Response of the results endpoint
+ * @param {Object} options - Report options (see generateHTMLReport); statistics default to the payload's
+ * @returns {string} HTML string
+ */
+export const generateResultsHTMLReport = (payload, options = {}) => {
+  const { headers, rows } = buildResultsTable(payload);
+  const statusColumn = headers.length - 1;
+  const gradeScale = buildGradeScaleTable(payload.gradeScheme);
+
+  const tableHTML = `
+  <table>
+    <thead>
+      <tr>${headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${rows.map(row => `
+      <tr>${row.map((cell, i) => {
+        if (i === statusColumn) {
+          return `<td class="${cell === 'PASS' ? 'pass' : 'fail'}">${escapeHTML(cell)}</td>`;
+        }
+        return `<td>${cell === null ? '-' : escapeHTML(cell)}</td>`;
+      }).join('')}</tr>`).join('')}
+    </tbody>
+  </table>
   `;
 
-  return html;
+  const gradeScaleHTML = gradeScale.rows.length === 0 ? '' : `
+  <h3>Grade Scale${payload.gradeScheme.name ? `: ${escapeHTML(payload.gradeScheme.name)}` : ''}</h3>
+  <table>
+    <thead>
+      <tr>${gradeScale.headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${gradeScale.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+    </tbody>
+  </table>
+  `;
+
+  return renderReportDocument(tableHTML + gradeScaleHTML, {
+    statistics: payload.statistics,
+    ...options,
+  });
 };
 
 /**
@@ -299,6 +453,15 @@ export const generateAndPrintReport = (studentsWithMarks, options = {}) => {
   printHTMLReport(htmlContent);
 };
 
+/**
+ * Generate and print a report from an offering's computed results
+ * @param {Object} payload - Response of the results endpoint
+ * @param {Object} options - Report options
+ */
+export const printResultsReport = (payload, options = {}) => {
+  printHTMLReport(generateResultsHTMLReport(payload, options));
+};
+
 /**
  * Download HTML report as file
  * @param {Object[]} studentsWithMarks - Array of students with marks
@@ -342,10 +505,16 @@ export const formatStudentsForDisplay = (studentsWithMarks) => {
 
 export default {
   convertToCSV,
+  getResultStatus,
+  buildResultsTable,
+  buildStatisticsTable,
+  buildGradeScaleTable,
   downloadCSV,
   generateHTMLReport,
+  generateResultsHTMLReport,
   printHTMLReport,
   generateAndPrintReport,
+  printResultsReport,
   downloadHTMLReport,
   formatStudentsForDisplay,
 };